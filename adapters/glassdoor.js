@@ -0,0 +1,31 @@
+// Glassdoor: Easy Apply postings and the Glassdoor account login
+module.exports = {
+  name: 'glassdoor',
+  hostnames: [/(^|\.)glassdoor\.[a-z.]+$/],
+  loginDomain: 'glassdoor.com',
+  applyButtonSelectors: [
+    '[data-test="easyApply"]',
+    'button[data-test="applyButton"]'
+  ],
+  loggedInSelectors: ['[data-test="profilePhoto"]'],
+
+  async login(bot, credentials) {
+    // Check if we're already on the login page, if not navigate to it
+    if (!bot.page.url().includes('glassdoor.com/profile/login')) {
+      await bot.page.goto('https://www.glassdoor.com/profile/login_input.htm', { waitUntil: 'domcontentloaded' });
+    }
+
+    // Fill in login details
+    await bot.page.fill('input[name="username"]', credentials.username);
+    await bot.page.fill('input[name="password"]', credentials.password);
+
+    // Click sign in button
+    await bot.page.click('button[type="submit"]');
+
+    // Wait for navigation to complete
+    await bot.page.waitForLoadState('networkidle');
+
+    // Check if login was successful
+    return Boolean(await bot.page.$('[data-test="profilePhoto"]'));
+  }
+};
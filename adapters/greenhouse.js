@@ -0,0 +1,133 @@
+// Greenhouse (boards.greenhouse.io and the newer job-boards.greenhouse.io): a single
+// page with fixed field ids, custom questions, resume upload and voluntary EEO selects
+const FieldClassifier = require('../fieldClassifier');
+const { pickOption } = require('../siteAdapters');
+
+// Field id or name -> bot field type, for both board versions
+const STANDARD_FIELDS = {
+  first_name: 'firstName',
+  last_name: 'lastName',
+  email: 'email',
+  phone: 'phone',
+  job_application_location: 'location',
+  'candidate-location': 'location'
+};
+
+// EEO selects -> userData.eeo property
+const EEO_FIELDS = {
+  gender: 'gender',
+  race: 'ethnicity',
+  hispanic_ethnicity: 'hispanicOrLatino',
+  veteran_status: 'veteranStatus',
+  disability_status: 'disability'
+};
+
+// Upload inputs, and the element that shows the attached file name
+const DOCUMENT_INPUTS = [
+  {
+    kind: 'resume',
+    selector: '#resume_fieldset input[type="file"], input#resume[type="file"]',
+    confirmSelector: '#resume_fieldset, #upload-label-resume, .file-upload'
+  },
+  {
+    kind: 'coverLetter',
+    selector: '#cover_letter_fieldset input[type="file"], input#cover_letter[type="file"]',
+    confirmSelector: '#cover_letter_fieldset, #upload-label-cover_letter, .file-upload'
+  }
+];
+
+/**
+ * Reads the question text of a custom question, without the text of the inputs
+ * and options nested inside its label
+ * @param {Object} handle - The answer field's element handle
+ * @returns {string|null} - The question
+ */
+async function getQuestionText(handle) {
+  return handle.evaluate(el => {
+    const block = el.closest('.field, [class*="question"], .select__container');
+    const label = block && block.querySelector('label');
+    if (!label) {
+      return null;
+    }
+    const copy = label.cloneNode(true);
+    copy.querySelectorAll('input, select, textarea, ul, .select2-container').forEach(node => node.remove());
+    return copy.textContent.replace(/\s+/g, ' ').replace(/\*\s*$/, '').trim() || null;
+  });
+}
+
+module.exports = {
+  name: 'greenhouse',
+  hostnames: ['boards.greenhouse.io', 'job-boards.greenhouse.io', 'job-boards.eu.greenhouse.io'],
+  applyButtonSelectors: ['#apply_button', 'button:has-text("Apply")'],
+  navigationSelectors: [
+    { kind: 'submit', selector: '#submit_app' },
+    { kind: 'submit', selector: 'button[type="submit"]:has-text("Submit application")' }
+  ],
+  confirmationUrlPattern: /\/confirmation\b/i,
+  confirmationSelectors: ['#application_confirmation'],
+  confirmationPatterns: [/thank you for applying/i],
+  validationErrorSelectors: ['#error_message:visible', '.field-error-msg:visible', '.helper-text--error:visible'],
+
+  async adjustFields(bot, fields) {
+    for (const field of fields) {
+      const key = field.id || field.name;
+
+      if (STANDARD_FIELDS[key]) {
+        Object.assign(field, { fieldType: STANDARD_FIELDS[key], confidence: 1 });
+      } else if (EEO_FIELDS[key.replace(/^job_application_/, '')]) {
+        field.eeo = EEO_FIELDS[key.replace(/^job_application_/, '')];
+        Object.assign(field, { fieldType: `eeo.${field.eeo}`, confidence: 1 });
+      } else if (/answers_attributes|^question_/.test(key)) {
+        // Custom questions: classify (and match job answers) on the question alone
+        field.label = (await getQuestionText(field.handle)) || field.label;
+        field.customQuestion = true;
+        Object.assign(field, FieldClassifier.classifyField(field));
+      }
+
+      if (field.type === 'file') {
+        // The old boards' upload inputs have no name or label of their own
+        for (const { kind, selector, confirmSelector } of DOCUMENT_INPUTS) {
+          if (await field.handle.evaluate((el, documentSelector) => el.matches(documentSelector), selector)) {
+            Object.assign(field, { fieldType: kind, confidence: 1, confirmSelector });
+          }
+        }
+      }
+    }
+
+    return fields;
+  },
+
+  resolveFieldValue(bot, field) {
+    if (field.eeo) {
+      const value = (bot.userData.eeo || {})[field.eeo];
+      return { value: value || null, source: value ? `eeo.${field.eeo}` : null };
+    }
+    return null;
+  },
+
+  async fillField(bot, field, value) {
+    if (field.eeo && field.tagName === 'select') {
+      const index = pickOption(field.options.map(option => option.text), value);
+      if (index === -1) {
+        throw new Error(`no option matches "${value}"`);
+      }
+      await field.handle.selectOption(field.options[index].value);
+      return true;
+    }
+
+    if (field.eeo && (await field.handle.getAttribute('role')) === 'combobox') {
+      // New boards render EEO questions as searchable dropdowns
+      await field.handle.click();
+      const options = await bot.page.$$('[role="option"]:visible');
+      const index = pickOption(await Promise.all(options.map(option => option.innerText())), value);
+      if (index === -1) {
+        await bot.page.keyboard.press('Escape');
+        throw new Error(`no option matches "${value}"`);
+      }
+      await options[index].click();
+      return true;
+    }
+
+    return false;
+  }
+};
@@ -0,0 +1,40 @@
+// Indeed: Indeed Apply, with the email and password asked on separate screens
+module.exports = {
+  name: 'indeed',
+  hostnames: [/(^|\.)indeed\.[a-z.]+$/],
+  loginDomain: 'indeed.com',
+  applyButtonSelectors: [
+    '#indeedApplyButton',
+    'button[id*="indeedApplyButton"]'
+  ],
+  loggedInSelectors: ['.gnav-menu'],
+  navigationSelectors: [
+    { kind: 'submit', selector: 'button:has-text("Submit your application")' },
+    { kind: 'review', selector: 'button:has-text("Review your application")' }
+  ],
+  confirmationPatterns: [/your application has been submitted/i],
+
+  async login(bot, credentials) {
+    // Check if we're already on the login page, if not navigate to it
+    if (!bot.page.url().includes('indeed.com/account/login')) {
+      await bot.page.goto('https://www.indeed.com/account/login', { waitUntil: 'domcontentloaded' });
+    }
+
+    // Fill in login details
+    await bot.page.fill('input[name="email"]', credentials.username);
+    await bot.page.click('button[type="submit"]');
+
+    // Wait for password field to appear
+    await bot.page.waitForSelector('input[name="password"]');
+    await bot.page.fill('input[name="password"]', credentials.password);
+
+    // Click sign in button
+    await bot.page.click('button[type="submit"]');
+
+    // Wait for navigation to complete
+    await bot.page.waitForLoadState('networkidle');
+
+    // Check if login was successful
+    return Boolean(await bot.page.$('.gnav-menu'));
+  }
+};
@@ -0,0 +1,97 @@
+// Lever (jobs.lever.co): a single page with fixed field names, custom question cards,
+// a resume upload that pre-fills the form, and voluntary EEO selects
+const FieldClassifier = require('../fieldClassifier');
+const { pickOption } = require('../siteAdapters');
+
+// Field name -> bot field type
+const STANDARD_FIELDS = {
+  name: 'fullName',
+  email: 'email',
+  phone: 'phone',
+  org: 'company',
+  location: 'location',
+  'urls[LinkedIn]': 'linkedin',
+  'urls[GitHub]': 'github',
+  'urls[Portfolio]': 'website',
+  'urls[Other]': 'website'
+};
+
+// EEO selects -> userData.eeo property
+const EEO_FIELDS = {
+  'eeo[gender]': 'gender',
+  'eeo[race]': 'ethnicity',
+  'eeo[veteran]': 'veteranStatus',
+  'eeo[disability]': 'disability'
+};
+
+// Element that shows the name of the uploaded resume
+const RESUME_CONFIRM = '.resume-upload-success, .filename, .application-question.resume';
+
+/**
+ * Reads the question text of a custom question card
+ * @param {Object} handle - The answer field's element handle
+ * @returns {string|null} - The question
+ */
+async function getQuestionText(handle) {
+  return handle.evaluate(el => {
+    const question = el.closest('.application-question');
+    const label = question && question.querySelector('.application-label .text, .application-label');
+    return label ? label.textContent.replace(/\s+/g, ' ').replace(/[*✱]\s*$/, '').trim() || null : null;
+  });
+}
+
+module.exports = {
+  name: 'lever',
+  hostnames: ['jobs.lever.co', 'jobs.eu.lever.co'],
+  applyButtonSelectors: ['a.postings-btn[href$="/apply"]', 'a:has-text("Apply for this job")'],
+  navigationSelectors: [
+    { kind: 'submit', selector: 'button#btn-submit' },
+    { kind: 'submit', selector: 'button[data-qa="btn-submit"]' }
+  ],
+  confirmationUrlPattern: /\/thanks\b/i,
+  confirmationSelectors: ['[data-qa="msg-submit-success"]'],
+  confirmationPatterns: [/application submitted!/i],
+  validationErrorSelectors: ['.error-message:visible', '.application-error:visible'],
+
+  async adjustFields(bot, fields) {
+    for (const field of fields) {
+      if (STANDARD_FIELDS[field.name]) {
+        Object.assign(field, { fieldType: STANDARD_FIELDS[field.name], confidence: 1 });
+      } else if (EEO_FIELDS[field.name]) {
+        field.eeo = EEO_FIELDS[field.name];
+        Object.assign(field, { fieldType: `eeo.${field.eeo}`, confidence: 1 });
+      } else if (field.type === 'file' && field.name === 'resume') {
+        // Lever fills the form from the resume; the profile values filled after it win
+        Object.assign(field, { fieldType: 'resume', confidence: 1, confirmSelector: RESUME_CONFIRM });
+      } else if (/^cards\[/.test(field.name)) {
+        // Custom questions, radio groups included: classify (and match job answers) on the question alone
+        field.label = (await getQuestionText(field.handle)) || field.label;
+        field.customQuestion = true;
+        Object.assign(field, FieldClassifier.classifyField(field));
+      }
+    }
+
+    return fields;
+  },
+
+  resolveFieldValue(bot, field) {
+    if (field.eeo) {
+      const value = (bot.userData.eeo || {})[field.eeo];
+      return { value: value || null, source: value ? `eeo.${field.eeo}` : null };
+    }
+    return null;
+  },
+
+  async fillField(bot, field, value) {
+    if (field.eeo && field.tagName === 'select') {
+      const index = pickOption(field.options.map(option => option.text), value);
+      if (index === -1) {
+        throw new Error(`no option matches "${value}"`);
+      }
+      await field.handle.selectOption(field.options[index].value);
+      return true;
+    }
+
+    return false;
+  }
+};
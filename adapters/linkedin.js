@@ -0,0 +1,37 @@
+// LinkedIn: Easy Apply modal with step-by-step navigation buttons
+module.exports = {
+  name: 'linkedin',
+  hostnames: ['*.linkedin.com'],
+  loginDomain: 'linkedin.com',
+  applyButtonSelectors: [
+    'button.jobs-apply-button',
+    'button:has-text("Easy Apply")'
+  ],
+  loggedInSelectors: ['.global-nav__me-photo'],
+  navigationSelectors: [
+    { kind: 'submit', selector: 'button[aria-label="Submit application"]' },
+    { kind: 'review', selector: 'button[aria-label="Review your application"]' },
+    { kind: 'next', selector: 'button[aria-label="Continue to next step"]' }
+  ],
+  confirmationPatterns: [/your application was sent/i],
+
+  async login(bot, credentials) {
+    // Check if we're already on the login page, if not navigate to it
+    if (!bot.page.url().includes('linkedin.com/login')) {
+      await bot.page.goto('https://www.linkedin.com/login', { waitUntil: 'domcontentloaded' });
+    }
+
+    // Fill in login details
+    await bot.page.fill('input#username', credentials.username);
+    await bot.page.fill('input#password', credentials.password);
+
+    // Click sign in button
+    await bot.page.click('button[type="submit"]');
+
+    // Wait for navigation to complete
+    await bot.page.waitForLoadState('networkidle');
+
+    // Check if login was successful
+    return Boolean(await bot.page.$('.global-nav__me-photo'));
+  }
+};
@@ -0,0 +1,482 @@
+// Workday (*.myworkdayjobs.com): per-employer candidate accounts, fields keyed by
+// data-automation-id, repeating "My Experience" sections and listbox dropdowns
+const FieldClassifier = require('../fieldClassifier');
+const { pickOption } = require('../siteAdapters');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Most entries added to one repeating section
+const MAX_SECTION_ENTRIES = 10;
+
+// Repeating sections on the "My Experience" page and the profile list that fills them
+const REPEATING_SECTIONS = [
+  { key: 'workExperience', group: 'Work-Experience-section', profile: 'experience' },
+  { key: 'education', group: 'Education-section', profile: 'education' },
+  { key: 'language', group: 'Languages-section', profile: 'languages' }
+];
+
+// formField-<key> inside a repeating section -> property of the profile entry
+const SECTION_FIELDS = {
+  workExperience: {
+    jobTitle: 'title',
+    companyName: 'company',
+    location: 'location',
+    roleDescription: 'description',
+    startDate: 'start',
+    endDate: 'end'
+  },
+  education: {
+    school: 'institution',
+    schoolName: 'institution',
+    degree: 'degree',
+    fieldOfStudy: 'discipline',
+    gradeAverage: 'gpa',
+    firstYearAttended: 'start',
+    lastYearAttended: 'end'
+  },
+  language: {
+    language: 'language'
+  }
+};
+
+// formField-<key> outside the repeating sections -> bot field type
+const PROFILE_FIELDS = {
+  firstName: 'firstName',
+  lastName: 'lastName',
+  addressLine1: 'address',
+  city: 'city',
+  email: 'email',
+  phoneNumber: 'phone',
+  skills: 'skills'
+};
+
+// Voluntary disclosure questions -> userData.eeo property
+const EEO_FIELDS = {
+  gender: 'gender',
+  ethnicity: 'ethnicity',
+  ethnicityMulti: 'ethnicity',
+  hispanicOrLatino: 'hispanicOrLatino',
+  veteranStatus: 'veteranStatus',
+  disability: 'disability',
+  disabilityStatus: 'disability'
+};
+
+// Profile proficiency wording -> Workday scale options to try, best first
+const PROFICIENCY_FALLBACKS = {
+  native: ['native', 'fluent', 'expert', 'advanced'],
+  fluent: ['fluent', 'advanced', 'expert'],
+  professional: ['advanced', 'professional', 'intermediate'],
+  proficient: ['advanced', 'proficient', 'intermediate'],
+  basic: ['beginner', 'basic', 'elementary']
+};
+
+const sel = (automationId) => `[data-automation-id="${automationId}"]`;
+
+/**
+ * Parses one end of a date range ("March 2020", "2020-03", "03/2020", "01/03/2020", "2020")
+ * @param {string} text - The date text
+ * @returns {Object|null} - { month, year } (month may be null), or null for present/unknown
+ */
+function parseDate(text) {
+  const value = String(text || '').trim().toLowerCase();
+  if (!value || /present|current|now|ongoing/.test(value)) {
+    return null;
+  }
+
+  const yearMatch = value.match(/\b(19|20)\d{2}\b/);
+  if (!yearMatch) {
+    return null;
+  }
+
+  let month = null;
+  const named = MONTHS.findIndex(name => new RegExp(`\\b${name}`).test(value));
+  const isoMonth = value.match(/^\d{4}-(\d{1,2})/);
+  const slashMonth = value.match(/^(?:\d{1,2}\/)?(\d{1,2})\/\d{4}$/);
+  if (named !== -1) {
+    month = named + 1;
+  } else if (isoMonth) {
+    month = parseInt(isoMonth[1], 10);
+  } else if (slashMonth) {
+    // Day-first dates, as in the CV template
+    month = parseInt(slashMonth[1], 10);
+  }
+
+  return { month, year: yearMatch[0] };
+}
+
+/**
+ * Splits a profile "dates" string into start and end
+ * @param {string} dates - e.g. "2019 - 2021", "January 2019 to Present"
+ * @returns {Object} - { start, end, current }
+ */
+function parseDateRange(dates) {
+  const text = String(dates || '').trim();
+  const parts = [/\s+to\s+/i, /\s*[–—]\s*/, /\s+-\s+/, /(?<=^\d{4})-(?=\d{4}$|present|current)/i]
+    .map(separator => text.split(separator))
+    .find(split => split.length === 2) || [text, ''];
+
+  return {
+    start: parseDate(parts[0]),
+    end: parseDate(parts[1]),
+    current: /present|current|now|ongoing/i.test(parts[1])
+  };
+}
+
+/**
+ * Clicks a Workday button; many sit under a transparent click_filter overlay
+ * @param {Object} bot - The JobApplicationBot
+ * @param {string} automationId - data-automation-id of the button
+ * @returns {boolean} - Whether the button was there
+ */
+async function clickAutomationId(bot, automationId) {
+  const button = await bot.page.$(`${sel(automationId)}:visible`);
+  if (!button) {
+    return false;
+  }
+  await button.click({ force: true });
+  await bot.waitForPageTransition();
+  return true;
+}
+
+async function hasErrorMessage(bot) {
+  return Boolean(await bot.page.$(`${sel('errorMessage')}:visible`));
+}
+
+async function isSignInFormOpen(bot) {
+  return Boolean(await bot.page.$(`input${sel('password')}:visible`));
+}
+
+async function signIn(bot, credentials) {
+  if (!(await bot.page.$(`${sel('signInSubmitButton')}:visible`))) {
+    await clickAutomationId(bot, 'signInLink');
+  }
+  if (!(await bot.page.$(`${sel('signInSubmitButton')}:visible`))) {
+    return false;
+  }
+
+  await bot.page.fill(`input${sel('email')}`, credentials.username);
+  await bot.page.fill(`input${sel('password')}`, credentials.password);
+  await clickAutomationId(bot, 'signInSubmitButton');
+
+  return !(await hasErrorMessage(bot)) && !(await isSignInFormOpen(bot));
+}
+
+async function createAccount(bot, credentials) {
+  if (!(await bot.page.$(`${sel('createAccountSubmitButton')}:visible`))) {
+    await clickAutomationId(bot, 'createAccountLink');
+  }
+  if (!(await bot.page.$(`${sel('createAccountSubmitButton')}:visible`))) {
+    return false;
+  }
+
+  console.log(`Creating a Workday account for ${credentials.username}`);
+  await bot.page.fill(`input${sel('email')}`, credentials.username);
+  await bot.page.fill(`input${sel('password')}`, credentials.password);
+  await bot.page.fill(`input${sel('verifyPassword')}`, credentials.password);
+
+  const consent = await bot.page.$(`input${sel('createAccountCheckbox')}`);
+  if (consent && !(await consent.isChecked())) {
+    await consent.check({ force: true });
+  }
+  await clickAutomationId(bot, 'createAccountSubmitButton');
+
+  const bodyText = await bot.page.innerText('body').catch(() => '');
+  if (/verify your (?:email|account)|verification email/i.test(bodyText)) {
+    console.error('Workday sent a verification email. Verify the account, then run the application again.');
+    return false;
+  }
+  return !(await hasErrorMessage(bot)) && !(await isSignInFormOpen(bot));
+}
+
+/**
+ * Reads where a field sits in the Workday page structure
+ * @param {Object} handle - The field's element handle
+ * @returns {Object} - { automationId, key, section, index, widget, datePart }
+ */
+async function describeWorkdayField(handle) {
+  return handle.evaluate((el, sectionKeys) => {
+    const formField = el.closest('[data-automation-id^="formField-"]');
+    // "formField-legalName--firstName" -> "firstName"
+    const key = formField ? formField.dataset.automationId.replace(/^formField-/, '').split('--').pop() : null;
+
+    let section = null;
+    let index = -1;
+    for (let node = el.parentElement; node && !section; node = node.parentElement) {
+      const match = (node.dataset.automationId || '').match(/^([A-Za-z]+)-\d+$/);
+      if (match && sectionKeys.includes(match[1])) {
+        section = match[1];
+        const panels = [...document.querySelectorAll('[data-automation-id]')]
+          .filter(panel => new RegExp(`^${section}-\\d+$`).test(panel.dataset.automationId));
+        index = panels.indexOf(node);
+      }
+    }
+
+    const automationId = el.dataset.automationId || null;
+    const dateMatch = (automationId || '').match(/^dateSection(Month|Day|Year)-input$/);
+    let widget = 'text';
+    if (el.getAttribute('aria-haspopup') === 'listbox') {
+      widget = 'dropdown';
+    } else if (el.getAttribute('data-uxi-widget-type') === 'selectinput') {
+      widget = 'prompt';
+    } else if (dateMatch) {
+      widget = 'date';
+    }
+
+    return {
+      automationId,
+      key,
+      section,
+      index,
+      widget,
+      datePart: dateMatch ? dateMatch[1].toLowerCase() : null
+    };
+  }, REPEATING_SECTIONS.map(section => section.key));
+}
+
+/**
+ * Opens a listbox dropdown and returns its option elements
+ * @param {Object} bot - The JobApplicationBot
+ * @param {Object} button - The dropdown button handle
+ * @returns {Array} - Option handles
+ */
+async function openDropdown(bot, button) {
+  await button.click({ force: true });
+  await bot.page.waitForSelector('[role="listbox"] [role="option"]:visible', { timeout: 5000 }).catch(() => {});
+  return bot.page.$$('[role="listbox"] [role="option"]:visible');
+}
+
+async function chooseOption(bot, optionHandles, value) {
+  const texts = await Promise.all(optionHandles.map(option => option.innerText()));
+  const index = pickOption(texts, value, PROFICIENCY_FALLBACKS);
+  if (index === -1) {
+    await bot.page.keyboard.press('Escape');
+    throw new Error(`no option matches "${value}"`);
+  }
+  await optionHandles[index].click({ force: true });
+  await bot.page.waitForTimeout(300);
+}
+
+module.exports = {
+  name: 'workday',
+  hostnames: ['*.myworkdayjobs.com', '*.myworkdaysite.com'],
+  // Workday accounts belong to each employer's tenant, so credentials and sessions
+  // are per hostname; a "myworkdayjobs.com" vault entry serves as the default
+  loginDomain: null,
+  applyButtonSelectors: [sel('adventureButton')],
+  loginSelectors: [`${sel('signInSubmitButton')}:visible`, `${sel('createAccountSubmitButton')}:visible`],
+  loggedOutSelectors: [sel('utilityButtonSignIn')],
+  loggedInSelectors: [sel('utilityButtonSignOut'), sel('accountSettingsButton')],
+  navigationSelectors: [
+    { kind: 'submit', selector: `button${sel('bottom-navigation-next-button')}:has-text("Submit")` },
+    { kind: 'next', selector: `button${sel('bottom-navigation-next-button')}` },
+    { kind: 'next', selector: `button${sel('pageFooterNextButton')}` }
+  ],
+  confirmationPatterns: [/application submitted/i, /you have successfully applied/i],
+  validationErrorSelectors: [`${sel('errorMessage')}:visible`, `${sel('errorBanner')}:visible`],
+
+  // Exposed for plugins that extend this adapter
+  parseDateRange,
+
+  async login(bot, credentials) {
+    if (!(await isSignInFormOpen(bot))) {
+      await clickAutomationId(bot, 'utilityButtonSignIn');
+    }
+    if (await signIn(bot, credentials)) {
+      return true;
+    }
+    // No account with this employer yet
+    return await createAccount(bot, credentials);
+  },
+
+  async startApplication(bot) {
+    if (!(await clickAutomationId(bot, 'adventureButton'))) {
+      console.error('Could not find the Workday Apply button.');
+      return false;
+    }
+
+    // "Autofill with Resume" re-parses the resume badly; fill the form ourselves
+    await clickAutomationId(bot, 'applyManually');
+
+    if (await isSignInFormOpen(bot) && !(await bot.handleAuthentication(bot.page.url()))) {
+      return false;
+    }
+
+    return Boolean(await bot.page.$(`${sel('bottom-navigation-next-button')}, ${sel('pageFooterNextButton')}`));
+  },
+
+  async preparePage(bot) {
+    const userData = bot.userData;
+
+    // Add one panel per profile entry to each repeating section on the page
+    for (const { key, group, profile } of REPEATING_SECTIONS) {
+      const container = await bot.page.$(`[role="group"][aria-labelledby="${group}"]`);
+      if (!container) {
+        continue;
+      }
+
+      const wanted = Math.min((userData[profile] || []).length, MAX_SECTION_ENTRIES);
+      const countPanels = () => container.evaluate((node, sectionKey) =>
+        [...node.querySelectorAll('[data-automation-id]')]
+          .filter(panel => new RegExp(`^${sectionKey}-\\d+$`).test(panel.dataset.automationId)).length, key);
+
+      let panels = await countPanels();
+      while (panels < wanted) {
+        const addButton = await container.$(`button${sel('Add')}, button${sel('Add Another')}`);
+        if (!addButton) {
+          break;
+        }
+        await addButton.click({ force: true });
+        await bot.page.waitForTimeout(500);
+
+        const added = await countPanels();
+        if (added === panels) {
+          break;
+        }
+        panels = added;
+      }
+    }
+
+    // Checkboxes the generic filler leaves alone: current job, native language
+    const checkboxes = [
+      { section: 'workExperience', field: 'currentlyWorkHere', entries: userData.experience, test: entry => parseDateRange(entry.dates).current },
+      { section: 'language', field: 'nativeLanguage', entries: userData.languages, test: entry => /native/i.test(entry.proficiency || '') }
+    ];
+    for (const { section, field, entries, test } of checkboxes) {
+      const boxes = await bot.page.$$(`[data-automation-id^="${section}-"] ${sel(`formField-${field}`)} input[type="checkbox"]`);
+      for (let i = 0; i < boxes.length && i < (entries || []).length; i++) {
+        if (test(entries[i]) && !(await boxes[i].isChecked())) {
+          await boxes[i].check({ force: true });
+        }
+      }
+    }
+  },
+
+  async adjustFields(bot, fields) {
+    // Workday dropdowns are buttons, which generic detection skips
+    const dropdowns = await bot.page.$$('button[aria-haspopup="listbox"]:visible');
+    for (const handle of dropdowns) {
+      const info = await handle.evaluate(el => window.FieldClassifier.describeElement(el));
+      const text = (await handle.innerText()).trim();
+      fields.push({
+        ...info,
+        handle,
+        tagName: 'button',
+        selector: info.id ? `button[id="${info.id}"]` : null,
+        value: /^select one$/i.test(text) ? '' : text,
+        fieldType: null,
+        confidence: 0
+      });
+    }
+
+    for (const field of fields) {
+      const workday = await describeWorkdayField(field.handle);
+      field.workday = workday;
+
+      if (workday.section && SECTION_FIELDS[workday.section]) {
+        const property = SECTION_FIELDS[workday.section][workday.key] ||
+          (workday.section === 'language' && /proficien/i.test(workday.key || '') ? 'proficiency' : null);
+        if (property) {
+          workday.property = property;
+          field.fieldType = `${workday.section}.${property}`;
+          field.confidence = 1;
+        }
+      } else if (PROFILE_FIELDS[workday.key]) {
+        field.fieldType = PROFILE_FIELDS[workday.key];
+        field.confidence = 1;
+      } else if (EEO_FIELDS[workday.key]) {
+        workday.eeo = EEO_FIELDS[workday.key];
+        field.fieldType = `eeo.${workday.eeo}`;
+        field.confidence = 1;
+      } else if (/^phone(?:Device)?Type$/.test(workday.key || '')) {
+        field.fieldType = 'phoneType';
+        field.confidence = 1;
+      } else if (field.tagName === 'button' && !field.fieldType) {
+        const { fieldType, confidence } = FieldClassifier.classifyField(field);
+        Object.assign(field, { fieldType, confidence });
+      }
+    }
+
+    return fields;
+  },
+
+  resolveFieldValue(bot, field) {
+    const workday = field.workday || {};
+    const userData = bot.userData;
+
+    if (workday.property) {
+      const { profile } = REPEATING_SECTIONS.find(section => section.key === workday.section);
+      const entry = (userData[profile] || [])[workday.index];
+      if (!entry) {
+        return { value: null, source: null };
+      }
+
+      const source = `${profile}[${workday.index}]`;
+      if (workday.property === 'start' || workday.property === 'end') {
+        const date = parseDateRange(entry.dates)[workday.property];
+        const part = workday.datePart || 'year';
+        const value = date && (part === 'month' ? date.month && String(date.month).padStart(2, '0') : date[part]);
+        return { value: value || null, source: value ? `${source}.dates` : null };
+      }
+      if (workday.property === 'degree' || workday.property === 'discipline') {
+        // Profiles store "BSc in Computer Science"; Workday asks for degree and field separately
+        const [degree, discipline] = String(entry.degree || '').split(/\s+in\s+/i);
+        const value = workday.property === 'degree' ? degree : (entry.discipline || discipline);
+        return { value: value || null, source: value ? `${source}.degree` : null };
+      }
+      const value = entry[workday.property];
+      return { value: value || null, source: value ? `${source}.${workday.property}` : null };
+    }
+
+    if (workday.eeo) {
+      const value = (userData.eeo || {})[workday.eeo];
+      return { value: value || null, source: value ? `eeo.${workday.eeo}` : null };
+    }
+
+    if (field.fieldType === 'phoneType') {
+      return { value: 'Mobile', source: 'workday default' };
+    }
+
+    return null;
+  },
+
+  async fillField(bot, field, value) {
+    const workday = field.workday || {};
+
+    if (workday.widget === 'dropdown') {
+      await chooseOption(bot, await openDropdown(bot, field.handle), value);
+      return true;
+    }
+
+    if (workday.widget === 'prompt') {
+      // Multi-select prompts take one entry at a time, each confirmed from the suggestions
+      const entries = field.fieldType === 'skills'
+        ? String(value).split(/\s*,\s*/).filter(Boolean).slice(0, MAX_SECTION_ENTRIES)
+        : [String(value)];
+      const unmatched = [];
+      for (const entry of entries) {
+        await field.handle.click({ force: true });
+        await field.handle.fill(entry);
+        await bot.page.keyboard.press('Enter');
+        const suggestions = await bot.page.$$(`${sel('promptOption')}:visible`);
+        // Never settle for the first suggestion: on a real application it may be a wrong answer
+        if (suggestions.length > 0 && !(await chooseOption(bot, suggestions, entry).then(() => true, () => false))) {
+          await field.handle.fill('');
+          unmatched.push(entry);
+        }
+      }
+      if (unmatched.length > 0) {
+        throw new Error(`no suggestion matches ${unmatched.map(entry => `"${entry}"`).join(', ')}`);
+      }
+      return true;
+    }
+
+    if (workday.widget === 'date') {
+      // Date sections ignore fill(); they only react to typing
+      await field.handle.click({ force: true });
+      await bot.page.keyboard.type(String(value));
+      return true;
+    }
+
+    return false;
+  }
+};
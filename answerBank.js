@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const FieldClassifier = require('./fieldClassifier');
+const { getProfilePath } = require('./profiles');
+
+// Each profile has its own answers
+const getAnswerBankPath = () => getProfilePath('answer_bank.json');
+
+// Lowest score at which a saved question is taken to be the one being asked
+const MIN_MATCH_SCORE = 0.75;
+// Score given when every keyword of an entry appears in the question
+const KEYWORD_MATCH_SCORE = 0.9;
+
+// Words that say nothing about what a question is asking
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'if', 'any', 'please',
+  'i', 'me', 'my', 'we', 'us', 'our', 'you', 'your',
+  'is', 'are', 'am', 'be', 'been', 'do', 'does', 'did', 'have', 'has', 'will', 'would', 'can', 'could', 'should',
+  'to', 'of', 'for', 'with', 'in', 'on', 'at', 'as', 'by', 'from', 'this', 'that', 'these', 'those',
+  'what', 'which', 'who', 'how', 'many', 'much'
+]);
+
+/**
+ * Loads the answer bank from disk
+ * @returns {Object} - { entries: [{ id, question, keywords, answer, ... }] }
+ */
+function loadAnswerBank() {
+  try {
+    if (fs.existsSync(getAnswerBankPath())) {
+      return JSON.parse(fs.readFileSync(getAnswerBankPath(), 'utf8'));
+    }
+  } catch (error) {
+    console.error(`Error loading answer bank: ${error.message}`);
+  }
+  return { entries: [] };
+}
+
+/**
+ * Saves the answer bank to disk
+ * @param {Object} bank - The answer bank
+ */
+function saveAnswerBank(bank) {
+  try {
+    fs.mkdirSync(path.dirname(getAnswerBankPath()), { recursive: true });
+    fs.writeFileSync(getAnswerBankPath(), JSON.stringify(bank, null, 2));
+  } catch (error) {
+    console.error(`Error saving answer bank: ${error.message}`);
+  }
+}
+
+/**
+ * Reduces a question to the words that carry its meaning, with plural and
+ * tense endings removed ("expectations" and "expected" both become "expect")
+ * @param {string} text - The question
+ * @returns {Array} - The stemmed content words
+ */
+function getQuestionTerms(text) {
+  return FieldClassifier.normalizeText(text)
+    .split(' ')
+    .filter(word => word.length > 0 && !STOP_WORDS.has(word))
+    .map(word => (word.length > 5 ? word.replace(/(?:ations?|ing|ed|es|s)$/, '') : word));
+}
+
+/**
+ * Checks whether two stemmed words are the same word, allowing for one shared
+ * stem being longer ("reloc" / "relocat") or a single typo
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {boolean}
+ */
+function termsMatch(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (Math.min(a.length, b.length) >= 5 && (a.startsWith(b) || b.startsWith(a))) {
+    return true;
+  }
+  if (Math.min(a.length, b.length) < 5 || Math.abs(a.length - b.length) > 1) {
+    return false;
+  }
+
+  // At most one insertion, deletion or substitution
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) {
+      return false;
+    }
+    if (a.length > b.length) {
+      i++;
+    } else if (b.length > a.length) {
+      j++;
+    } else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+/**
+ * Scores how well a saved entry answers a question. Every word of the saved
+ * question should appear in the one asked, so "Years of experience with React?"
+ * never answers the same question about Python; extra words cost a little.
+ * @param {Object} entry - Answer bank entry
+ * @param {string} question - The question on the form
+ * @returns {number} - Score between 0 and 1
+ */
+function scoreEntry(entry, question) {
+  const asked = getQuestionTerms(question);
+  const saved = getQuestionTerms(entry.question);
+  if (asked.length === 0) {
+    return 0;
+  }
+
+  let score = 0;
+  if (saved.length > 0) {
+    const found = saved.filter(term => asked.some(other => termsMatch(term, other))).length;
+    score = (found / saved.length) * (0.85 + 0.15 * Math.min(1, saved.length / asked.length));
+  }
+
+  const keywords = (entry.keywords || []).flatMap(getQuestionTerms);
+  if (keywords.length > 0 && keywords.every(term => asked.some(other => termsMatch(term, other)))) {
+    score = Math.max(score, KEYWORD_MATCH_SCORE);
+  }
+
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Finds the saved answer for a question
+ * @param {Object} bank - The answer bank
+ * @param {string} question - The question (field label) on the form
+ * @returns {Object|null} - { entry, score } for the best match of at least MIN_MATCH_SCORE
+ */
+function findAnswer(bank, question) {
+  let best = null;
+  for (const entry of bank.entries) {
+    const score = scoreEntry(entry, question);
+    if (score >= MIN_MATCH_SCORE && (!best || score > best.score)) {
+      best = { entry, score };
+    }
+  }
+  return best;
+}
+
+/**
+ * Marks an entry as used to answer a question
+ * @param {Object} entry - Answer bank entry (modified in place)
+ */
+function recordAnswerUse(entry) {
+  entry.uses = (entry.uses || 0) + 1;
+  entry.lastUsed = new Date().toISOString();
+}
+
+/**
+ * Adds an answer, replacing the entry for the same question if there is one
+ * @param {Object} bank - The answer bank (modified in place)
+ * @param {string} question - The question
+ * @param {string} answer - The answer to give
+ * @param {Array} keywords - Words that identify the question however it is worded
+ * @returns {Object} - The stored entry
+ */
+function addAnswer(bank, question, answer, keywords = []) {
+  const now = new Date().toISOString();
+  const key = FieldClassifier.normalizeText(question);
+  const existing = bank.entries.find(entry => FieldClassifier.normalizeText(entry.question) === key);
+
+  if (existing) {
+    Object.assign(existing, { answer, keywords: keywords.length > 0 ? keywords : existing.keywords, updatedAt: now });
+    return existing;
+  }
+
+  const entry = {
+    id: bank.entries.reduce((max, other) => Math.max(max, other.id), 0) + 1,
+    question,
+    keywords,
+    answer,
+    uses: 0,
+    createdAt: now,
+    updatedAt: now,
+    lastUsed: null
+  };
+  bank.entries.push(entry);
+  return entry;
+}
+
+/**
+ * Removes an answer
+ * @param {Object} bank - The answer bank (modified in place)
+ * @param {number} id - Id of the entry
+ * @returns {boolean} - Whether it existed
+ */
+function removeAnswer(bank, id) {
+  const index = bank.entries.findIndex(entry => entry.id === id);
+  if (index === -1) {
+    return false;
+  }
+  bank.entries.splice(index, 1);
+  return true;
+}
+
+const parseKeywords = (value) => (value ? value.split(',').map(word => word.trim()).filter(Boolean) : []);
+
+// CLI command wrappers
+function listAnswersCommand(options) {
+  const bank = loadAnswerBank();
+  const entries = options.search
+    ? bank.entries.filter(entry => scoreEntry(entry, options.search) >= MIN_MATCH_SCORE ||
+      `${entry.question} ${entry.answer}`.toLowerCase().includes(options.search.toLowerCase()))
+    : bank.entries;
+
+  if (entries.length === 0) {
+    console.log(options.search ? `No saved answers match "${options.search}".` : 'The answer bank is empty.');
+    return;
+  }
+
+  console.log('\nAnswer Bank:');
+  console.log('------------');
+  for (const entry of entries) {
+    console.log(`${String(entry.id).padStart(3)}. ${entry.question}`);
+    console.log(`     -> ${entry.answer}`);
+    if (entry.keywords && entry.keywords.length > 0) {
+      console.log(`     keywords: ${entry.keywords.join(', ')}`);
+    }
+    console.log(`     used ${entry.uses || 0} time(s)${entry.lastUsed ? `, last on ${entry.lastUsed.slice(0, 10)}` : ''}`);
+  }
+}
+
+function addAnswerCommand(question, answer, options) {
+  const bank = loadAnswerBank();
+  const entry = addAnswer(bank, question, answer, parseKeywords(options.keywords));
+  saveAnswerBank(bank);
+  console.log(`Saved answer ${entry.id}: "${entry.question}" -> ${entry.answer}`);
+}
+
+function removeAnswerCommand(id) {
+  const bank = loadAnswerBank();
+  if (!removeAnswer(bank, parseInt(id, 10))) {
+    console.error(`No saved answer with id ${id}`);
+    return;
+  }
+  saveAnswerBank(bank);
+  console.log(`Removed answer ${id}.`);
+}
+
+function testAnswerCommand(question) {
+  const bank = loadAnswerBank();
+  const ranked = bank.entries
+    .map(entry => ({ entry, score: scoreEntry(entry, question) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 5);
+
+  const match = findAnswer(bank, question);
+  console.log(match
+    ? `Answer: ${match.entry.answer} (entry ${match.entry.id}, score ${match.score})`
+    : `No saved answer scores ${MIN_MATCH_SCORE} or more for this question.`);
+
+  if (ranked.length > 0) {
+    console.log('\nClosest entries:');
+    ranked.forEach(({ entry, score }) => console.log(`  ${score.toFixed(2)}  ${entry.id}. ${entry.question}`));
+  }
+}
+
+module.exports = {
+  MIN_MATCH_SCORE,
+  loadAnswerBank,
+  saveAnswerBank,
+  scoreEntry,
+  findAnswer,
+  recordAnswerUse,
+  addAnswer,
+  removeAnswer,
+  listAnswersCommand,
+  addAnswerCommand,
+  removeAnswerCommand,
+  testAnswerCommand
+};
@@ -0,0 +1,396 @@
+const fs = require('fs');
+const { formatSalary } = require('./jobPosting');
+
+const APPLICATIONS_PATH = 'data/applications.json';
+
+// Status lifecycle: which statuses an application may move to from each status
+const STATUS_TRANSITIONS = {
+  applied: ['screening', 'interview', 'offer', 'rejected', 'withdrawn'],
+  screening: ['interview', 'offer', 'rejected', 'withdrawn'],
+  interview: ['interview', 'offer', 'rejected', 'withdrawn'],
+  offer: ['withdrawn', 'rejected'],
+  rejected: [],
+  withdrawn: []
+};
+
+const STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Hostname fragments of the applicant tracking systems we recognise
+const ATS_PATTERNS = [
+  { ats: 'workday', pattern: /myworkdayjobs\.com|workday\.com/ },
+  { ats: 'greenhouse', pattern: /greenhouse\.io/ },
+  { ats: 'lever', pattern: /lever\.co/ },
+  { ats: 'linkedin', pattern: /linkedin\.com/ },
+  { ats: 'indeed', pattern: /indeed\.com/ },
+  { ats: 'glassdoor', pattern: /glassdoor\./ },
+  { ats: 'smartrecruiters', pattern: /smartrecruiters\.com/ },
+  { ats: 'ashby', pattern: /ashbyhq\.com/ },
+  { ats: 'icims', pattern: /icims\.com/ },
+  { ats: 'taleo', pattern: /taleo\.net/ }
+];
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = [
+  /^utm_/, /^gclid$/, /^fbclid$/, /^msclkid$/, /^mc_[ce]id$/, /^_hs(?:enc|mi)$/,
+  /^ref(?:id)?$/, /^trk(?:info)?$/, /^tracking(?:id)?$/, /^src$/, /^source$/,
+  /^gh_src$/, /^lever-(?:source|origin)/, /^from$/, /^ebp$/, /^eid$/
+];
+
+/**
+ * Loads all tracked applications
+ * @returns {Array} - The tracked applications, oldest first
+ */
+function loadApplications() {
+  try {
+    if (fs.existsSync(APPLICATIONS_PATH)) {
+      return JSON.parse(fs.readFileSync(APPLICATIONS_PATH, 'utf8'));
+    }
+  } catch (error) {
+    console.error(`Error loading applications: ${error.message}`);
+  }
+  return [];
+}
+
+/**
+ * Saves all tracked applications
+ * @param {Array} applications - The applications to save
+ */
+function saveApplications(applications) {
+  try {
+    if (!fs.existsSync('data')) {
+      fs.mkdirSync('data', { recursive: true });
+    }
+    fs.writeFileSync(APPLICATIONS_PATH, JSON.stringify(applications, null, 2));
+  } catch (error) {
+    console.error(`Error saving applications: ${error.message}`);
+  }
+}
+
+/**
+ * Works out which applicant tracking system a job URL belongs to
+ * @param {string} url - The job URL
+ * @returns {string} - The ATS name, or 'other'
+ */
+function detectAts(url) {
+  try {
+    const hostname = new URL(url).hostname;
+    const match = ATS_PATTERNS.find(({ pattern }) => pattern.test(hostname));
+    return match ? match.ats : 'other';
+  } catch (error) {
+    return 'other';
+  }
+}
+
+/**
+ * Reduces a job URL to a canonical form so the same posting reached through
+ * different links (tracking parameters, LinkedIn search panes, Indeed
+ * redirects, "/apply" pages) compares equal
+ * @param {string} url - The job URL
+ * @returns {string} - The canonical URL
+ */
+function normalizeJobUrl(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url.trim());
+  } catch (error) {
+    return url.trim();
+  }
+
+  const hostname = parsedUrl.hostname.toLowerCase().replace(/^www\./, '');
+
+  // LinkedIn: /jobs/view/<id> or any jobs page with currentJobId=<id>
+  if (hostname.endsWith('linkedin.com')) {
+    const viewMatch = parsedUrl.pathname.match(/\/jobs\/view\/(?:[^/]*-)?(\d+)/);
+    const jobId = viewMatch ? viewMatch[1] : parsedUrl.searchParams.get('currentJobId');
+    if (jobId) {
+      return `https://linkedin.com/jobs/view/${jobId}`;
+    }
+  }
+
+  // Indeed: every country site and redirect carries the job key as jk or vjk
+  if (hostname.endsWith('indeed.com') || /(^|\.)indeed\./.test(hostname)) {
+    const jobKey = parsedUrl.searchParams.get('jk') || parsedUrl.searchParams.get('vjk');
+    if (jobKey) {
+      return `https://indeed.com/viewjob?jk=${jobKey}`;
+    }
+  }
+
+  const params = [...parsedUrl.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key.toLowerCase())))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+  const pathname = parsedUrl.pathname.replace(/\/apply\/?$/i, '').replace(/\/+$/, '');
+  // Hash-routed boards keep the posting in the fragment (#/job/123); other fragments are page anchors
+  const route = /^#!?\//.test(parsedUrl.hash) ? parsedUrl.hash.replace(/\/apply\/?$/i, '').replace(/\/+$/, '') : '';
+
+  return `${parsedUrl.protocol}//${hostname}${route && !pathname ? '/' : pathname}${query}${route}`;
+}
+
+/**
+ * Finds an earlier application to the same posting
+ * @param {string} url - The job URL
+ * @param {Array} applications - Tracked applications (loaded if omitted)
+ * @returns {Object|null} - The earlier application, or null
+ */
+function findPreviousApplication(url, applications = loadApplications()) {
+  const canonicalUrl = normalizeJobUrl(url);
+  return applications.find(app => (app.canonicalUrl || normalizeJobUrl(app.url)) === canonicalUrl) || null;
+}
+
+/**
+ * Guesses the employer from ATS URLs that carry it in the host or path
+ * (acme.myworkdayjobs.com, boards.greenhouse.io/acme, jobs.lever.co/acme)
+ * @param {string} url - The job URL
+ * @returns {string|null} - The employer slug, or null if it cannot be told
+ */
+function guessCompany(url) {
+  try {
+    const parsedUrl = new URL(url);
+    const firstSegment = parsedUrl.pathname.split('/').filter(Boolean)[0];
+
+    switch (detectAts(url)) {
+      case 'workday':
+        return parsedUrl.hostname.split('.')[0];
+      case 'greenhouse':
+      case 'lever':
+      case 'ashby':
+      case 'smartrecruiters':
+        return firstSegment || null;
+      default:
+        return null;
+    }
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Records a submitted application
+ * @param {Object} details - url, company, role, tags, documents, answers and the scraped posting
+ * @returns {Object} - The stored application
+ */
+function recordApplication(details) {
+  const applications = loadApplications();
+  const appliedAt = new Date().toISOString();
+
+  const application = {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    company: details.company || guessCompany(details.url),
+    role: details.role || null,
+    url: details.url,
+    canonicalUrl: normalizeJobUrl(details.url),
+    ats: detectAts(details.url),
+    appliedAt,
+    status: 'applied',
+    statusHistory: [{ status: 'applied', date: appliedAt, note: null }],
+    tags: details.tags || [],
+    documents: details.documents || [],
+    answers: details.answers || [],
+    // The profile (see "profiles") the application was made with
+    profile: details.profile || null,
+    // The posting as it was when applying, in case it is taken down
+    posting: details.posting || null,
+    notes: []
+  };
+
+  applications.push(application);
+  saveApplications(applications);
+  return application;
+}
+
+/**
+ * Finds an application by id (or unique id prefix)
+ * @param {Array} applications - All tracked applications
+ * @param {string} id - Full id or unique prefix
+ * @returns {Object|null} - The application, or null if not found or ambiguous
+ */
+function findApplication(applications, id) {
+  const matches = applications.filter(app => app.id.startsWith(id));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Moves an application to a new status
+ * @param {string} id - Application id (or unique prefix)
+ * @param {string} status - The new status
+ * @param {string} note - Optional note for the status history
+ * @returns {Object} - The updated application
+ */
+function updateApplicationStatus(id, status, note = null) {
+  const applications = loadApplications();
+  const application = findApplication(applications, id);
+
+  if (!application) {
+    throw new Error(`No application found with id ${id}`);
+  }
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Unknown status "${status}". Use one of: ${STATUSES.join(', ')}`);
+  }
+  if (!STATUS_TRANSITIONS[application.status].includes(status)) {
+    throw new Error(`Cannot move an application from "${application.status}" to "${status}"`);
+  }
+
+  application.status = status;
+  application.statusHistory.push({ status, date: new Date().toISOString(), note });
+  if (note) {
+    application.notes.push(note);
+  }
+
+  saveApplications(applications);
+  return application;
+}
+
+/**
+ * Summarises the tracked applications
+ * @param {Array} applications - All tracked applications
+ * @returns {Object} - Counts by status and ATS plus response rate
+ */
+function computeStats(applications) {
+  const byStatus = Object.fromEntries(STATUSES.map(status => [status, 0]));
+  const byAts = {};
+  const monthAgo = Date.now() - 30 * 24 * 60 * 60 * 1000;
+
+  for (const app of applications) {
+    byStatus[app.status]++;
+    byAts[app.ats] = (byAts[app.ats] || 0) + 1;
+  }
+
+  const responded = applications.filter(app => app.statusHistory.length > 1 && app.status !== 'withdrawn').length;
+
+  return {
+    total: applications.length,
+    lastThirtyDays: applications.filter(app => new Date(app.appliedAt).getTime() >= monthAgo).length,
+    byStatus,
+    byAts,
+    responseRate: applications.length > 0 ? Math.round((responded / applications.length) * 100) : 0
+  };
+}
+
+// CLI command wrappers
+function listApplicationsCommand(options) {
+  let applications = loadApplications();
+
+  if (options.status) {
+    applications = applications.filter(app => app.status === options.status);
+  }
+  if (options.company) {
+    const company = options.company.toLowerCase();
+    applications = applications.filter(app => (app.company || '').toLowerCase().includes(company));
+  }
+
+  if (applications.length === 0) {
+    console.log('No applications found.');
+    return;
+  }
+
+  console.log('\nApplications:');
+  console.log('-------------');
+  for (const app of applications) {
+    const date = app.appliedAt.slice(0, 10);
+    console.log(`${app.id}  ${date}  ${app.status.padEnd(9)}  ${app.company || 'Unknown company'} - ${app.role || 'Unknown role'}`);
+  }
+}
+
+function showApplicationCommand(id, options = {}) {
+  const application = findApplication(loadApplications(), id);
+
+  if (!application) {
+    console.error(`No application found with id ${id}`);
+    return;
+  }
+
+  console.log(`\n${application.company || 'Unknown company'} - ${application.role || 'Unknown role'}`);
+  console.log('-------------------');
+  console.log(`ID: ${application.id}`);
+  console.log(`URL: ${application.url}`);
+  console.log(`ATS: ${application.ats}`);
+  console.log(`Applied: ${application.appliedAt}`);
+  if (application.profile) {
+    console.log(`Profile: ${application.profile}`);
+  }
+  console.log(`Status: ${application.status}`);
+
+  console.log('\nStatus history:');
+  application.statusHistory.forEach(entry => {
+    console.log(`- ${entry.date} ${entry.status}${entry.note ? `: ${entry.note}` : ''}`);
+  });
+
+  const posting = application.posting;
+  if (posting) {
+    console.log('\nPosting:');
+    const details = [
+      ['Location', posting.location],
+      ['Remote', posting.remotePolicy],
+      ['Type', posting.employmentType],
+      ['Salary', formatSalary(posting.salary)],
+      ['Posted', posting.datePosted]
+    ];
+    details.filter(([, value]) => value).forEach(([name, value]) => console.log(`${name}: ${value}`));
+    if (posting.requirements.length > 0) {
+      console.log('Requirements:');
+      posting.requirements.forEach(requirement => console.log(`- ${requirement}`));
+    }
+    if (posting.description) {
+      console.log(options.description
+        ? `\n${posting.description}`
+        : `Description saved (${posting.description.length} characters); show it with --description`);
+    }
+  }
+
+  if (application.documents.length > 0) {
+    console.log('\nDocuments:');
+    application.documents.forEach(doc => console.log(`- ${doc.kind}: ${doc.path}${doc.verified === false ? ' (the site did not show it)' : ''}`));
+  }
+
+  if (application.answers.length > 0) {
+    console.log('\nAnswers submitted:');
+    application.answers.forEach(answer => console.log(`- ${answer.label}: ${answer.value}`));
+  }
+}
+
+function updateApplicationCommand(id, status, options) {
+  try {
+    const application = updateApplicationStatus(id, status, options.note || null);
+    console.log(`${application.company || application.url} is now "${application.status}"`);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+  }
+}
+
+function applicationStatsCommand() {
+  const stats = computeStats(loadApplications());
+
+  console.log('\nApplication Statistics:');
+  console.log('-----------------------');
+  console.log(`Total: ${stats.total}`);
+  console.log(`Last 30 days: ${stats.lastThirtyDays}`);
+  console.log(`Response rate: ${stats.responseRate}%`);
+
+  console.log('\nBy status:');
+  for (const [status, count] of Object.entries(stats.byStatus)) {
+    console.log(`  ${status}: ${count}`);
+  }
+
+  console.log('\nBy ATS:');
+  for (const [ats, count] of Object.entries(stats.byAts)) {
+    console.log(`  ${ats}: ${count}`);
+  }
+}
+
+module.exports = {
+  STATUSES,
+  loadApplications,
+  saveApplications,
+  detectAts,
+  normalizeJobUrl,
+  findPreviousApplication,
+  guessCompany,
+  recordApplication,
+  findApplication,
+  updateApplicationStatus,
+  computeStats,
+  listApplicationsCommand,
+  showApplicationCommand,
+  updateApplicationCommand,
+  applicationStatsCommand
+};
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeJobUrl } = require('./applicationTracker');
+
+const RUNS_DIR = 'data/batch-runs';
+
+// Entry states that will not be attempted again
+const FINAL_STATUSES = ['succeeded', 'skipped'];
+
+/**
+ * Creates a new batch run checkpoint for a list of jobs. Entries that
+ * repeat an earlier URL in the same list are skipped straight away.
+ * @param {string} source - The file the jobs were read from
+ * @param {Array} jobs - Job entries from loadJobList, in order
+ * @param {Object} options - Options the run was started with
+ * @returns {Object} - The saved run
+ */
+function createBatchRun(source, jobs, options = {}) {
+  const now = new Date();
+  const seen = new Set();
+
+  const run = {
+    id: null,
+    source,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    status: 'running',
+    options,
+    entries: jobs.map(job => {
+      const canonicalUrl = normalizeJobUrl(job.url);
+      const duplicate = seen.has(canonicalUrl);
+      seen.add(canonicalUrl);
+
+      return {
+        url: job.url,
+        job,
+        status: duplicate ? 'skipped' : 'pending',
+        attempts: 0,
+        lastAttemptAt: null,
+        message: duplicate ? 'Duplicate of an earlier entry in this batch' : null,
+        result: null
+      };
+    })
+  };
+
+  run.id = claimRunId(now.toISOString().replace(/[-:]/g, '').replace(/\..+$/, ''));
+  saveBatchRun(run);
+  return run;
+}
+
+/**
+ * Reserves a run id by creating its checkpoint file. A batch started in the
+ * same second as another one gets the next free suffix (20240301T091500-2).
+ * @param {string} baseId - The id from the start time
+ * @returns {string} - The reserved id
+ */
+function claimRunId(baseId) {
+  fs.mkdirSync(RUNS_DIR, { recursive: true });
+  for (let n = 1; ; n++) {
+    const id = n === 1 ? baseId : `${baseId}-${n}`;
+    try {
+      // Exclusive create, so two processes can never reserve the same id
+      fs.closeSync(fs.openSync(path.join(RUNS_DIR, `${id}.json`), 'wx'));
+      return id;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Writes a batch run checkpoint to disk
+ * @param {Object} run - The run to save
+ */
+function saveBatchRun(run) {
+  try {
+    if (!fs.existsSync(RUNS_DIR)) {
+      fs.mkdirSync(RUNS_DIR, { recursive: true });
+    }
+    run.updatedAt = new Date().toISOString();
+    fs.writeFileSync(path.join(RUNS_DIR, `${run.id}.json`), JSON.stringify(run, null, 2));
+  } catch (error) {
+    console.error(`Error saving batch run checkpoint: ${error.message}`);
+  }
+}
+
+/**
+ * Loads a batch run checkpoint
+ * @param {string} id - The run id
+ * @returns {Object|null} - The run, or null if it does not exist
+ */
+function loadBatchRun(id) {
+  const runPath = path.join(RUNS_DIR, `${id}.json`);
+  try {
+    if (fs.existsSync(runPath)) {
+      return JSON.parse(fs.readFileSync(runPath, 'utf8'));
+    }
+  } catch (error) {
+    console.error(`Error loading batch run ${id}: ${error.message}`);
+  }
+  return null;
+}
+
+/**
+ * Lists all batch runs, newest first
+ * @returns {Array} - The runs
+ */
+function listBatchRuns() {
+  if (!fs.existsSync(RUNS_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(RUNS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => loadBatchRun(path.basename(file, '.json')))
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Picks the entries of a run that still need an attempt
+ * @param {Object} run - The batch run
+ * @param {number} maxAttempts - Attempts allowed per entry
+ * @returns {Array} - The entries to attempt, in order
+ */
+function getPendingEntries(run, maxAttempts) {
+  return run.entries.filter(entry =>
+    !FINAL_STATUSES.includes(entry.status) && entry.attempts < maxAttempts
+  );
+}
+
+/**
+ * Delay before retrying an entry, doubling with every failed attempt
+ * @param {number} attempts - Attempts made so far
+ * @param {number} baseDelay - Delay before the first retry, in milliseconds
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempts, baseDelay = 15000) {
+  return attempts > 0 ? baseDelay * Math.pow(2, attempts - 1) : 0;
+}
+
+/**
+ * Counts a run's entries by status
+ * @param {Object} run - The batch run
+ * @returns {Object} - Counts keyed by status
+ */
+function summarizeBatchRun(run) {
+  const counts = { pending: 0, succeeded: 0, failed: 0, skipped: 0 };
+  for (const entry of run.entries) {
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+  }
+  return counts;
+}
+
+// CLI command wrappers
+function listBatchRunsCommand() {
+  const runs = listBatchRuns();
+
+  if (runs.length === 0) {
+    console.log('No batch runs found.');
+    return;
+  }
+
+  console.log('\nBatch Runs:');
+  console.log('-----------');
+  for (const run of runs) {
+    const counts = summarizeBatchRun(run);
+    console.log(`${run.id}  ${run.status.padEnd(11)}  ${run.entries.length} jobs  ` +
+      `(${counts.succeeded} succeeded, ${counts.failed} failed, ${counts.skipped} skipped, ${counts.pending} pending)  ${run.source}`);
+  }
+}
+
+function showBatchRunCommand(id) {
+  const run = loadBatchRun(id);
+
+  if (!run) {
+    console.error(`No batch run found with id ${id}`);
+    return;
+  }
+
+  console.log(`\nBatch run ${run.id} (${run.status})`);
+  console.log('-------------------');
+  console.log(`Source: ${run.source}`);
+  console.log(`Started: ${run.createdAt}`);
+  console.log(`Last update: ${run.updatedAt}`);
+  console.log('');
+  run.entries.forEach((entry, i) => {
+    const attempts = entry.attempts === 1 ? '1 attempt' : `${entry.attempts} attempts`;
+    console.log(`${i+1}. [${entry.status}] ${entry.url} (${attempts})${entry.message ? ` - ${entry.message}` : ''}`);
+  });
+}
+
+module.exports = {
+  createBatchRun,
+  saveBatchRun,
+  loadBatchRun,
+  listBatchRuns,
+  getPendingEntries,
+  getRetryDelay,
+  summarizeBatchRun,
+  listBatchRunsCommand,
+  showBatchRunCommand
+};
@@ -0,0 +1,115 @@
+// Scheduling for parallel batch runs: a bounded worker pool, per-domain
+// rate limits and randomised pauses between applications
+
+/**
+ * Picks a random whole number of milliseconds in a range
+ * @param {number} min - Smallest delay in milliseconds
+ * @param {number} max - Largest delay in milliseconds
+ * @returns {number} - The delay
+ */
+function randomDelay(min, max) {
+  return Math.round(min + Math.random() * Math.max(0, max - min));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Reduces a URL to the domain rate limits are applied to
+ * @param {string} url - The job URL
+ * @returns {string} - Hostname without "www.", or the URL itself if it cannot be parsed
+ */
+function getRateLimitDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '') || 'local';
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Spaces out applications to the same domain. Every start on a domain books
+ * the next free slot, so workers queue up behind each other instead of
+ * hitting one site at the same time.
+ */
+class DomainRateLimiter {
+  /**
+   * @param {number} interval - Minimum gap between starts on one domain, in milliseconds
+   * @param {number} jitter - Extra random gap of up to this many milliseconds
+   */
+  constructor(interval, jitter = 0) {
+    this.interval = interval;
+    this.jitter = jitter;
+    this.nextSlot = new Map();
+  }
+
+  /**
+   * Waits until the domain of a URL may be used again and books the slot after it
+   * @param {string} url - The job URL about to be opened
+   * @returns {number} - How long the caller waited, in milliseconds
+   */
+  async wait(url) {
+    const domain = getRateLimitDomain(url);
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot.get(domain) || 0);
+
+    this.nextSlot.set(domain, slot + this.interval + randomDelay(0, this.jitter));
+
+    const waited = slot - now;
+    if (waited > 0) {
+      await sleep(waited);
+    }
+    return waited;
+  }
+}
+
+/**
+ * Runs a worker function over a list of items with at most `concurrency`
+ * running at once. Each worker takes the next item as soon as it is free.
+ * An item that throws is handed to onError and the worker carries on, so one
+ * failure never stops the other workers' items.
+ * @param {Array} items - Items to process, in order
+ * @param {number} concurrency - Number of workers
+ * @param {Function} worker - async (item, workerId) => void
+ * @param {Function} shouldStop - Checked before each item; returning true stops the pool
+ * @param {Function} onError - (error, item, workerId) => void, called for an item that threw
+ */
+async function runWorkerPool(items, concurrency, worker, shouldStop = () => false, onError = (error) => console.error(error)) {
+  const queue = [...items];
+  // A count that is not a number would start no workers and leave the items waiting forever
+  const workerCount = Number.isFinite(concurrency) ? Math.max(1, Math.min(concurrency, queue.length)) : 1;
+
+  const runWorker = async (workerId) => {
+    while (queue.length > 0 && !shouldStop()) {
+      const item = queue.shift();
+      try {
+        await worker(item, workerId);
+      } catch (error) {
+        onError(error, item, workerId);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, (_, i) => runWorker(i + 1)));
+}
+
+/**
+ * Serialises async tasks, so only one runs at a time (e.g. prompts on a shared terminal)
+ * @returns {Function} - (task) => Promise of the task's result
+ */
+function createSerialQueue() {
+  let last = Promise.resolve();
+  return (task) => {
+    const result = last.then(task);
+    last = result.catch(() => {});
+    return result;
+  };
+}
+
+module.exports = {
+  randomDelay,
+  sleep,
+  getRateLimitDomain,
+  DomainRateLimiter,
+  runWorkerPool,
+  createSerialQueue
+};
@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const mammoth = require('mammoth');
+const PDFDocument = require('pdfkit');
+const { Document, Packer, Paragraph, TextRun } = require('docx');
+const { getProfilePath } = require('./profiles');
+const { findMatchedSkills } = require('./skillMatching');
+
+// Each profile has its own template and letters
+const getTemplatePath = () => getProfilePath('cover_letter_template.txt');
+const getOutputDir = () => getProfilePath('cover-letters');
+const FORMATS = ['txt', 'docx', 'pdf'];
+
+// Used until you write your own template (see --init-template)
+const DEFAULT_TEMPLATE = `{{fullName}}
+{{email}} | {{phone}} | {{location}}
+
+{{date}}
+
+Dear Hiring Manager,
+
+I am writing to apply for the {{role}} position at {{company}}. As {{recentRole}} at {{recentCompany}}, I have built up hands-on experience with {{matchedSkills}}.
+
+Your posting mentions: "{{jobSnippet}}" This is exactly the kind of work I want to do more of.
+
+I hold a {{degree}} from {{institution}}, and I would welcome the chance to discuss how I can contribute to your team.
+
+Kind regards,
+{{fullName}}
+`;
+
+// Words that mark the sentences of a posting worth quoting back
+const REQUIREMENT_PATTERN = /\b(?:you will|you'll|responsib|experience (?:with|in)|looking for|required|requirements|we need|ideal candidate)/i;
+
+/**
+ * Picks the sentence of a job description that says most about the role:
+ * the one naming the most matched skills, preferring requirement sentences
+ * @param {string} description - The job description
+ * @param {Array} matchedSkills - Skills found in the description
+ * @returns {string} - The sentence, or an empty string
+ */
+function pickJobSnippet(description, matchedSkills) {
+  const sentences = (description || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.replace(/^[\s•*-]+/, '').trim())
+    .filter(sentence => sentence.length >= 40 && sentence.length <= 300);
+
+  let best = { sentence: '', score: 0 };
+  for (const sentence of sentences) {
+    const skillHits = findMatchedSkills(matchedSkills, sentence).length;
+    const score = skillHits * 2 + (REQUIREMENT_PATTERN.test(sentence) ? 1 : 0);
+    if (score > best.score) {
+      best = { sentence, score };
+    }
+  }
+
+  const snippet = best.sentence;
+  return /[.!?]$/.test(snippet) ? snippet : (snippet && `${snippet}.`);
+}
+
+/**
+ * Collects the values a template's placeholders are filled with
+ * @param {Object} userData - The user data
+ * @param {Object} job - { company, role, description }
+ * @returns {Object} - Placeholder name -> value
+ */
+function buildCoverLetterContext(userData, job = {}) {
+  const personalInfo = userData.personalInfo || {};
+  const recent = (userData.experience || [])[0] || {};
+  const education = (userData.education || [])[0] || {};
+  const skills = userData.skills || [];
+
+  const matched = findMatchedSkills(skills, job.description);
+  // Without a description (or a match), lead with the first skills of the profile
+  const highlighted = (matched.length > 0 ? matched : skills).slice(0, 4);
+  const skillList = highlighted.length > 1
+    ? `${highlighted.slice(0, -1).join(', ')} and ${highlighted[highlighted.length - 1]}`
+    : highlighted.join('');
+
+  return {
+    fullName: personalInfo.fullName || '',
+    email: personalInfo.email || '',
+    phone: personalInfo.phone || '',
+    location: personalInfo.location || '',
+    date: new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' }),
+    company: job.company || 'your company',
+    role: job.role || 'advertised',
+    matchedSkills: skillList,
+    recentRole: recent.title || '',
+    recentCompany: recent.company || '',
+    recentExperience: recent.description || '',
+    degree: education.degree || '',
+    institution: education.institution || '',
+    jobSnippet: pickJobSnippet(job.description, matched)
+  };
+}
+
+/**
+ * Fills the {{placeholders}} of a template. Paragraphs whose placeholders all
+ * have no value (such as the job snippet without a description) are left out.
+ * @param {string} template - The template text
+ * @param {Object} context - Placeholder values from buildCoverLetterContext
+ * @returns {Object} - { text, empty } where empty lists placeholders that had no value
+ */
+function renderTemplate(template, context) {
+  const unknown = [...template.matchAll(/{{\s*(\w+)\s*}}/g)]
+    .map(match => match[1])
+    .filter(name => !(name in context));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown placeholder(s) in cover letter template: ${[...new Set(unknown)].join(', ')}. ` +
+      `Available: ${Object.keys(context).join(', ')}`);
+  }
+
+  const empty = new Set();
+  const text = template
+    .split(/(\n\s*\n)/)
+    .filter(paragraph => {
+      const names = [...paragraph.matchAll(/{{\s*(\w+)\s*}}/g)].map(match => match[1]);
+      return names.length === 0 || names.some(name => context[name]);
+    })
+    .join('')
+    .replace(/(\n\s*\n)+/g, '\n\n')
+    .replace(/{{\s*(\w+)\s*}}/g, (_, name) => {
+      if (!context[name]) {
+        empty.add(name);
+      }
+      return context[name];
+    });
+  return { text, empty: [...empty] };
+}
+
+/**
+ * Reads a cover letter template: a .txt file, or a .docx written in Word
+ * @param {string} templatePath - The template, or null for the saved or built-in one
+ * @returns {Promise<string>} - The template text
+ */
+async function loadTemplate(templatePath) {
+  const file = templatePath || (fs.existsSync(getTemplatePath()) ? getTemplatePath() : null);
+  if (!file) {
+    return DEFAULT_TEMPLATE;
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`Cover letter template not found: ${file}`);
+  }
+  if (path.extname(file).toLowerCase() === '.docx') {
+    return (await mammoth.extractRawText({ path: file })).value;
+  }
+  return fs.readFileSync(file, 'utf8');
+}
+
+/**
+ * Throws for a format the cover letter cannot be written in
+ * @param {string} format - File extension without the dot
+ */
+function checkFormat(format) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unsupported cover letter format "${format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Writes a cover letter as plain text, DOCX or PDF
+ * @param {string} text - The cover letter
+ * @param {string} outputPath - Where to write it; its extension picks the format
+ * @returns {Promise<string>} - The path written
+ */
+async function writeCoverLetter(text, outputPath) {
+  const format = path.extname(outputPath).slice(1).toLowerCase();
+  checkFormat(format);
+  fs.mkdirSync(path.dirname(path.resolve(outputPath)), { recursive: true });
+
+  // Blank lines separate paragraphs; single line breaks are kept within them
+  const paragraphs = text.trim().split(/\n\s*\n/).map(paragraph => paragraph.split('\n'));
+
+  if (format === 'txt') {
+    fs.writeFileSync(outputPath, `${text.trim()}\n`);
+  } else if (format === 'docx') {
+    const document = new Document({
+      sections: [{
+        children: paragraphs.map(lines => new Paragraph({
+          spacing: { after: 240 },
+          children: lines.map((line, i) => new TextRun({ text: line, break: i > 0 ? 1 : 0, font: 'Calibri', size: 22 }))
+        }))
+      }]
+    });
+    fs.writeFileSync(outputPath, await Packer.toBuffer(document));
+  } else {
+    await new Promise((resolve, reject) => {
+      const document = new PDFDocument({ size: 'A4', margin: 72, info: { Title: 'Cover Letter' } });
+      const stream = fs.createWriteStream(outputPath);
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+      document.pipe(stream);
+      document.font('Helvetica').fontSize(11);
+      paragraphs.forEach(lines => document.text(lines.join('\n'), { lineGap: 2 }).moveDown());
+      document.end();
+    });
+  }
+
+  return outputPath;
+}
+
+/**
+ * Builds a file name for a generated cover letter and reserves it. A second letter
+ * for the same company and role on the same day gets the next free suffix
+ * (acme-engineer-2024-03-01-2.pdf) instead of replacing the first.
+ * @param {Object} job - { company, role }
+ * @param {string} format - txt, docx or pdf
+ * @returns {string} - Path in the profile's cover-letters directory
+ */
+function getDefaultOutputPath(job, format) {
+  checkFormat(format);
+  const slug = [job.company, job.role]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 60) || 'cover-letter';
+  const baseName = `${slug}-${new Date().toISOString().slice(0, 10)}`;
+
+  fs.mkdirSync(getOutputDir(), { recursive: true });
+  for (let n = 1; ; n++) {
+    const outputPath = path.join(getOutputDir(), `${n === 1 ? baseName : `${baseName}-${n}`}.${format}`);
+    try {
+      // Exclusive create, so batch workers never write to the same file
+      fs.closeSync(fs.openSync(outputPath, 'wx'));
+      return outputPath;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Generates a cover letter for a job and writes it to disk
+ * @param {Object} userData - The user data
+ * @param {Object} job - { company, role, description }
+ * @param {Object} options - { templatePath, outputPath, format }
+ * @returns {Promise<Object>} - { text, path, empty }
+ */
+async function generateCoverLetter(userData, job, options = {}) {
+  const template = await loadTemplate(options.templatePath);
+  const { text, empty } = renderTemplate(template, buildCoverLetterContext(userData, job));
+  const outputPath = options.outputPath || getDefaultOutputPath(job, options.format || 'pdf');
+
+  try {
+    await writeCoverLetter(text, outputPath);
+  } catch (error) {
+    // Do not leave the reserved name behind as an empty file
+    if (!options.outputPath) {
+      fs.rmSync(outputPath, { force: true });
+    }
+    throw error;
+  }
+  return { text, path: path.resolve(outputPath), empty };
+}
+
+// CLI command wrappers
+function initTemplateCommand() {
+  const templatePath = getTemplatePath();
+  if (fs.existsSync(templatePath)) {
+    console.error(`A template already exists at ${templatePath}`);
+    return;
+  }
+  fs.mkdirSync(path.dirname(templatePath), { recursive: true });
+  fs.writeFileSync(templatePath, DEFAULT_TEMPLATE);
+  console.log(`Wrote the default template to ${templatePath}. Edit it; it is used from now on.`);
+}
+
+async function generateCoverLetterCommand(userData, options) {
+  const description = options.description ? fs.readFileSync(options.description, 'utf8') : '';
+  const job = { company: options.company, role: options.role, description };
+
+  const format = options.output ? null : (options.format || 'pdf');
+  const result = await generateCoverLetter(userData, job, {
+    templatePath: options.template,
+    outputPath: options.output,
+    format
+  });
+
+  console.log(`\n${result.text.trim()}\n`);
+  if (result.empty.length > 0) {
+    console.log(`Note: no value for ${result.empty.join(', ')}; update your profile or the template.`);
+  }
+  console.log(`Cover letter saved to: ${result.path}`);
+}
+
+module.exports = {
+  FORMATS,
+  buildCoverLetterContext,
+  renderTemplate,
+  loadTemplate,
+  writeCoverLetter,
+  generateCoverLetter,
+  initTemplateCommand,
+  generateCoverLetterCommand
+};
@@ -0,0 +1,321 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const VAULT_PATH = 'data/vault.json';
+const LEGACY_SESSIONS_PATH = 'data/sessions.json';
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Job sites whose credentials used to live in user_data.json
+const LEGACY_CREDENTIAL_FIELDS = {
+  linkedinCredentials: 'linkedin.com',
+  indeedCredentials: 'indeed.com',
+  glassdoorCredentials: 'glassdoor.com'
+};
+
+/**
+ * Reduces a URL or hostname to the domain credentials are stored under
+ * @param {string} input - A URL, hostname or domain
+ * @returns {string} - Lower-case hostname without "www."
+ */
+function normalizeDomain(input) {
+  const value = String(input).trim().toLowerCase();
+  try {
+    return new URL(value.includes('://') ? value : `https://${value}`).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return value.replace(/^www\./, '');
+  }
+}
+
+/**
+ * Checks whether a vault has been created
+ * @returns {boolean}
+ */
+function vaultExists() {
+  return fs.existsSync(VAULT_PATH);
+}
+
+/**
+ * Reads the unencrypted header of the vault file
+ * @returns {Object|null} - { mode, keyFile } or null if there is no vault
+ */
+function getVaultInfo() {
+  if (!vaultExists()) {
+    return null;
+  }
+  const file = JSON.parse(fs.readFileSync(VAULT_PATH, 'utf8'));
+  return { mode: file.mode, keyFile: file.keyFile || null, updatedAt: file.updatedAt };
+}
+
+/**
+ * Writes a new random key file, readable only by the current user
+ * @param {string} keyFilePath - Where to write the key file
+ */
+function createKeyFile(keyFilePath) {
+  fs.mkdirSync(path.dirname(path.resolve(keyFilePath)), { recursive: true });
+  fs.writeFileSync(keyFilePath, crypto.randomBytes(KEY_LENGTH).toString('base64') + '\n', { mode: 0o600 });
+}
+
+/**
+ * Turns a passphrase or key file into the raw secret the key is derived from
+ * @param {Object} secret - { passphrase } or { keyFile }
+ * @returns {string} - The secret material
+ */
+function readSecret(secret) {
+  if (secret.keyFile) {
+    if (!fs.existsSync(secret.keyFile)) {
+      throw new Error(`Key file not found: ${secret.keyFile}`);
+    }
+    return fs.readFileSync(secret.keyFile, 'utf8').trim();
+  }
+  if (!secret.passphrase) {
+    throw new Error('A passphrase or key file is required to open the vault');
+  }
+  return secret.passphrase;
+}
+
+/**
+ * Derives the encryption key from a secret with scrypt
+ * @param {Object} secret - { passphrase } or { keyFile }
+ * @param {Object} kdf - { salt, N, r, p } as stored in the vault file
+ * @returns {Buffer} - The key
+ */
+function deriveKey(secret, kdf) {
+  return crypto.scryptSync(readSecret(secret), Buffer.from(kdf.salt, 'base64'), KEY_LENGTH, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: 128 * kdf.N * kdf.r * 2
+  });
+}
+
+/**
+ * Sets the secret a vault is encrypted with, using a fresh salt
+ * @param {Object} vault - The unlocked vault
+ * @param {Object} secret - { passphrase } or { keyFile }
+ */
+function setVaultSecret(vault, secret) {
+  if (secret.passphrase !== undefined && !secret.keyFile && secret.passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long`);
+  }
+
+  vault.mode = secret.keyFile ? 'keyFile' : 'passphrase';
+  vault.keyFile = secret.keyFile ? path.resolve(secret.keyFile) : null;
+  vault.kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_PARAMS };
+  vault.key = deriveKey(secret, vault.kdf);
+}
+
+/**
+ * Encrypts the vault contents and writes them to disk
+ * @param {Object} vault - The unlocked vault
+ */
+function saveVault(vault) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, vault.key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(vault.contents), 'utf8'), cipher.final()]);
+
+  const file = {
+    version: 1,
+    mode: vault.mode,
+    keyFile: vault.keyFile,
+    kdf: vault.kdf,
+    cipher: CIPHER,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+    updatedAt: new Date().toISOString()
+  };
+
+  if (!fs.existsSync('data')) {
+    fs.mkdirSync('data', { recursive: true });
+  }
+  fs.writeFileSync(VAULT_PATH, JSON.stringify(file, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Creates an empty vault
+ * @param {Object} secret - { passphrase } or { keyFile }
+ * @returns {Object} - The unlocked vault
+ */
+function createVault(secret) {
+  if (vaultExists()) {
+    throw new Error(`A vault already exists at ${VAULT_PATH}`);
+  }
+
+  const vault = { contents: { credentials: {}, sessions: {} } };
+  setVaultSecret(vault, secret);
+  saveVault(vault);
+  return vault;
+}
+
+/**
+ * Decrypts the vault
+ * @param {Object} secret - { passphrase } or { keyFile }
+ * @returns {Object} - The unlocked vault
+ */
+function unlockVault(secret) {
+  if (!vaultExists()) {
+    throw new Error('No credential vault found. Create one with: node index.js vault init');
+  }
+
+  const file = JSON.parse(fs.readFileSync(VAULT_PATH, 'utf8'));
+  const key = deriveKey(secret, file.kdf);
+
+  let contents;
+  try {
+    const decipher = crypto.createDecipheriv(file.cipher, key, Buffer.from(file.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+    contents = JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    throw new Error(file.mode === 'keyFile' ? 'Wrong key file for this vault' : 'Wrong passphrase');
+  }
+
+  return { mode: file.mode, keyFile: file.keyFile || null, kdf: file.kdf, key, contents };
+}
+
+/**
+ * Finds the credentials for a site, falling back from subdomains to their parent domain
+ * @param {Object} vault - The unlocked vault
+ * @param {string} domain - Domain, hostname or URL of the site
+ * @returns {Object|null} - { domain, username, password } or null
+ */
+function findCredential(vault, domain) {
+  let candidate = normalizeDomain(domain);
+
+  while (candidate.includes('.')) {
+    const entry = vault.contents.credentials[candidate];
+    if (entry) {
+      return { domain: candidate, username: entry.username, password: entry.password };
+    }
+    candidate = candidate.slice(candidate.indexOf('.') + 1);
+  }
+  return null;
+}
+
+/**
+ * Adds or replaces the credentials for a domain
+ * @param {Object} vault - The unlocked vault
+ * @param {string} domain - Domain, hostname or URL of the site
+ * @param {Object} credential - { username, password }
+ * @returns {Object} - The stored entry
+ */
+function setCredential(vault, domain, credential) {
+  const key = normalizeDomain(domain);
+  const existing = vault.contents.credentials[key];
+  const now = new Date().toISOString();
+
+  vault.contents.credentials[key] = {
+    username: credential.username,
+    password: credential.password,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+  return vault.contents.credentials[key];
+}
+
+/**
+ * Removes the credentials and saved session for a domain
+ * @param {Object} vault - The unlocked vault
+ * @param {string} domain - Domain, hostname or URL of the site
+ * @returns {boolean} - Whether anything was removed
+ */
+function removeCredential(vault, domain) {
+  const key = normalizeDomain(domain);
+  const existed = Boolean(vault.contents.credentials[key]);
+  delete vault.contents.credentials[key];
+  delete vault.contents.sessions[key];
+  return existed;
+}
+
+/**
+ * Lists stored credentials without their passwords
+ * @param {Object} vault - The unlocked vault
+ * @returns {Array} - { domain, username, createdAt, updatedAt, hasSession }
+ */
+function listCredentials(vault) {
+  return Object.entries(vault.contents.credentials)
+    .map(([domain, entry]) => ({
+      domain,
+      username: entry.username,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt,
+      hasSession: Boolean(vault.contents.sessions[domain])
+    }))
+    .sort((a, b) => a.domain.localeCompare(b.domain));
+}
+
+/**
+ * Finds credentials still stored in plaintext in the user data
+ * @param {Object} userData - The user data
+ * @returns {boolean}
+ */
+function hasPlaintextCredentials(userData) {
+  return Boolean(userData) &&
+    (Object.keys(LEGACY_CREDENTIAL_FIELDS).some(field => userData[field]) || Boolean(userData.genericCredentials));
+}
+
+/**
+ * Moves plaintext credentials out of the user data, and sessions out of
+ * data/sessions.json, into the vault. The caller saves both afterwards.
+ * @param {Object} vault - The unlocked vault
+ * @param {Object} userData - The user data (modified in place)
+ * @returns {Object} - { credentials, sessions } counts of moved entries
+ */
+function migratePlaintextSecrets(vault, userData) {
+  const moved = { credentials: 0, sessions: 0 };
+
+  if (userData) {
+    const legacy = Object.entries(LEGACY_CREDENTIAL_FIELDS)
+      .map(([field, domain]) => [domain, userData[field]])
+      .concat(Object.entries(userData.genericCredentials || {}));
+
+    for (const [domain, credential] of legacy) {
+      // convertToUserData used to fill in 'placeholder' for unknown passwords
+      if (credential && credential.username && credential.password && credential.password !== 'placeholder') {
+        setCredential(vault, domain, credential);
+        moved.credentials++;
+      }
+    }
+
+    Object.keys(LEGACY_CREDENTIAL_FIELDS).forEach(field => delete userData[field]);
+    delete userData.genericCredentials;
+  }
+
+  if (fs.existsSync(LEGACY_SESSIONS_PATH)) {
+    const sessions = JSON.parse(fs.readFileSync(LEGACY_SESSIONS_PATH, 'utf8'));
+    for (const session of sessions) {
+      vault.contents.sessions[normalizeDomain(session.domain)] = {
+        username: session.username,
+        cookie: session.cookie
+      };
+      moved.sessions++;
+    }
+    fs.unlinkSync(LEGACY_SESSIONS_PATH);
+  }
+
+  return moved;
+}
+
+module.exports = {
+  VAULT_PATH,
+  MIN_PASSPHRASE_LENGTH,
+  normalizeDomain,
+  vaultExists,
+  getVaultInfo,
+  createKeyFile,
+  setVaultSecret,
+  saveVault,
+  createVault,
+  unlockVault,
+  findCredential,
+  setCredential,
+  removeCredential,
+  listCredentials,
+  hasPlaintextCredentials,
+  migratePlaintextSecrets
+};
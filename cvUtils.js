@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const { getProfileDir, getProfilePath } = require('./profiles');
+const ProfileSchema = require('./profileSchema');
 
 /**
  * Imports a CV JSON file into the job application system
@@ -13,21 +15,27 @@ async function importCVJson(jsonFilePath) {
     const fileContent = fs.readFileSync(jsonFilePath, 'utf8');
     const cvData = JSON.parse(fileContent);
     
-    // Convert the CV data to the application's user data format
-    const userData = convertToUserData(cvData);
+    // Convert the CV data to the application's user data format. The migrations
+    // normalise what the CV holds in older shapes, e.g. skills as "JS, Python".
+    const converted = convertToUserData(cvData, path.dirname(path.resolve(jsonFilePath)));
+    const { profile: userData } = ProfileSchema.migrateProfile(converted);
+    const errors = ProfileSchema.validateProfile(userData);
+    if (errors.length > 0) {
+      throw new Error(`The converted CV does not match the profile schema:\n${ProfileSchema.formatErrors(errors)}`);
+    }
     
     // Create a backup of existing user data if it exists
-    const userDataPath = 'data/user_data.json';
+    const userDataPath = getProfilePath('user_data.json');
     if (fs.existsSync(userDataPath)) {
       const timestamp = new Date().toISOString().replace(/:/g, '-');
-      const backupPath = `data/user_data_backup_${timestamp}.json`;
+      const backupPath = getProfilePath(`user_data_backup_${timestamp}.json`);
       fs.copyFileSync(userDataPath, backupPath);
       console.log(`Created backup of existing user data at: ${backupPath}`);
     }
     
     // Ensure the data directory exists
-    if (!fs.existsSync('data')) {
-      fs.mkdirSync('data', { recursive: true });
+    if (!fs.existsSync(getProfileDir())) {
+      fs.mkdirSync(getProfileDir(), { recursive: true });
     }
     
     // Save the converted data to the user_data.json file
@@ -47,24 +55,51 @@ async function importCVJson(jsonFilePath) {
 /**
  * Converts the CV JSON format to the application's user data format
  * @param {Object} cvData - The CV data in the input format
- * @returns {Object} - The user data in the application's format
+ * @param {string} baseDir - Directory that relative document paths start from
+ * @returns {Object} - The user data in the application's format, without a
+ *   schemaVersion: ProfileSchema.migrateProfile upgrades it like an older profile
  */
-function convertToUserData(cvData) {
+function convertToUserData(cvData, baseDir = process.cwd()) {
+  // The template leaves unanswered fields as empty strings
+  const value = (key) => {
+    const answer = cvData[key];
+    return answer === undefined || answer === null || String(answer).trim() === '' ? null : String(answer).trim();
+  };
+  
   // Create the user data structure
   const userData = {
     personalInfo: {
-      fullName: `${cvData.first_name} ${cvData.last_name}`,
-      email: cvData.email,
-      phone: cvData.phone,
+      salutation: value('salutation'),
+      firstName: value('first_name'),
+      lastName: value('last_name'),
+      fullName: [value('first_name'), value('last_name')].filter(Boolean).join(' ') || null,
+      email: value('email'),
+      secondaryEmail: value('secondary_email'),
+      phone: value('phone'),
       location: generateLocation(cvData),
       dateOfBirth: null
     },
+    address: {
+      line1: value('address1'),
+      line2: value('address2'),
+      city: value('city'),
+      county: value('county'),
+      postcode: value('postcode'),
+      country: value('residence')
+    },
+    citizenships: [value('citizenship'), value('citizenship2')].filter(Boolean),
+    locationPreferences: [],
+    educationSummary: {
+      highestLevel: value('highest_education'),
+      attendedUniversity: value('uni?')
+    },
     education: [],
     experience: [],
     skills: cvData.skills || [],
     languages: [],
-    certifications: cvData.certifications || [],
-    workAuthorizationStatus: cvData.citizenship,
+    certifications: (cvData.certifications || []).map(certification =>
+      (typeof certification === 'string' ? { name: certification, date: null, issuer: null } : certification)),
+    workAuthorizationStatus: value('citizenship'),
     socialMediaProfiles: {}
   };
   
@@ -73,25 +108,50 @@ function convertToUserData(cvData) {
     userData.socialMediaProfiles.linkedin = cvData.linkedin;
   }
   
+  // Preferred work locations (location1-3), their preference (LP1-3) and the
+  // right-to-work answers for each (loc1auth, loc1auth-a, ...)
+  for (let i = 1; i <= 3; i++) {
+    if (value(`location${i}`)) {
+      userData.locationPreferences.push({
+        location: value(`location${i}`),
+        preference: value(`LP${i}`),
+        workAuthorization: value(`loc${i}auth`),
+        workAuthorizationDetails: value(`loc${i}auth-a`)
+      });
+    }
+  }
+  
   // Convert education data
-  if (cvData.education && Array.isArray(cvData.education)) {
+  if (Array.isArray(cvData.education) && cvData.education.length > 0) {
     userData.education = cvData.education;
-  } else if (cvData.university) {
-    // Create education entry from university fields
-    userData.education.push({
-      institution: cvData.university,
-      degree: `${cvData.degree} in ${cvData.discipline}`,
-      dates: `${formatDate(cvData.undergrad_start_date)} to ${formatDate(cvData.undergrad_end_date)}`,
-      gpa: cvData.degree_score
-    });
+  } else {
+    // Create education entries from the university and school fields
+    if (value('university')) {
+      userData.education.push({
+        institution: value('university'),
+        degree: [value('degree'), value('discipline')].filter(Boolean).join(' in ') || null,
+        fieldOfStudy: value('discipline'),
+        degreeClass: value('degree_class'),
+        city: value('university_city'),
+        state: value('university_state'),
+        country: value('university_country'),
+        startDate: value('undergrad_start_date'),
+        endDate: value('undergrad_end_date'),
+        dates: formatDateRange(formatDate(cvData.undergrad_start_date), formatDate(cvData.undergrad_end_date)),
+        gpa: value('degree_score')
+      });
+    }
     
-    // Add school education if available
-    if (cvData.school_name) {
+    if (value('school_name')) {
       userData.education.push({
-        institution: cvData.school_name,
-        degree: cvData.school_system,
-        dates: `${formatDate(cvData.school_start_date)} to ${formatDate(cvData.school_end_date)}`,
-        gpa: cvData.school_grades
+        institution: value('school_name'),
+        degree: value('school_system'),
+        schoolType: value('school_type'),
+        location: value('school_location'),
+        startDate: value('school_start_date'),
+        endDate: value('school_end_date'),
+        dates: formatDateRange(formatDate(cvData.school_start_date), formatDate(cvData.school_end_date)),
+        gpa: value('school_grades')
       });
     }
   }
@@ -108,12 +168,28 @@ function convertToUserData(cvData) {
       userData.experience.push({
         company: cvData[employerKey],
         title: cvData[titleKey],
-        dates: `${formatDisplayDate(cvData[startDateKey])} to ${formatDisplayDate(cvData[endDateKey])}`,
-        description: `Worked as ${cvData[titleKey]} at ${cvData[employerKey]} in ${cvData[countryKey]}`
+        country: value(countryKey),
+        startDate: value(startDateKey),
+        endDate: value(endDateKey),
+        dates: formatDateRange(formatDisplayDate(cvData[startDateKey]), formatDisplayDate(cvData[endDateKey])),
+        description: `Worked as ${cvData[titleKey]} at ${cvData[employerKey]}${value(countryKey) ? ` in ${value(countryKey)}` : ''}`
       });
     }
   }
   
+  // The current employer comes first, as forms ask for it as "current employer"
+  if (value('recent_employer')) {
+    const isRecent = (job) => job.company.toLowerCase() === value('recent_employer').toLowerCase();
+    const recent = userData.experience.find(isRecent) || {
+      company: value('recent_employer'),
+      title: value('recent_title'),
+      dates: null,
+      description: null
+    };
+    recent.title = recent.title || value('recent_title');
+    userData.experience = [recent, ...userData.experience.filter(job => job !== recent)];
+  }
+  
   // Add languages
   if (cvData.native_language) {
     userData.languages.push({
@@ -136,21 +212,30 @@ function convertToUserData(cvData) {
     });
   }
   
-  // Add credentials placeholders
-  userData.linkedinCredentials = {
-    username: cvData.email,
-    password: cvData.password || 'placeholder'
-  };
+  // Documents uploaded with every application unless a job gives its own
+  userData.documents = {};
+  for (const [kind, field] of [['resume', 'resume_path'], ['coverLetter', 'cover_letter_path'], ['transcript', 'transcript_path']]) {
+    if (cvData[field]) {
+      userData.documents[kind] = path.resolve(baseDir, cvData[field]);
+    }
+  }
   
-  userData.indeedCredentials = {
-    username: cvData.email,
-    password: cvData.password || 'placeholder'
+  // Voluntary diversity monitoring answers, including the social mobility
+  // questions of UK graduate schemes
+  userData.eeo = {
+    gender: value('gender'),
+    selfIdentity: value('self_identity'),
+    ethnicity: value('ethnicity'),
+    veteranStatus: value('veteran'),
+    disability: value('disability'),
+    sexualOrientation: value('sexual_orientation'),
+    firstGeneration: value('first_generation'),
+    freeSchoolMeals: value('free_school_meals'),
+    governmentEmployee: value('government_employee'),
+    familyGovernmentEmployee: value('family_government_employee')
   };
   
-  userData.glassdoorCredentials = {
-    username: cvData.email,
-    password: cvData.password || 'placeholder'
-  };
+  // Job site passwords are never copied into user data; they belong in the encrypted vault
   
   return userData;
 }
@@ -204,6 +289,17 @@ function formatDisplayDate(dateStr) {
   return dateStr;
 }
 
+/**
+ * Joins the start and end of a period, leaving out a missing end
+ * @param {string} start - Formatted start date
+ * @param {string} end - Formatted end date
+ * @returns {string|null} - e.g. "September 2018 to June 2021", or null without a start
+ */
+function formatDateRange(start, end) {
+  if (!start) return end || null;
+  return end ? `${start} to ${end}` : start;
+}
+
 /**
  * Formats a date string (handling different input formats)
  * @param {string} dateStr - The date string in various formats
@@ -0,0 +1,554 @@
+// fieldClassifier.js
+// Works out what a form field asks for from its label, name and other attributes,
+// for JobApplicationBot and the Chrome extension content script.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FieldClassifier = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // How much a keyword match in each attribute is trusted
+  const SOURCE_WEIGHTS = {
+    autocomplete: 0.95,
+    label: 0.9,
+    ariaLabel: 0.9,
+    name: 0.8,
+    id: 0.7,
+    placeholder: 0.6,
+    context: 0.5,
+    options: 0.5
+  };
+
+  // Minimum confidence for a field to be given a type at all
+  const MIN_CONFIDENCE = 0.5;
+
+  // "Years of experience with React" asks for a number, not a summary of the profile
+  const QUANTITY_QUESTION = /\b(?:years?|yrs|months?|how (?:many|much|long)|number of)\b/;
+
+  // Rules are listed in priority order; on equal confidence the earlier rule wins
+  const FIELD_RULES = [
+    {
+      fieldType: 'secondaryEmail',
+      patterns: [/\b(?:secondary|alternative|alternate|additional|second|other) e ?mail\b/]
+    },
+    {
+      fieldType: 'email',
+      inputTypes: ['email'],
+      autocomplete: ['email'],
+      patterns: [/\be ?mail\b/],
+      exclude: [/\b(?:secondary|alternative|alternate|additional|second|other) e ?mail\b/]
+    },
+    {
+      fieldType: 'phone',
+      inputTypes: ['tel'],
+      autocomplete: ['tel', 'tel-national'],
+      patterns: [/\b(?:phone|mobile|telephone|cell)\b/]
+    },
+    {
+      fieldType: 'firstName',
+      autocomplete: ['given-name'],
+      patterns: [/\b(?:first|given|fore) ?names?\b/, /\bfname\b/]
+    },
+    {
+      fieldType: 'lastName',
+      autocomplete: ['family-name'],
+      patterns: [/\b(?:last|family|sur) ?names?\b/, /\blname\b/]
+    },
+    {
+      fieldType: 'fullName',
+      autocomplete: ['name'],
+      patterns: [/\bfull ?name\b/, /\blegal name\b/, /\byour name\b/, /^name$/],
+      exclude: [/\b(?:first|last|middle|given|family|sur|company|employer|school|user|file|reference|manager|preferred) ?name\b/]
+    },
+    {
+      fieldType: 'linkedin',
+      patterns: [/\blinked ?in\b/]
+    },
+    {
+      fieldType: 'github',
+      patterns: [/\bgit ?hub\b/]
+    },
+    {
+      fieldType: 'website',
+      inputTypes: ['url'],
+      autocomplete: ['url'],
+      patterns: [/\b(?:website|portfolio|personal site|homepage)\b/],
+      exclude: [/\blinked ?in\b/, /\bgit ?hub\b/]
+    },
+    {
+      fieldType: 'dateOfBirth',
+      autocomplete: ['bday'],
+      patterns: [/\bdate of birth\b/, /\bbirth ?date\b/, /\bdob\b/]
+    },
+    {
+      fieldType: 'zip',
+      autocomplete: ['postal-code'],
+      patterns: [/\b(?:zip|postal|post ?code)\b/]
+    },
+    {
+      fieldType: 'city',
+      autocomplete: ['address-level2'],
+      patterns: [/\b(?:city|town)\b/]
+    },
+    {
+      fieldType: 'state',
+      autocomplete: ['address-level1'],
+      patterns: [/\b(?:state|province|county|region)\b/],
+      exclude: [/\bunited states\b/],
+      optionPatterns: [/\b(?:california|texas|new york|ontario)\b/]
+    },
+    {
+      fieldType: 'nationality',
+      patterns: [/\bnationalit(?:y|ies)\b/, /\bcitizenships?\b/]
+    },
+    {
+      fieldType: 'country',
+      autocomplete: ['country', 'country-name'],
+      patterns: [/\bcountry\b/],
+      optionPatterns: [/\b(?:united states|united kingdom|canada|germany)\b/]
+    },
+    {
+      fieldType: 'address',
+      autocomplete: ['street-address', 'address-line1'],
+      patterns: [/\b(?:street|address)\b/],
+      exclude: [/\be ?mail\b/, /\bweb\b/]
+    },
+    {
+      fieldType: 'preferredLocation',
+      patterns: [/\b(?:preferred|first choice|desired) (?:work )?(?:location|office|city)\b/, /\blocation preferences?\b/, /\bwhich (?:office|location)\b/]
+    },
+    {
+      fieldType: 'location',
+      patterns: [/\blocation\b/, /\bwhere are you based\b/]
+    },
+    {
+      fieldType: 'workAuthorization',
+      patterns: [
+        /\bauthori[sz](?:ed|ation)\b/,
+        /\bright to work\b/,
+        /\beligible to work\b/,
+        /\bwork permit\b/,
+        /\bvisa\b/,
+        /\bsponsorship\b/
+      ]
+    },
+    // Diversity monitoring questions, answered from userData.eeo. They come
+    // before the education rules: "free school meals" also names a school.
+    {
+      fieldType: 'eeo.selfIdentity',
+      patterns: [/\bgender identity\b/, /\bsex (?:you were )?assigned at birth\b/, /\btrans(?:gender)?\b/]
+    },
+    {
+      fieldType: 'eeo.gender',
+      patterns: [/\bgender\b/, /^sex$/, /\byour sex\b/]
+    },
+    {
+      fieldType: 'eeo.sexualOrientation',
+      patterns: [/\bsexual orientation\b/, /\bsexuality\b/]
+    },
+    {
+      fieldType: 'eeo.ethnicity',
+      patterns: [/\bethnic(?:ity| origin| background| group)?\b/, /\brace\b/]
+    },
+    {
+      fieldType: 'eeo.disability',
+      patterns: [/\bdisabilit(?:y|ies)\b/, /\bdisabled\b/]
+    },
+    {
+      fieldType: 'eeo.veteranStatus',
+      patterns: [/\bveterans?\b/, /\barmed forces\b/, /\bmilitary service\b/]
+    },
+    {
+      fieldType: 'eeo.freeSchoolMeals',
+      patterns: [/\bfree school meals\b/]
+    },
+    {
+      fieldType: 'eeo.firstGeneration',
+      patterns: [/\bfirst generation\b/, /\bfirst in (?:your|my) family\b/, /\bparents?\b.*\b(?:university|degree|higher education)\b/]
+    },
+    {
+      fieldType: 'eeo.familyGovernmentEmployee',
+      patterns: [/\b(?:family|relatives?|spouse|partner)\b.*\b(?:government|civil serv(?:ice|ant)|public official)\b/]
+    },
+    {
+      fieldType: 'eeo.governmentEmployee',
+      patterns: [/\bgovernment (?:employee|employment|official)\b/, /\bcivil serv(?:ice|ant)\b/, /\bworked for (?:the|a) government\b/]
+    },
+    {
+      fieldType: 'highestEducation',
+      patterns: [/\bhighest (?:level of )?(?:education|qualification)\b/, /\b(?:education|qualification) level\b/, /\blevel of (?:education|study)\b/]
+    },
+    {
+      fieldType: 'schoolType',
+      patterns: [/\b(?:type of|kind of) school\b/, /\bschool type\b/, /\b(?:state|independent|fee paying|private) school\b/]
+    },
+    {
+      fieldType: 'degreeClass',
+      patterns: [/\bdegree (?:class|classification|result)\b/, /\bclass of degree\b/, /\b(?:expected|predicted|achieved) (?:degree|grade)\b/],
+      optionPatterns: [/\b(?:first class|upper second|lower second|2 1|2 2)\b/]
+    },
+    {
+      fieldType: 'institution',
+      patterns: [/\b(?:school|university|college|institution)\b/]
+    },
+    {
+      fieldType: 'degree',
+      patterns: [/\bdegree\b/, /\bqualification\b/],
+      optionPatterns: [/\b(?:bachelor|master|doctorate|phd)\b/]
+    },
+    {
+      fieldType: 'discipline',
+      patterns: [/\bmajor\b/, /\bdiscipline\b/, /\bfield of study\b/, /\bcourse of study\b/]
+    },
+    {
+      fieldType: 'gpa',
+      patterns: [/\bgpa\b/, /\bgrade point\b/]
+    },
+    {
+      fieldType: 'company',
+      autocomplete: ['organization'],
+      patterns: [/\b(?:current |most recent )?(?:employer|company)\b/]
+    },
+    {
+      fieldType: 'jobTitle',
+      autocomplete: ['organization-title'],
+      patterns: [/\b(?:job|current|role|position) title\b/, /^title$/, /^position$/]
+    },
+    // After jobTitle: a plain "Title" is a job title, one offering Mr and Ms is not
+    {
+      fieldType: 'salutation',
+      autocomplete: ['honorific-prefix'],
+      patterns: [/\bsalutation\b/, /\bhonorific\b/, /\bname prefix\b/, /^title$/],
+      optionPatterns: [/\b(?:mr|mrs|ms|miss|mx)\b/]
+    },
+    {
+      fieldType: 'coverLetter',
+      patterns: [/\bcover ?letter\b/]
+    },
+    {
+      fieldType: 'salary',
+      patterns: [/\bsalary\b/, /\bcompensation\b/, /\bpay expectations?\b/]
+    },
+    {
+      fieldType: 'skills',
+      patterns: [/\bskills?\b/],
+      exclude: [QUANTITY_QUESTION]
+    },
+    {
+      fieldType: 'education',
+      patterns: [/\beducation\b/],
+      exclude: [QUANTITY_QUESTION]
+    },
+    {
+      fieldType: 'experience',
+      patterns: [/\bexperience\b/, /\b(?:work|employment) history\b/],
+      exclude: [QUANTITY_QUESTION]
+    }
+  ];
+
+  // File inputs, told apart by the document they ask for. Cover letters and
+  // transcripts come first because their labels often mention the CV as well.
+  const DOCUMENT_RULES = [
+    {
+      documentType: 'coverLetter',
+      patterns: [/\bcover ?letter\b/, /\bmotivation(?:al)? letter\b/, /\bletter of motivation\b/]
+    },
+    {
+      documentType: 'transcript',
+      patterns: [/\btranscripts?\b/, /\bacademic records?\b/, /\bgrade reports?\b/]
+    },
+    {
+      documentType: 'resume',
+      patterns: [/\bresume\b/, /\br sum\b/, /\bcv\b/, /\bcurriculum vitae\b/]
+    }
+  ];
+
+  /**
+   * Normalises an attribute value so that camelCase, snake_case and bracketed
+   * names ("job_application[firstName]") all compare as plain words
+   * @param {string} value - The raw attribute value
+   * @returns {string} - Lower-case words separated by single spaces
+   */
+  function normalizeText(value) {
+    if (!value) return '';
+    return String(value)
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/[^A-Za-z0-9]+/g, ' ')
+      .toLowerCase()
+      .trim();
+  }
+
+  /**
+   * Scores a single rule against the normalised field attributes
+   * @param {Object} rule - Entry from FIELD_RULES
+   * @param {Object} sources - Normalised attribute text keyed by source name
+   * @param {Object} field - The original field description
+   * @returns {number} - Confidence between 0 and 1
+   */
+  function scoreRule(rule, sources, field) {
+    const weights = [];
+
+    // An exclusion anywhere rules the type out entirely
+    if (rule.exclude && Object.values(sources).some(text => rule.exclude.some(pattern => pattern.test(text)))) {
+      return 0;
+    }
+
+    if (rule.inputTypes && rule.inputTypes.includes(field.type)) {
+      weights.push(SOURCE_WEIGHTS.autocomplete);
+    }
+
+    if (rule.autocomplete && field.autocomplete) {
+      const tokens = String(field.autocomplete).toLowerCase().split(/\s+/);
+      if (rule.autocomplete.some(value => tokens.includes(value))) {
+        weights.push(SOURCE_WEIGHTS.autocomplete);
+      }
+    }
+
+    for (const [source, text] of Object.entries(sources)) {
+      if (!text) continue;
+      if (rule.patterns.some(pattern => pattern.test(text))) {
+        weights.push(SOURCE_WEIGHTS[source]);
+      }
+    }
+
+    if (rule.optionPatterns && field.options && field.options.length > 0) {
+      const optionText = normalizeText(field.options.map(opt => opt.text || opt).join(' '));
+      if (rule.optionPatterns.some(pattern => pattern.test(optionText))) {
+        weights.push(SOURCE_WEIGHTS.options);
+      }
+    }
+
+    // Independent pieces of evidence reinforce each other (noisy-OR)
+    return weights.reduce((confidence, weight) => 1 - (1 - confidence) * (1 - weight), 0);
+  }
+
+  /**
+   * Classifies a form field into one of the canonical field types
+   * @param {Object} field - name, id, placeholder, label, ariaLabel, type,
+   *   tagName, autocomplete and options (array of {value, text}) of the field
+   * @returns {Object} - { fieldType, confidence }; fieldType is null when
+   *   nothing matched with at least MIN_CONFIDENCE
+   */
+  function classifyField(field) {
+    const sources = {
+      label: normalizeText(field.label),
+      ariaLabel: normalizeText(field.ariaLabel),
+      name: normalizeText(field.name),
+      id: normalizeText(field.id),
+      placeholder: normalizeText(field.placeholder)
+    };
+    const normalizedField = {
+      ...field,
+      type: field.type ? String(field.type).toLowerCase() : ''
+    };
+
+    let best = { fieldType: null, confidence: 0 };
+    for (const rule of FIELD_RULES) {
+      const confidence = scoreRule(rule, sources, normalizedField);
+      if (confidence > best.confidence) {
+        best = { fieldType: rule.fieldType, confidence };
+      }
+    }
+
+    if (best.confidence < MIN_CONFIDENCE) {
+      return { fieldType: null, confidence: 0 };
+    }
+
+    return {
+      fieldType: best.fieldType,
+      confidence: Math.round(best.confidence * 100) / 100
+    };
+  }
+
+  /**
+   * Classifies a file input by the document it asks for
+   * @param {Object} field - name, id, placeholder, label, ariaLabel and context
+   *   (text around the input) of the field
+   * @returns {Object} - { documentType, confidence }; documentType is 'resume',
+   *   'coverLetter', 'transcript' or 'other'
+   */
+  function classifyDocumentField(field) {
+    const sources = {
+      label: normalizeText(field.label),
+      ariaLabel: normalizeText(field.ariaLabel),
+      name: normalizeText(field.name),
+      id: normalizeText(field.id),
+      placeholder: normalizeText(field.placeholder),
+      context: normalizeText(field.context)
+    };
+
+    let best = { documentType: 'other', confidence: 0 };
+    for (const rule of DOCUMENT_RULES) {
+      const confidence = scoreRule(rule, sources, field);
+      if (confidence > best.confidence) {
+        best = { documentType: rule.documentType, confidence };
+      }
+    }
+
+    if (best.confidence < MIN_CONFIDENCE) {
+      return { documentType: 'other', confidence: 0 };
+    }
+    return {
+      documentType: best.documentType,
+      confidence: Math.round(best.confidence * 100) / 100
+    };
+  }
+
+  /**
+   * Reads the text around a file input. Upload widgets usually hide the input
+   * and show their label on a button or in a drop zone next to it.
+   * @param {Element} input - The file input
+   * @returns {string} - Text of the nearest ancestor that has any, up to 200 characters
+   */
+  function findUploadContext(input) {
+    let node = input.parentElement;
+    for (let depth = 0; node && depth < 4; depth++, node = node.parentElement) {
+      const text = node.textContent.trim().replace(/\s+/g, ' ');
+      if (text) {
+        return text.slice(0, 200);
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Finds the visible label text for a form element
+   * @param {Element} input - The form element
+   * @returns {string|null} - The label text, or null if none was found
+   */
+  function findLabelForInput(input) {
+    const doc = input.ownerDocument;
+
+    // Check for label with 'for' attribute
+    if (input.id) {
+      const label = doc.querySelector(`label[for="${CSS.escape(input.id)}"]`);
+      if (label) {
+        return label.textContent.trim().replace(/\s+/g, ' ');
+      }
+    }
+
+    // Check for parent label
+    const parentLabel = input.closest('label');
+    if (parentLabel) {
+      return parentLabel.textContent.trim().replace(/\s+/g, ' ');
+    }
+
+    // Check for aria-labelledby
+    const labelledBy = input.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/)
+        .map(id => doc.getElementById(id))
+        .filter(Boolean)
+        .map(element => element.textContent.trim())
+        .join(' ');
+      if (text) {
+        return text.replace(/\s+/g, ' ');
+      }
+    }
+
+    // Check for preceding label or text
+    const previousElement = input.previousElementSibling;
+    if (previousElement && ['LABEL', 'SPAN', 'DIV', 'P'].includes(previousElement.tagName)) {
+      return previousElement.textContent.trim().replace(/\s+/g, ' ');
+    }
+
+    return null;
+  }
+
+  /**
+   * Finds the text of one radio button or checkbox option
+   * @param {Element} input - The radio button or checkbox
+   * @returns {string} - Its label, the text right after it, or its value
+   */
+  function findOptionLabel(input) {
+    const doc = input.ownerDocument;
+    const label = (input.id && doc.querySelector(`label[for="${CSS.escape(input.id)}"]`)) || input.closest('label');
+    const next = input.nextSibling && input.nextSibling.nodeType === Node.TEXT_NODE ? input.nextSibling.textContent : '';
+    return ((label ? label.textContent : next) || input.value || '').trim().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Finds the question a group of radio buttons answers: the legend or label of
+   * its fieldset or radiogroup, else the text around the group less its options
+   * @param {Element} input - One radio button of the group
+   * @returns {string|null} - The question, or null if none was found
+   */
+  function findGroupLabel(input) {
+    const doc = input.ownerDocument;
+    const clean = text => (text || '').trim().replace(/\s+/g, ' ').replace(/\s*\*$/, '') || null;
+
+    const group = input.closest('fieldset, [role="radiogroup"]');
+    if (group) {
+      const legend = group.querySelector('legend');
+      const labelledBy = group.getAttribute('aria-labelledby');
+      const labelElement = labelledBy && doc.getElementById(labelledBy.split(/\s+/)[0]);
+      const text = clean(legend ? legend.textContent : labelElement ? labelElement.textContent : group.getAttribute('aria-label'));
+      if (text) {
+        return text;
+      }
+    }
+
+    // Start from the smallest element that holds every option of the group
+    const selector = `input[type="radio"][name="${CSS.escape(input.name)}"]`;
+    const count = doc.querySelectorAll(selector).length;
+    let container = input.parentElement;
+    while (container && container.querySelectorAll(selector).length < count) {
+      container = container.parentElement;
+    }
+
+    for (let depth = 0; container && container !== doc.body && depth < 3; depth++, container = container.parentElement) {
+      const copy = container.cloneNode(true);
+      copy.querySelectorAll(selector).forEach(radio => {
+        const label = (radio.id && copy.querySelector(`label[for="${CSS.escape(radio.id)}"]`)) || radio.closest('label');
+        if (radio.nextSibling && radio.nextSibling.nodeType === Node.TEXT_NODE) {
+          radio.nextSibling.remove();
+        }
+        (label || radio).remove();
+      });
+      copy.querySelectorAll('input, select, textarea').forEach(node => node.remove());
+      const text = clean(copy.textContent);
+      if (text) {
+        return text;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Collects everything classifyField needs from a live DOM element
+   * @param {Element} input - An input, select or textarea element
+   * @returns {Object} - Plain, serialisable description of the field
+   */
+  function describeElement(input) {
+    return {
+      tagName: input.tagName.toLowerCase(),
+      type: (input.getAttribute('type') || '').toLowerCase(),
+      name: input.name || '',
+      id: input.id || '',
+      placeholder: input.placeholder || '',
+      ariaLabel: input.getAttribute('aria-label') || '',
+      autocomplete: input.getAttribute('autocomplete') || '',
+      label: findLabelForInput(input) || '',
+      required: input.required || input.getAttribute('aria-required') === 'true',
+      value: input.value || '',
+      accept: input.getAttribute('accept') || '',
+      context: input.type === 'file' ? findUploadContext(input) : '',
+      options: input.tagName === 'SELECT'
+        ? Array.from(input.options).map(opt => ({ value: opt.value, text: opt.text.trim() }))
+        : []
+    };
+  }
+
+  return {
+    FIELD_TYPES: FIELD_RULES.map(rule => rule.fieldType),
+    MIN_CONFIDENCE,
+    normalizeText,
+    classifyField,
+    classifyDocumentField,
+    findLabelForInput,
+    findOptionLabel,
+    findGroupLabel,
+    describeElement
+  };
+});
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+
+const MAPPINGS_PATH = 'data/form_mappings.json';
+
+// Where a mapping came from, from least to most trusted
+const SOURCE_RANK = {
+  matched: 1,
+  confirmed: 2,
+  user: 3
+};
+
+/**
+ * Loads the learned form mappings from disk
+ * @returns {Object} - Mappings keyed by domain, then form, then field selector
+ */
+function loadFormMappings() {
+  try {
+    if (fs.existsSync(MAPPINGS_PATH)) {
+      return JSON.parse(fs.readFileSync(MAPPINGS_PATH, 'utf8'));
+    }
+  } catch (error) {
+    console.error(`Error loading form mappings: ${error.message}`);
+  }
+  return {};
+}
+
+/**
+ * Saves the learned form mappings to disk
+ * @param {Object} mappings - The mappings to save
+ */
+function saveFormMappings(mappings) {
+  try {
+    if (!fs.existsSync('data')) {
+      fs.mkdirSync('data', { recursive: true });
+    }
+    fs.writeFileSync(MAPPINGS_PATH, JSON.stringify(mappings, null, 2));
+  } catch (error) {
+    console.error(`Error saving form mappings: ${error.message}`);
+  }
+}
+
+/**
+ * Works out which domain and form a page belongs to. Numeric and hash-like
+ * path segments are collapsed so every posting on an ATS shares one form key.
+ * @param {string} url - The page URL
+ * @returns {Object} - { domain, formKey }
+ */
+function getFormKey(url) {
+  const parsedUrl = new URL(url);
+  const domain = parsedUrl.hostname.replace(/^www\./, '') || 'local';
+  const formKey = parsedUrl.pathname
+    .split('/')
+    .filter(segment => segment.length > 0)
+    .map(segment => (/^\d+$/.test(segment) || /^(?=.*\d)[0-9a-f-]{8,}$/i.test(segment) ? ':id' : segment))
+    .join('/');
+
+  return { domain, formKey: `/${formKey}` };
+}
+
+/**
+ * Finds a learned mapping that is trusted enough to reuse
+ * @param {Object} mappings - All learned mappings
+ * @param {string} url - The page URL
+ * @param {string} selector - The field selector
+ * @returns {Object|null} - The stored mapping, or null if none is trusted
+ */
+function lookupMapping(mappings, url, selector) {
+  const { domain, formKey } = getFormKey(url);
+  const form = mappings[domain] && mappings[domain].forms[formKey];
+  const entry = form && form.fields[selector];
+
+  if (entry && SOURCE_RANK[entry.source] >= SOURCE_RANK.confirmed) {
+    return entry;
+  }
+  return null;
+}
+
+/**
+ * Records that a field selector holds a given profile field. A weaker source
+ * never overwrites the field type recorded by a stronger one.
+ * @param {Object} mappings - All learned mappings (modified in place)
+ * @param {string} url - The page URL
+ * @param {string} selector - The field selector
+ * @param {string} fieldType - The canonical field type
+ * @param {string} source - 'matched', 'confirmed' or 'user'
+ * @param {number} confidence - Classifier confidence, if any
+ * @returns {Object} - The stored mapping
+ */
+function recordMapping(mappings, url, selector, fieldType, source, confidence = null) {
+  const { domain, formKey } = getFormKey(url);
+  const now = new Date().toISOString();
+
+  if (!mappings[domain]) {
+    mappings[domain] = { forms: {} };
+  }
+  if (!mappings[domain].forms[formKey]) {
+    mappings[domain].forms[formKey] = { fields: {}, lastUsed: now };
+  }
+
+  const form = mappings[domain].forms[formKey];
+  form.lastUsed = now;
+
+  const existing = form.fields[selector];
+  if (existing && SOURCE_RANK[existing.source] > SOURCE_RANK[source]) {
+    existing.hits++;
+    existing.lastSeen = now;
+    return existing;
+  }
+
+  form.fields[selector] = {
+    fieldType,
+    source,
+    confidence,
+    hits: existing ? existing.hits + 1 : 1,
+    firstSeen: existing ? existing.firstSeen : now,
+    lastSeen: now
+  };
+
+  return form.fields[selector];
+}
+
+/**
+ * Removes learned mappings
+ * @param {Object} mappings - All learned mappings (modified in place)
+ * @param {Object} options - domain, olderThanDays and/or unconfirmed filters
+ * @returns {number} - The number of field mappings removed
+ */
+function pruneMappings(mappings, options = {}) {
+  const cutoff = options.olderThanDays
+    ? Date.now() - options.olderThanDays * 24 * 60 * 60 * 1000
+    : null;
+  let removed = 0;
+
+  for (const domain of Object.keys(mappings)) {
+    if (options.domain && domain !== options.domain) continue;
+
+    const forms = mappings[domain].forms;
+    for (const formKey of Object.keys(forms)) {
+      const fields = forms[formKey].fields;
+      for (const selector of Object.keys(fields)) {
+        const entry = fields[selector];
+        const tooOld = cutoff !== null && new Date(entry.lastSeen).getTime() < cutoff;
+        const unconfirmed = options.unconfirmed && entry.source === 'matched';
+        const everything = cutoff === null && !options.unconfirmed;
+
+        if (tooOld || unconfirmed || everything) {
+          delete fields[selector];
+          removed++;
+        }
+      }
+
+      if (Object.keys(fields).length === 0) {
+        delete forms[formKey];
+      }
+    }
+
+    if (Object.keys(forms).length === 0) {
+      delete mappings[domain];
+    }
+  }
+
+  return removed;
+}
+
+// CLI command wrappers
+function listFormMappingsCommand() {
+  const mappings = loadFormMappings();
+  const domains = Object.keys(mappings).sort();
+
+  if (domains.length === 0) {
+    console.log('No form mappings have been learned yet.');
+    return;
+  }
+
+  console.log('\nLearned Form Mappings:');
+  console.log('----------------------');
+  for (const domain of domains) {
+    const forms = Object.values(mappings[domain].forms);
+    const fields = forms.reduce((total, form) => total + Object.keys(form.fields).length, 0);
+    const lastUsed = forms.map(form => form.lastUsed).sort().pop();
+    console.log(`${domain}: ${forms.length} form(s), ${fields} field(s), last used ${lastUsed}`);
+  }
+}
+
+function showFormMappingsCommand(domain) {
+  const mappings = loadFormMappings();
+  const entry = mappings[domain.replace(/^www\./, '')];
+
+  if (!entry) {
+    console.error(`No form mappings found for ${domain}`);
+    return;
+  }
+
+  for (const [formKey, form] of Object.entries(entry.forms)) {
+    console.log(`\n${domain}${formKey} (last used ${form.lastUsed})`);
+    for (const [selector, field] of Object.entries(form.fields)) {
+      console.log(`  ${selector} -> ${field.fieldType} [${field.source}, ${field.hits} hit(s)]`);
+    }
+  }
+}
+
+function exportFormMappingsCommand(filePath, options) {
+  const mappings = loadFormMappings();
+  const exported = options.domain
+    ? { [options.domain]: mappings[options.domain] || { forms: {} } }
+    : mappings;
+
+  fs.writeFileSync(path.resolve(filePath), JSON.stringify(exported, null, 2));
+  console.log(`Form mappings exported to: ${filePath}`);
+}
+
+function pruneFormMappingsCommand(options) {
+  const mappings = loadFormMappings();
+  const removed = pruneMappings(mappings, {
+    domain: options.domain,
+    olderThanDays: options.olderThan ? parseInt(options.olderThan, 10) : null,
+    unconfirmed: options.unconfirmed
+  });
+
+  saveFormMappings(mappings);
+  console.log(`Removed ${removed} field mapping(s).`);
+}
+
+function setFormMappingCommand(url, selector, fieldType) {
+  const mappings = loadFormMappings();
+  recordMapping(mappings, url, selector, fieldType, 'user');
+  saveFormMappings(mappings);
+  console.log(`Mapped ${selector} to ${fieldType} on ${getFormKey(url).domain}`);
+}
+
+module.exports = {
+  loadFormMappings,
+  saveFormMappings,
+  getFormKey,
+  lookupMapping,
+  recordMapping,
+  pruneMappings,
+  listFormMappingsCommand,
+  showFormMappingsCommand,
+  exportFormMappingsCommand,
+  pruneFormMappingsCommand,
+  setFormMappingCommand
+};
@@ -6,7 +6,89 @@ const path = require('path');
 const readline = require('readline');
 const ResumeParser = require('./resumeParser');
 const JobApplicationBot = require('./jobApplicationBot');
+const FieldClassifier = require('./fieldClassifier');
 const { importCVJsonCommand } = require('./cvUtils');
+const { loadJobList } = require('./jobList');
+const {
+  VAULT_PATH,
+  vaultExists,
+  getVaultInfo,
+  createKeyFile,
+  createVault,
+  unlockVault,
+  saveVault,
+  setVaultSecret,
+  findCredential,
+  setCredential,
+  removeCredential,
+  listCredentials,
+  hasPlaintextCredentials,
+  migratePlaintextSecrets
+} = require('./credentialVault');
+const { listSessions, clearSessions } = require('./sessionStore');
+const { listAdaptersCommand } = require('./siteAdapters');
+const {
+  loadFormMappings,
+  listFormMappingsCommand,
+  showFormMappingsCommand,
+  exportFormMappingsCommand,
+  pruneFormMappingsCommand,
+  setFormMappingCommand
+} = require('./formMappings');
+const {
+  FORMATS: COVER_LETTER_FORMATS,
+  initTemplateCommand,
+  generateCoverLetterCommand
+} = require('./coverLetterGenerator');
+const { scoreJobCommand } = require('./matchScorer');
+const ProfileSync = require('./profileSync');
+const ProfileSchema = require('./profileSchema');
+const {
+  DEFAULT_PROFILE,
+  getProfilePath,
+  profileExists,
+  getActiveProfile,
+  setActiveProfile,
+  listProfilesCommand,
+  createProfileCommand,
+  cloneProfileCommand,
+  deleteProfileCommand
+} = require('./profiles');
+const { scrapeJobPosting } = require('./jobPosting');
+const {
+  loadAnswerBank,
+  listAnswersCommand,
+  addAnswerCommand,
+  removeAnswerCommand,
+  testAnswerCommand
+} = require('./answerBank');
+const {
+  recordApplication,
+  findPreviousApplication,
+  loadApplications,
+  listApplicationsCommand,
+  showApplicationCommand,
+  updateApplicationCommand,
+  applicationStatsCommand
+} = require('./applicationTracker');
+const {
+  createBatchRun,
+  saveBatchRun,
+  loadBatchRun,
+  getPendingEntries,
+  getRetryDelay,
+  summarizeBatchRun,
+  listBatchRunsCommand,
+  showBatchRunCommand
+} = require('./batchRuns');
+const {
+  randomDelay,
+  sleep,
+  getRateLimitDomain,
+  DomainRateLimiter,
+  runWorkerPool,
+  createSerialQueue
+} = require('./batchScheduler');
 
 // Create necessary directories
 const ensureDirectoryExists = (directory) => {
@@ -19,6 +101,21 @@ ensureDirectoryExists('data');
 ensureDirectoryExists('logs');
 ensureDirectoryExists('videos');
 
+// Job sites with a built-in login flow
+const JOB_SITES = [
+  { site: 'LinkedIn', domain: 'linkedin.com' },
+  { site: 'Indeed', domain: 'indeed.com' },
+  { site: 'Glassdoor', domain: 'glassdoor.com' }
+];
+
+// Failed batch applications are retried this many times unless --retries is given
+const DEFAULT_BATCH_RETRIES = 2;
+const DEFAULT_BATCH_CONCURRENCY = 1;
+// Seconds between two applications on the same site in parallel runs, before up to 50% random extra
+const DEFAULT_DOMAIN_DELAY = 30;
+// Random pause, in milliseconds, between two applications by the same worker
+const BATCH_PAUSE_RANGE = [5000, 15000];
+
 // Setup logging
 const logFile = `logs/app-${new Date().toISOString().replace(/:/g, '-')}.log`;
 const log = (message) => {
@@ -43,12 +140,118 @@ const prompt = (question) => {
   });
 };
 
-// Load user data from file if it exists
+// Prompt for a secret without echoing what is typed
+const promptSecret = (question) => {
+  return new Promise((resolve) => {
+    const writeToOutput = rl._writeToOutput;
+    rl.output.write(question);
+    rl._writeToOutput = () => {};
+    rl.question('', (answer) => {
+      rl._writeToOutput = writeToOutput;
+      rl.output.write('\n');
+      resolve(answer);
+    });
+  });
+};
+
+// The vault stays unlocked for the rest of the command once opened
+let unlockedVault = null;
+
+// Unlock the credential vault with a key file (--key-file or JOBFILLER_VAULT_KEY_FILE),
+// JOBFILLER_VAULT_PASSPHRASE or a prompted passphrase; optionally create it first
+const openVault = async (options = {}, { create = false } = {}) => {
+  if (unlockedVault) {
+    return unlockedVault;
+  }
+  
+  const keyFile = options.keyFile || process.env.JOBFILLER_VAULT_KEY_FILE;
+  
+  if (!vaultExists()) {
+    if (!create) {
+      return null;
+    }
+    
+    if (keyFile) {
+      if (!fs.existsSync(keyFile)) {
+        createKeyFile(keyFile);
+        console.log(`Created key file ${keyFile}. Keep it safe: without it the vault cannot be opened.`);
+      }
+      unlockedVault = createVault({ keyFile });
+    } else {
+      console.log('Your job site passwords are kept in an encrypted vault. Choose a master passphrase to protect it.');
+      const passphrase = await promptSecret('Master passphrase: ');
+      if (await promptSecret('Repeat master passphrase: ') !== passphrase) {
+        throw new Error('The passphrases do not match');
+      }
+      unlockedVault = createVault({ passphrase });
+    }
+    log(`Created credential vault at ${VAULT_PATH}`);
+    return unlockedVault;
+  }
+  
+  const info = getVaultInfo();
+  if (info.mode === 'keyFile') {
+    unlockedVault = unlockVault({ keyFile: keyFile || info.keyFile });
+  } else {
+    const passphrase = process.env.JOBFILLER_VAULT_PASSPHRASE || await promptSecret('Vault passphrase: ');
+    unlockedVault = unlockVault({ passphrase });
+  }
+  return unlockedVault;
+};
+
+// Open the vault for an application run; without one, sites that need a login will fail
+const openVaultForApplying = async (userData, options) => {
+  if (hasPlaintextCredentials(userData)) {
+    console.warn('Warning: user_data.json still contains job site passwords in plaintext. Move them into the vault with: node index.js vault init');
+  }
+  
+  try {
+    return await openVault(options);
+  } catch (error) {
+    log(`Could not open the credential vault: ${error.message}`);
+    console.error(`Error: Could not open the credential vault: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+// Ask for a job site login and store it in the vault
+const promptSiteCredential = async (vault, site, domain) => {
+  const existing = findCredential(vault, domain);
+  const username = await prompt(`${site} Email${existing ? ` [${existing.username}]` : ''}: `) || (existing && existing.username);
+  const password = await promptSecret(`${site} Password: `);
+  
+  if (!username || !password) {
+    console.log(`${site} credentials not changed.`);
+    return;
+  }
+  
+  setCredential(vault, domain, { username, password });
+  saveVault(vault);
+  log(`Saved ${site} credentials to the vault`);
+};
+
+// Load the active profile's user data from file if it exists, upgrading older
+// profile shapes to the current schema
 const loadUserData = () => {
   try {
-    if (fs.existsSync('data/user_data.json')) {
-      const data = fs.readFileSync('data/user_data.json', 'utf8');
-      return JSON.parse(data);
+    const userDataPath = getProfilePath('user_data.json');
+    if (fs.existsSync(userDataPath)) {
+      const data = fs.readFileSync(userDataPath, 'utf8');
+      const { profile, migratedFrom } = ProfileSchema.migrateProfile(JSON.parse(data));
+      const errors = ProfileSchema.validateProfile(profile);
+      
+      // An upgrade is only written back once the profile is valid, so loading never
+      // reports a failed save; until then it is redone on each load
+      if (errors.length > 0) {
+        log(`User data does not match the profile schema:\n${ProfileSchema.formatErrors(errors)}`);
+        console.warn(migratedFrom !== null
+          ? `Warning: ${userDataPath} has problems, so its upgrade from schema version ${migratedFrom} was not saved; run validate-profile for details.`
+          : `Warning: ${userDataPath} has problems; run validate-profile for details.`);
+      } else if (migratedFrom !== null) {
+        log(`Upgraded user data from schema version ${migratedFrom} to ${ProfileSchema.SCHEMA_VERSION}`);
+        saveUserData(profile);
+      }
+      return profile;
     }
   } catch (error) {
     log(`Error loading user data: ${error.message}`);
@@ -56,13 +259,24 @@ const loadUserData = () => {
   return null;
 };
 
-// Save user data to file
+// Save the active profile's user data to file. Data that does not match the
+// profile schema is not saved, so a bad edit cannot break later applications.
 const saveUserData = (userData) => {
   try {
-    fs.writeFileSync('data/user_data.json', JSON.stringify(userData, null, 2));
-    log('User data saved successfully');
+    const { profile } = ProfileSchema.migrateProfile(userData);
+    const errors = ProfileSchema.validateProfile(profile);
+    if (errors.length > 0) {
+      log(`User data not saved; it does not match the profile schema:\n${ProfileSchema.formatErrors(errors)}`);
+      console.error(`Error: Your changes were not saved:\n${ProfileSchema.formatErrors(errors)}`);
+      return false;
+    }
+    
+    fs.writeFileSync(getProfilePath('user_data.json'), JSON.stringify(profile, null, 2));
+    log(`User data saved successfully (profile ${getActiveProfile()})`);
+    return true;
   } catch (error) {
     log(`Error saving user data: ${error.message}`);
+    return false;
   }
 };
 
@@ -196,33 +410,14 @@ const processMissingFields = async (userData, missingFields) => {
 const collectCredentials = async (userData) => {
   log('Collecting credentials for job application sites');
   
-  if (!userData.linkedinCredentials) {
-    const addLinkedIn = await prompt('Add LinkedIn credentials? (y/n): ');
-    if (addLinkedIn.toLowerCase() === 'y') {
-      userData.linkedinCredentials = {
-        username: await prompt('LinkedIn Email: '),
-        password: await prompt('LinkedIn Password: ')
-      };
-    }
-  }
-  
-  if (!userData.indeedCredentials) {
-    const addIndeed = await prompt('Add Indeed credentials? (y/n): ');
-    if (addIndeed.toLowerCase() === 'y') {
-      userData.indeedCredentials = {
-        username: await prompt('Indeed Email: '),
-        password: await prompt('Indeed Password: ')
-      };
+  for (const { site, domain } of JOB_SITES) {
+    if (unlockedVault && findCredential(unlockedVault, domain)) {
+      continue;
     }
-  }
-  
-  if (!userData.glassdoorCredentials) {
-    const addGlassdoor = await prompt('Add Glassdoor credentials? (y/n): ');
-    if (addGlassdoor.toLowerCase() === 'y') {
-      userData.glassdoorCredentials = {
-        username: await prompt('Glassdoor Email: '),
-        password: await prompt('Glassdoor Password: ')
-      };
+    
+    const add = await prompt(`Add ${site} credentials? (y/n): `);
+    if (add.toLowerCase() === 'y') {
+      await promptSiteCredential(await openVault({}, { create: true }), site, domain);
     }
   }
   
@@ -268,12 +463,11 @@ const parseResume = async (filePath) => {
         const finalUserData = await collectCredentials(completeUserData);
         
         // Save the complete information
-        saveUserData(finalUserData);
-        
-        log('All required information has been collected and saved.');
-        console.log('\nAll information has been collected and saved successfully!');
-      } else {
-        saveUserData(userData);
+        if (saveUserData(finalUserData)) {
+          log('All required information has been collected and saved.');
+          console.log('\nAll information has been collected and saved successfully!');
+        }
+      } else if (saveUserData(userData)) {
         log('Incomplete user data saved.');
         console.log('\nIncomplete information has been saved. You can update it later using the update-user-data command.');
       }
@@ -282,10 +476,10 @@ const parseResume = async (filePath) => {
       const finalUserData = await collectCredentials(userData);
       
       // Save the complete information
-      saveUserData(finalUserData);
-      
-      log('All required information has been collected and saved.');
-      console.log('\nAll information has been collected and saved successfully!');
+      if (saveUserData(finalUserData)) {
+        log('All required information has been collected and saved.');
+        console.log('\nAll information has been collected and saved successfully!');
+      }
     }
   } catch (error) {
     log(`Error: ${error.message}`);
@@ -295,10 +489,174 @@ const parseResume = async (filePath) => {
   }
 };
 
+// Print what a dry run would have submitted
+const printDryRunSummary = (result) => {
+  console.log('\nDry run complete - nothing was submitted.');
+  console.log(`Outcome: ${result.message}`);
+  console.log(`Pages: ${result.pagesCompleted}, fields filled: ${result.fieldsFilled}`);
+  
+  if (result.reportPath) {
+    const report = JSON.parse(fs.readFileSync(result.reportPath, 'utf8'));
+    if (report.unfilledRequired.length > 0) {
+      console.log('Required fields left empty:');
+      report.unfilledRequired.forEach(field => console.log(`- ${field.label} (page ${field.page})`));
+    }
+    const documents = report.fields.filter(field => field.upload);
+    if (documents.length > 0) {
+      console.log('Documents:');
+      documents.forEach(field => console.log(`- ${field.fieldType || field.label}: ${field.value} (${field.upload})`));
+    }
+    if (report.failed.length > 0) {
+      console.log('Fields that could not be filled:');
+      report.failed.forEach(field => console.log(`- ${field.label} (page ${field.page}): ${field.error}`));
+    }
+    console.log(`Report and screenshots saved to: ${path.dirname(result.reportPath)}`);
+  }
+};
+
+// Add a submitted application to the tracker; columns from the job list win over scraped values
+const trackApplication = (url, result, listedJob = {}) => {
+  const posting = result.posting || {};
+  const application = recordApplication({
+    url,
+    company: listedJob.company || posting.company,
+    role: listedJob.title || posting.title,
+    tags: listedJob.tags,
+    documents: result.documents,
+    answers: result.answers,
+    posting: result.posting,
+    profile: getActiveProfile()
+  });
+  log(`Application tracked with id ${application.id}`);
+  return application;
+};
+
+// The job-list columns of a batch entry, as they are echoed into the results file
+const jobColumns = (job) => {
+  if (!job) {
+    return {};
+  }
+  const { url, extra, ...columns } = job;
+  return { ...columns, ...extra };
+};
+
+// Review the filled application with the user before it is submitted
+const reviewApplication = async (bot, review) => {
+  const edits = [];
+  
+  while (true) {
+    const fields = [...review.fields, ...review.unfilledRequired, ...review.failed.filter(entry => !entry.required)];
+    
+    console.log(`\nReview before "${review.submitLabel}" (${review.url})`);
+    console.log('-------------------');
+    fields.forEach((field, i) => {
+      let value = field.value ? `${field.value}${field.source ? ` [${field.source}]` : ''}` : 'EMPTY (required)';
+      if (!field.value && field.error) {
+        value = `EMPTY (could not fill: ${field.error})`;
+      } else if (field.upload === 'unverified') {
+        value += ' (attached, but the site does not show it)';
+      }
+      console.log(`${i+1}. ${field.label}: ${value}`);
+    });
+    console.log('-------------------');
+    console.log('a. Approve and submit');
+    console.log('e. Edit a field');
+    console.log('s. Skip this job');
+    console.log('x. Abort');
+    
+    const choice = (await prompt('\nEnter your choice: ')).toLowerCase();
+    
+    switch (choice) {
+      case 'a':
+        return { action: 'approve', edits };
+      case 's':
+        return { action: 'skip', edits };
+      case 'x':
+        return { action: 'abort', edits };
+      case 'e': {
+        const index = parseInt(await prompt('Enter the number of the field to edit: ')) - 1;
+        if (index < 0 || index >= fields.length) {
+          console.log('Invalid field number.');
+          break;
+        }
+        const field = fields[index];
+        // Naming the profile field teaches the bot this form for next time
+        let fieldType = (await prompt(`Which profile field is this, e.g. email or phone? (now ${field.fieldType || 'none'}; Enter to skip): `)).trim() || null;
+        if (fieldType && !FieldClassifier.FIELD_TYPES.includes(fieldType)) {
+          console.log(`Unknown field type "${fieldType}", so it is not remembered. Known types: ${FieldClassifier.FIELD_TYPES.join(', ')}`);
+          fieldType = null;
+        }
+        let value = await prompt(`New value for ${field.label}: `);
+        let edited = await bot.editField(field.selector, value, fieldType);
+        // A value the field does not take, such as a mistyped dropdown option, is asked for again
+        while (!edited && await bot.isFieldOnPage(field.selector)) {
+          value = await prompt(`New value for ${field.label} (Enter to cancel): `);
+          if (!value) {
+            break;
+          }
+          edited = await bot.editField(field.selector, value, fieldType);
+        }
+        if (edited) {
+          edits.push({ label: field.label, selector: field.selector, value, fieldType });
+          review.fields = review.fields.filter(entry => entry !== field).concat({ ...field, value, source: 'user' });
+          review.unfilledRequired = review.unfilledRequired.filter(entry => entry !== field);
+          review.failed = review.failed.filter(entry => entry !== field);
+          console.log('Field updated.');
+        }
+        break;
+      }
+      default:
+        console.log('Invalid choice. Please try again.');
+    }
+  }
+};
+
+// Cover letter settings for the bot from --generate-cover-letter [template] and --cover-letter-format
+const getCoverLetterOptions = (options) => {
+  if (!options.generateCoverLetter) {
+    return null;
+  }
+  const format = options.coverLetterFormat || 'pdf';
+  if (!COVER_LETTER_FORMATS.includes(format)) {
+    console.error(`Error: Unsupported cover letter format "${format}". Use one of: ${COVER_LETTER_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  return {
+    templatePath: options.generateCoverLetter === true ? null : options.generateCoverLetter,
+    format
+  };
+};
+
+// Ask the user to answer a form question that neither the profile nor the answer bank covers
+const promptUnansweredQuestion = async ({ question, options, required, url }) => {
+  console.log(`\nUnanswered question on ${url}:`);
+  console.log(`  ${question}${required ? ' (required)' : ''}`);
+  if (options.length > 0) {
+    console.log(`  Options: ${options.join(' | ')}`);
+  }
+  
+  const answer = await prompt('Answer (leave empty to skip): ');
+  if (!answer) {
+    return null;
+  }
+  const save = (await prompt('Save this answer to the answer bank for next time? (y/n): ')).toLowerCase() === 'y';
+  return { answer, save };
+};
+
+// List questions the bot could not answer, and how to answer them next time
+const printUnansweredQuestions = (questions) => {
+  if (questions.length === 0) {
+    return;
+  }
+  console.log('\nQuestions left unanswered:');
+  questions.forEach(question => console.log(`- ${question}`));
+  console.log('Save answers for them with: node index.js answers add "<question>" "<answer>"');
+};
+
 // Command: Apply to a job
-const applyToJob = async (url) => {
+const applyToJob = async (url, options = {}) => {
   try {
-    log(`Applying to job at: ${url}`);
+    log(`Applying to job at: ${url}${options.dryRun ? ' (dry run)' : ''}`);
     
     // Load user data
     const userData = loadUserData();
@@ -308,8 +666,25 @@ const applyToJob = async (url) => {
       process.exit(1);
     }
     
+    // Refuse to apply to the same posting twice unless forced
+    const previous = findPreviousApplication(url);
+    if (previous && !options.force && !options.dryRun) {
+      log(`Skipping duplicate application: ${url}`);
+      console.error(`\nYou already applied to this posting on ${previous.appliedAt.slice(0, 10)} (application ${previous.id}).`);
+      console.error('Use --force to apply again anyway.');
+      return;
+    }
+    
+    const vault = await openVaultForApplying(userData, options);
+    
     // Initialize the bot
-    const bot = new JobApplicationBot(userData);
+    const bot = new JobApplicationBot(userData, {
+      vault,
+      dryRun: options.dryRun,
+      onBeforeSubmit: options.interactive ? (review) => reviewApplication(bot, review) : null,
+      onUnansweredQuestion: options.interactive ? promptUnansweredQuestion : null,
+      generateCoverLetter: getCoverLetterOptions(options)
+    });
     const initialized = await bot.initialize();
     
     if (!initialized) {
@@ -321,21 +696,35 @@ const applyToJob = async (url) => {
     console.log(`Applying to job at: ${url}`);
     console.log('Please wait while the bot navigates to the job page...');
     
+    // Documents given on the command line replace the ones in the profile for this job
+    const job = {};
+    for (const [kind, option] of [['resume', 'resumeFile'], ['coverLetter', 'coverLetter']]) {
+      if (options[option]) {
+        job[kind] = path.resolve(options[option]);
+      }
+    }
+    
     // Apply to the job
-    const result = await bot.applyToJob(url);
+    const result = await bot.applyToJob(url, job);
     
-    if (result.success) {
+    if (result.dryRun) {
+      log(`Dry run finished: ${result.message}`);
+      printDryRunSummary(result);
+    } else if (result.success) {
       log('Job application successful!');
+      const application = trackApplication(url, result);
       console.log('\nJob application successful!');
       console.log(`Message: ${result.message}`);
+      console.log(`Tracked as application ${application.id}`);
     } else {
       log(`Job application failed: ${result.message}`);
       console.error('\nJob application failed.');
       console.error(`Reason: ${result.message}`);
     }
+    printUnansweredQuestions(result.unansweredQuestions || []);
     
     // Close the browser
-    await bot.browser.close();
+    await bot.close();
     
   } catch (error) {
     log(`Error: ${error.message}`);
@@ -346,25 +735,74 @@ const applyToJob = async (url) => {
 };
 
 // Command: Apply to multiple jobs
-const batchApply = async (filePath) => {
+const batchApply = async (filePath, options = {}) => {
+  let run = null;
+  
   try {
-    log(`Batch applying to jobs from: ${filePath}`);
+    if (options.minScore !== undefined && !(parseInt(options.minScore, 10) >= 0 && parseInt(options.minScore, 10) <= 100)) {
+      console.error('Error: --min-score must be a number from 0 to 100.');
+      process.exit(1);
+    }
     
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
-      log(`File not found: ${filePath}`);
-      console.error(`Error: File not found: ${filePath}`);
+    if (options.retries !== undefined && !/^\d+$/.test(String(options.retries))) {
+      console.error('Error: --retries must be a whole number of 0 or more.');
       process.exit(1);
     }
     
-    // Read the file
-    const fileContent = fs.readFileSync(filePath, 'utf8');
-    const urls = fileContent.split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 0);
+    if (options.concurrency !== undefined && !(/^\d+$/.test(String(options.concurrency)) && parseInt(options.concurrency, 10) >= 1)) {
+      console.error('Error: --concurrency must be a whole number of 1 or more.');
+      process.exit(1);
+    }
     
-    log(`Found ${urls.length} job URLs in the file.`);
-    console.log(`Found ${urls.length} job URLs in the file.`);
+    if (options.domainDelay !== undefined && !(parseFloat(options.domainDelay) >= 0 && Number.isFinite(Number(options.domainDelay)))) {
+      console.error('Error: --domain-delay must be a number of seconds, 0 or more.');
+      process.exit(1);
+    }
+    
+    if (options.resume) {
+      run = loadBatchRun(options.resume);
+      if (!run) {
+        log(`Batch run not found: ${options.resume}`);
+        console.error(`Error: No batch run found with id ${options.resume}`);
+        process.exit(1);
+      }
+      
+      // Flags given on resume take precedence over the ones the run started with
+      const { resume, ...overrides } = options;
+      options = { ...run.options, ...overrides };
+      run.options = options;
+      run.status = 'running';
+      saveBatchRun(run);
+      
+      log(`Resuming batch run ${run.id} from: ${run.source}`);
+      console.log(`Resuming batch run ${run.id} (${getPendingEntries(run, Infinity).length} of ${run.entries.length} jobs left).`);
+    } else {
+      if (!filePath) {
+        console.error('Error: Provide a file of job URLs, or --resume <run-id> to continue a previous run.');
+        process.exit(1);
+      }
+      
+      log(`Batch applying to jobs from: ${filePath}${options.dryRun ? ' (dry run)' : ''}`);
+      
+      // Check if file exists
+      if (!fs.existsSync(filePath)) {
+        log(`File not found: ${filePath}`);
+        console.error(`Error: File not found: ${filePath}`);
+        process.exit(1);
+      }
+      
+      // Read the job list (plain text, CSV, JSON or YAML)
+      const jobs = loadJobList(filePath);
+      
+      log(`Found ${jobs.length} jobs in the file.`);
+      console.log(`Found ${jobs.length} jobs in the file.`);
+      
+      run = createBatchRun(filePath, jobs, options);
+      console.log(`Batch run id: ${run.id} (continue it later with: batch-apply --resume ${run.id})`);
+    }
+    
+    const maxAttempts = 1 + parseInt(options.retries || DEFAULT_BATCH_RETRIES, 10);
+    const minScore = options.minScore !== undefined ? parseInt(options.minScore, 10) : null;
     
     // Load user data
     const userData = loadUserData();
@@ -374,60 +812,237 @@ const batchApply = async (filePath) => {
       process.exit(1);
     }
     
-    // Initialize the bot
-    const bot = new JobApplicationBot(userData);
-    const initialized = await bot.initialize();
+    const vault = await openVaultForApplying(userData, options);
     
-    if (!initialized) {
-      log('Failed to initialize the browser.');
+    const concurrency = Math.max(1, parseInt(options.concurrency || DEFAULT_BATCH_CONCURRENCY, 10));
+    // Sequential runs keep their old pace unless a site limit is asked for
+    const domainDelay = options.domainDelay !== undefined
+      ? parseFloat(options.domainDelay) * 1000
+      : (concurrency > 1 ? DEFAULT_DOMAIN_DELAY * 1000 : 0);
+    
+    // One browser for the whole run; every worker applies in its own isolated context
+    let browser;
+    try {
+      browser = await JobApplicationBot.launchBrowser();
+    } catch (error) {
+      log(`Failed to initialize the browser: ${error.message}`);
       console.error('Error: Failed to initialize the browser.');
       process.exit(1);
     }
     
-    // Apply to each job
-    const results = [];
-    for (let i = 0; i < urls.length; i++) {
-      const url = urls[i];
-      console.log(`\n[${i+1}/${urls.length}] Applying to: ${url}`);
-      log(`Applying to job ${i+1}/${urls.length}: ${url}`);
+    // Workers share learned mappings, saved answers and logins, and take turns at the prompts
+    const shared = {
+      browser,
+      vault,
+      formMappings: loadFormMappings(),
+      answerBank: loadAnswerBank(),
+      loggedInSites: new Map(),
+      runId: `batch-${run.id}`
+    };
+    const reviewQueue = createSerialQueue();
+    const bots = new Map();
+    
+    const getWorkerBot = async (workerId) => {
+      if (!bots.has(workerId)) {
+        const bot = new JobApplicationBot(userData, {
+          ...shared,
+          workerId: concurrency > 1 ? workerId : null,
+          dryRun: options.dryRun,
+          onBeforeSubmit: options.interactive ? (review) => reviewQueue(() => reviewApplication(bot, review)) : null,
+          onUnansweredQuestion: options.interactive ? (question) => reviewQueue(() => promptUnansweredQuestion(question)) : null,
+          generateCoverLetter: getCoverLetterOptions(options),
+          minScore
+        });
+        if (!await bot.initialize()) {
+          throw new Error(`Failed to open a browser context for worker ${workerId}`);
+        }
+        bots.set(workerId, bot);
+      }
+      return bots.get(workerId);
+    };
+    
+    // Progress is checkpointed after every job, so Ctrl-C only loses the jobs in flight
+    const interrupt = async () => {
+      run.status = 'interrupted';
+      saveBatchRun(run);
+      log(`Batch run ${run.id} interrupted`);
+      console.log(`\nBatch interrupted. Continue it with: node index.js batch-apply --resume ${run.id}`);
+      await browser.close().catch(() => {});
+      process.exit(130);
+    };
+    process.once('SIGINT', interrupt);
+    rl.once('SIGINT', interrupt);
+    
+    if (concurrency > 1) {
+      console.log(`Applying with ${concurrency} parallel workers, at most one start per site every ${domainDelay / 1000} seconds.`);
+    }
+    
+    // Apply to each job, then retry failed ones with increasing delays
+    const history = loadApplications();
+    const rateLimiter = new DomainRateLimiter(domainDelay, domainDelay / 2);
+    const workerJobs = new Map();
+    let aborted = false;
+    
+    const applyToEntry = async (entry, workerId) => {
+      const position = run.entries.indexOf(entry) + 1;
+      const prefix = concurrency > 1 ? `[${position}/${run.entries.length} worker ${workerId}]` : `[${position}/${run.entries.length}]`;
+      
+      // Skip postings already applied to in an earlier run
+      const previous = findPreviousApplication(entry.url, history);
+      if (previous && !options.force && !options.dryRun) {
+        entry.status = 'skipped';
+        entry.message = `Already applied on ${previous.appliedAt.slice(0, 10)} (application ${previous.id})`;
+        saveBatchRun(run);
+        log(`Skipping job ${position}/${run.entries.length}: ${entry.message}`);
+        console.log(`\n${prefix} Skipped ${entry.url}: ${entry.message}`);
+        return;
+      }
+      
+      // Randomised pause between a worker's applications to avoid being flagged as a bot, longer before retries
+      if (workerJobs.get(workerId) || entry.attempts > 0) {
+        const delay = Math.max(randomDelay(...BATCH_PAUSE_RANGE), getRetryDelay(entry.attempts));
+        console.log(`${prefix} Waiting ${Math.round(delay / 1000)} seconds before next application...`);
+        await sleep(delay);
+      }
+      
+      // Keep to the per-site rate limit
+      const waited = await rateLimiter.wait(entry.url);
+      if (waited > 0) {
+        log(`Job ${position} waited ${Math.round(waited / 1000)} seconds for the ${getRateLimitDomain(entry.url)} rate limit`);
+      }
+      if (aborted) {
+        return;
+      }
+      
+      const attemptNote = entry.attempts > 0 ? ` (attempt ${entry.attempts + 1} of ${maxAttempts})` : '';
+      console.log(`\n${prefix} Applying to: ${entry.url}${attemptNote}`);
+      log(`Applying to job ${position}/${run.entries.length}: ${entry.url}`);
+      workerJobs.set(workerId, (workerJobs.get(workerId) || 0) + 1);
+      
+      const bot = await getWorkerBot(workerId);
+      const job = entry.job || { url: entry.url };
+      const result = await bot.applyToJob(entry.url, job);
+      let application = null;
+      if (result.success && !result.dryRun) {
+        // The application was sent, so a tracker error must not make it a failure to retry
+        try {
+          application = trackApplication(entry.url, result, job);
+        } catch (error) {
+          log(`Could not track the application to ${entry.url}: ${error.message}`);
+          console.error(`${prefix} Could not track this application: ${error.message}`);
+        }
+      }
       
-      const result = await bot.applyToJob(url);
-      results.push({
-        url,
+      entry.attempts++;
+      entry.lastAttemptAt = new Date().toISOString();
+      entry.message = result.message;
+      entry.result = {
+        applicationId: application ? application.id : null,
         success: result.success,
-        message: result.message
-      });
+        message: result.message,
+        pagesCompleted: result.pagesCompleted,
+        fieldsFilled: result.fieldsFilled,
+        dryRun: Boolean(result.dryRun),
+        reportPath: result.reportPath || null,
+        review: result.review || null,
+        unansweredQuestions: result.unansweredQuestions || [],
+        posting: result.posting || null,
+        matchScore: result.match ? result.match.score : null,
+        worker: workerId
+      };
       
-      if (result.success) {
-        console.log('Application successful!');
+      // Skipping a poor match, or skipping or aborting at review, is a decision, not a failure to retry
+      if (result.belowMinScore || (result.review && result.review.decision !== 'approve')) {
+        entry.status = 'skipped';
       } else {
-        console.error(`Application failed: ${result.message}`);
+        entry.status = result.success ? 'succeeded' : 'failed';
       }
+      saveBatchRun(run);
       
-      // Wait a bit between applications to avoid being flagged as a bot
-      if (i < urls.length - 1) {
-        console.log('Waiting before next application...');
-        await new Promise(resolve => setTimeout(resolve, 5000));
+      if (result.belowMinScore) {
+        console.log(`${prefix} Skipped: ${result.message}`);
+        if (result.match.missing.length > 0) {
+          console.log(`${prefix} Missing: ${result.match.missing.slice(0, 10).join(', ')}`);
+        }
+      } else if (result.dryRun) {
+        console.log(`${prefix} Dry run: ${result.message}`);
+      } else if (result.success) {
+        console.log(`${prefix} Application successful!`);
+      } else {
+        console.error(`${prefix} Application failed: ${result.message}`);
       }
+      
+      if (result.review && result.review.decision === 'abort') {
+        log('Batch aborted by user at review.');
+        console.log('Batch aborted. Remaining jobs were not attempted.');
+        aborted = true;
+      }
+    };
+    
+    // A job that throws (e.g. its browser context cannot be opened) fails on its own; the other workers carry on
+    const failEntry = (error, entry, workerId) => {
+      const position = run.entries.indexOf(entry) + 1;
+      entry.attempts++;
+      entry.lastAttemptAt = new Date().toISOString();
+      entry.status = 'failed';
+      entry.message = `Error: ${error.message}`;
+      entry.result = { success: false, message: entry.message, worker: workerId };
+      saveBatchRun(run);
+      log(`Job ${position}/${run.entries.length} failed: ${error.message}`);
+      console.error(`[${position}/${run.entries.length}] Application failed: ${error.message}`);
+    };
+    
+    let entries = getPendingEntries(run, maxAttempts);
+    
+    while (entries.length > 0 && !aborted) {
+      await runWorkerPool(entries, concurrency, applyToEntry, () => aborted, failEntry);
+      entries = getPendingEntries(run, maxAttempts);
     }
     
-    // Close the browser
-    await bot.browser.close();
+    run.status = aborted ? 'aborted' : 'completed';
+    saveBatchRun(run);
+    
+    // Close each worker's context, then the shared browser
+    for (const bot of bots.values()) {
+      await bot.close().catch(error => log(`Error closing a browser context: ${error.message}`));
+    }
+    await browser.close();
     
     // Report summary
+    const counts = summarizeBatchRun(run);
     console.log('\nApplication Summary:');
     console.log('-----------------');
-    console.log(`Total: ${urls.length}`);
-    console.log(`Successful: ${results.filter(r => r.success).length}`);
-    console.log(`Failed: ${results.filter(r => !r.success).length}`);
+    console.log(`Total: ${run.entries.length}`);
+    console.log(`Successful: ${counts.succeeded}`);
+    console.log(`Skipped: ${counts.skipped}`);
+    console.log(`Failed: ${counts.failed}`);
+    if (counts.pending > 0) {
+      console.log(`Not attempted: ${counts.pending}`);
+    }
+    printUnansweredQuestions([...new Set(run.entries.flatMap(entry => (entry.result && entry.result.unansweredQuestions) || []))]);
     
     // Save results to file
-    const resultFile = `logs/batch-results-${new Date().toISOString().replace(/:/g, '-')}.json`;
+    const results = run.entries.map(entry => ({
+      ...jobColumns(entry.job),
+      url: entry.url,
+      ...(entry.result || {}),
+      status: entry.status,
+      success: entry.status === 'succeeded',
+      skipped: entry.status === 'skipped',
+      attempts: entry.attempts,
+      message: entry.message
+    }));
+    const resultFile = `logs/batch-results-${run.id}.json`;
     fs.writeFileSync(resultFile, JSON.stringify(results, null, 2));
     log(`Results saved to ${resultFile}`);
     console.log(`\nDetailed results saved to: ${resultFile}`);
     
   } catch (error) {
+    if (run) {
+      run.status = 'interrupted';
+      saveBatchRun(run);
+      console.error(`Continue this run with: node index.js batch-apply --resume ${run.id}`);
+    }
     log(`Error: ${error.message}`);
     console.error(`Error: ${error.message}`);
   } finally {
@@ -435,6 +1050,306 @@ const batchApply = async (filePath) => {
   }
 };
 
+// Command: Write a cover letter from the profile and a template
+const generateCoverLetter = async (options = {}) => {
+  try {
+    if (options.initTemplate) {
+      initTemplateCommand();
+      return;
+    }
+
+    const userData = loadUserData();
+    if (!userData) {
+      console.error('Error: No user data found. Please run the parse-resume command first.');
+      process.exit(1);
+    }
+
+    log(`Generating cover letter${options.company ? ` for ${options.company}` : ''}`);
+    await generateCoverLetterCommand(userData, options);
+  } catch (error) {
+    log(`Error generating cover letter: ${error.message}`);
+    console.error(`Error: ${error.message}`);
+  } finally {
+    rl.close();
+  }
+};
+
+// Command: Score how well the profile matches a job posting or description file
+const scoreJob = async (url, options = {}) => {
+  try {
+    const userData = loadUserData();
+    if (!userData) {
+      console.error('Error: No user data found. Please run the parse-resume command first.');
+      process.exit(1);
+    }
+    if (!url && !options.description) {
+      console.error('Error: Provide a job posting URL, or --description <file>.');
+      process.exit(1);
+    }
+    
+    let description;
+    if (options.description) {
+      description = fs.readFileSync(options.description, 'utf8');
+    } else {
+      log(`Reading job posting at: ${url}`);
+      const browser = await JobApplicationBot.launchBrowser();
+      try {
+        const page = await browser.newPage();
+        await page.goto(url, { waitUntil: 'domcontentloaded' });
+        const posting = await scrapeJobPosting(page);
+        console.log(`${posting.title || 'Untitled posting'}${posting.company ? ` at ${posting.company}` : ''}`);
+        description = posting.description;
+      } finally {
+        await browser.close();
+      }
+    }
+    
+    if (!description || !description.trim()) {
+      console.error('Error: No job description found.');
+      return;
+    }
+    scoreJobCommand(userData, description, options);
+  } catch (error) {
+    log(`Error scoring job: ${error.message}`);
+    console.error(`Error: ${error.message}`);
+  } finally {
+    rl.close();
+  }
+};
+
+// Command: Create the credential vault and move plaintext secrets into it
+const vaultInit = async (options = {}) => {
+  try {
+    if (vaultExists()) {
+      console.error(`Error: A vault already exists at ${VAULT_PATH}.`);
+      return;
+    }
+    
+    const vault = await openVault(options, { create: true });
+    const userData = loadUserData();
+    const moved = migratePlaintextSecrets(vault, userData);
+    saveVault(vault);
+    if (userData) {
+      saveUserData(userData);
+    }
+    
+    log(`Vault created; moved ${moved.credentials} credentials and ${moved.sessions} sessions into it`);
+    console.log(`\nVault created at ${VAULT_PATH}.`);
+    if (moved.credentials > 0 || moved.sessions > 0) {
+      console.log(`Moved ${moved.credentials} credentials from user_data.json and ${moved.sessions} saved sessions into the vault.`);
+    }
+    
+    const backups = fs.existsSync('data') ? fs.readdirSync('data').filter(file => file.startsWith('user_data_backup_')) : [];
+    if (backups.length > 0) {
+      console.log(`Note: ${backups.length} user data backups in data/ may still contain plaintext passwords. Delete them once you have checked the vault.`);
+    }
+  } catch (error) {
+    log(`Error: ${error.message}`);
+    console.error(`Error: ${error.message}`);
+  } finally {
+    rl.close();
+  }
+};
+
+// Command: Add or replace the login for a site
+const vaultAdd = async (domain, options = {}) => {
+  try {
+    const vault = await openVault(options, { create: true });
+    const username = options.username || await prompt(`Username for ${domain}: `);
+    const password = await promptSecret(`Password for ${domain}: `);
+    
+    if (!username || !password) {
+      console.error('Error: Both a username and a password are required.');
+      return;
+    }
+    
+    setCredential(vault, domain, { username, password });
+    saveVault(vault);
+    log(`Saved credentials for ${domain}`);
+    console.log(`Credentials for ${domain} saved.`);
+  } catch (error) {
+    log(`Error: ${error.message}`);
+    console.error(`Error: ${error.message}`);
+  } finally {
+    rl.close();
+  }
+};
+
+// Command: Replace the password of a stored login
+const vaultRotate = async (domain, options = {}) => {
+  try {
+    const vault = await openVault(options);
+    if (!vault) {
+      console.error('Error: No credential vault found. Create one with: node index.js vault init');
+      return;
+    }
+    
+    const existing = findCredential(vault, domain);
+    if (!existing) {
+      console.error(`Error: No credentials stored for ${domain}.`);
+      return;
+    }
+    
+    const password = await promptSecret(`New password for ${existing.username} on ${existing.domain}: `);
+    if (!password || await promptSecret('Repeat new password: ') !== password) {
+      console.error('Error: The passwords do not match.');
+      return;
+    }
+    
+    setCredential(vault, existing.domain, { username: existing.username, password });
+    // A session opened with the old password is no longer trusted
+    delete vault.contents.sessions[existing.domain];
+    saveVault(vault);
+    log(`Rotated password for ${existing.domain}`);
+    console.log(`Password for ${existing.domain} updated.`);
+  } catch (error) {
+    log(`Error: ${error.message}`);
+    console.error(`Error: ${error.message}`);
+  } finally {
+    rl.close();
+  }
+};
+
+// Command: List stored logins (never their passwords)
+const vaultList = async (options = {}) => {
+  try {
+    const vault = await openVault(options);
+    if (!vault) {
+      console.log('No credential vault found. Create one with: node index.js vault init');
+      return;
+    }
+    
+    const entries = listCredentials(vault);
+    if (entries.length === 0) {
+      console.log('The vault is empty.');
+      return;
+    }
+    
+    console.log('\nStored Credentials:');
+    console.log('-------------------');
+    for (const entry of entries) {
+      console.log(`${entry.domain.padEnd(25)}  ${entry.username}  (updated ${entry.updatedAt.slice(0, 10)}${entry.hasSession ? ', saved session' : ''})`);
+    }
+  } catch (error) {
+    log(`Error: ${error.message}`);
+    console.error(`Error: ${error.message}`);
+  } finally {
+    rl.close();
+  }
+};
+
+// Command: Remove a stored login and its session
+const vaultRemove = async (domain, options = {}) => {
+  try {
+    const vault = await openVault(options);
+    if (!vault) {
+      console.error('Error: No credential vault found.');
+      return;
+    }
+    
+    if (!removeCredential(vault, domain)) {
+      console.error(`Error: No credentials stored for ${domain}.`);
+      return;
+    }
+    
+    saveVault(vault);
+    log(`Removed credentials for ${domain}`);
+    console.log(`Credentials for ${domain} removed.`);
+  } catch (error) {
+    log(`Error: ${error.message}`);
+    console.error(`Error: ${error.message}`);
+  } finally {
+    rl.close();
+  }
+};
+
+// Command: Re-encrypt the vault with a new passphrase or key file
+const vaultChangeKey = async (options = {}) => {
+  try {
+    const vault = await openVault(options);
+    if (!vault) {
+      console.error('Error: No credential vault found.');
+      return;
+    }
+    
+    if (options.newKeyFile) {
+      if (!fs.existsSync(options.newKeyFile)) {
+        createKeyFile(options.newKeyFile);
+        console.log(`Created key file ${options.newKeyFile}. Keep it safe: without it the vault cannot be opened.`);
+      }
+      setVaultSecret(vault, { keyFile: options.newKeyFile });
+    } else {
+      const passphrase = await promptSecret('New master passphrase: ');
+      if (await promptSecret('Repeat new master passphrase: ') !== passphrase) {
+        console.error('Error: The passphrases do not match.');
+        return;
+      }
+      setVaultSecret(vault, { passphrase });
+    }
+    
+    saveVault(vault);
+    log('Vault key changed');
+    console.log('The vault is now protected by the new key.');
+  } catch (error) {
+    log(`Error: ${error.message}`);
+    console.error(`Error: ${error.message}`);
+  } finally {
+    rl.close();
+  }
+};
+
+// Command: List saved login sessions
+const sessionsList = async (options = {}) => {
+  try {
+    const vault = await openVault(options);
+    if (!vault) {
+      console.log('No credential vault found, so no sessions are saved. Create one with: node index.js vault init');
+      return;
+    }
+    
+    const sessions = listSessions(vault.contents.sessions);
+    if (sessions.length === 0) {
+      console.log('No saved sessions.');
+      return;
+    }
+    
+    console.log('\nSaved Sessions:');
+    console.log('---------------');
+    for (const session of sessions) {
+      const saved = session.savedAt ? session.savedAt.slice(0, 10) : 'unknown';
+      console.log(`${session.domain.padEnd(25)}  ${session.status.padEnd(7)}  ${session.username || ''}  ` +
+        `(saved ${saved}, expires ${session.expiresAt.slice(0, 10)}, ${session.cookies} cookies, ${session.origins} origins)`);
+    }
+  } catch (error) {
+    log(`Error: ${error.message}`);
+    console.error(`Error: ${error.message}`);
+  } finally {
+    rl.close();
+  }
+};
+
+// Command: Clear saved login sessions
+const sessionsClear = async (domain, options = {}) => {
+  try {
+    const vault = await openVault(options);
+    if (!vault) {
+      console.log('No credential vault found, so no sessions are saved.');
+      return;
+    }
+    
+    const cleared = clearSessions(vault.contents.sessions, { domain, expiredOnly: options.expired });
+    saveVault(vault);
+    
+    log(`Cleared ${cleared.length} saved sessions`);
+    console.log(cleared.length > 0 ? `Cleared sessions for: ${cleared.join(', ')}` : 'No matching sessions to clear.');
+  } catch (error) {
+    log(`Error: ${error.message}`);
+    console.error(`Error: ${error.message}`);
+  } finally {
+    rl.close();
+  }
+};
+
 // Command: Update user data
 const updateUserData = async () => {
   try {
@@ -445,20 +1360,7 @@ const updateUserData = async () => {
     if (!userData) {
       log('No user data found. Creating new data.');
       console.log('No existing user data found. Creating new data.');
-      userData = {
-        personalInfo: {
-          fullName: null,
-          email: null,
-          phone: null,
-          location: null,
-          dateOfBirth: null
-        },
-        education: [],
-        experience: [],
-        skills: [],
-        languages: [],
-        certifications: []
-      };
+      userData = ProfileSchema.createEmptyProfile();
     }
     
     console.log('\nUpdate User Information');
@@ -475,9 +1377,10 @@ const updateUserData = async () => {
       console.log('5. Languages');
       console.log('6. Certifications');
       console.log('7. Job Site Credentials');
-      console.log('8. Save and Exit');
+      console.log('8. Documents');
+      console.log('9. Save and Exit');
       
-      const choice = await prompt('\nEnter your choice (1-8): ');
+      const choice = await prompt('\nEnter your choice (1-9): ');
       
       switch (choice) {
         case '1':
@@ -687,38 +1590,36 @@ const updateUserData = async () => {
           
           const credChoice = await prompt('\nEnter your choice (1-4): ');
           
-          switch (credChoice) {
-            case '1':
-              if (!userData.linkedinCredentials) {
-                userData.linkedinCredentials = {};
-              }
-              userData.linkedinCredentials.username = await prompt(`LinkedIn Email [${userData.linkedinCredentials.username || ''}]: `) || userData.linkedinCredentials.username;
-              userData.linkedinCredentials.password = await prompt('LinkedIn Password: ');
-              break;
-              
-            case '2':
-              if (!userData.indeedCredentials) {
-                userData.indeedCredentials = {};
-              }
-              userData.indeedCredentials.username = await prompt(`Indeed Email [${userData.indeedCredentials.username || ''}]: `) || userData.indeedCredentials.username;
-              userData.indeedCredentials.password = await prompt('Indeed Password: ');
-              break;
-              
-            case '3':
-              if (!userData.glassdoorCredentials) {
-                userData.glassdoorCredentials = {};
+          const site = JOB_SITES[parseInt(credChoice) - 1];
+          if (site) {
+            await promptSiteCredential(await openVault({}, { create: true }), site.site, site.domain);
+          }
+          break;
+          
+        case '8': {
+          console.log('\nUpdating Documents (uploaded with every application; enter "-" to remove one):');
+          userData.documents = userData.documents || {};
+          for (const [kind, label] of [['resume', 'Resume'], ['coverLetter', 'Cover letter'], ['transcript', 'Transcript']]) {
+            const answer = await prompt(`${label} file [${userData.documents[kind] || ''}]: `);
+            if (answer === '-') {
+              delete userData.documents[kind];
+            } else if (answer) {
+              if (!fs.existsSync(answer)) {
+                console.log(`Warning: ${answer} does not exist yet.`);
               }
-              userData.glassdoorCredentials.username = await prompt(`Glassdoor Email [${userData.glassdoorCredentials.username || ''}]: `) || userData.glassdoorCredentials.username;
-              userData.glassdoorCredentials.password = await prompt('Glassdoor Password: ');
-              break;
+              userData.documents[kind] = path.resolve(answer);
+            }
           }
           break;
+        }
           
-        case '8':
-          saveUserData(userData);
-          log('User data updated and saved.');
-          console.log('\nUser data updated and saved successfully!');
-          exit = true;
+        case '9':
+          // Stay in the menu to correct anything the profile schema rejects
+          if (saveUserData(userData)) {
+            log('User data updated and saved.');
+            console.log('\nUser data updated and saved successfully!');
+            exit = true;
+          }
           break;
           
         default:
@@ -733,8 +1634,142 @@ const updateUserData = async () => {
   }
 };
 
+// Command: Check the profile against the schema and for what applications ask
+const validateProfile = async (options = {}) => {
+  try {
+    if (options.printSchema) {
+      console.log(JSON.stringify(ProfileSchema.PROFILE_SCHEMA, null, 2));
+      return;
+    }
+    
+    const userDataPath = getProfilePath('user_data.json');
+    if (!fs.existsSync(userDataPath)) {
+      console.error('Error: No user data found. Please run the parse-resume command first.');
+      process.exit(1);
+    }
+    
+    const { profile, migratedFrom } = ProfileSchema.migrateProfile(JSON.parse(fs.readFileSync(userDataPath, 'utf8')));
+    console.log(`\nProfile "${getActiveProfile()}" (${userDataPath})`);
+    if (migratedFrom !== null) {
+      console.log(`Written by an older version (schema version ${migratedFrom}); it is upgraded to version ${ProfileSchema.SCHEMA_VERSION} the next time it is loaded.`);
+    }
+    
+    const errors = ProfileSchema.validateProfile(profile);
+    if (errors.length > 0) {
+      console.log('\nDoes not match the profile schema (fix these in user_data.json):');
+      console.log(ProfileSchema.formatErrors(errors));
+    } else {
+      console.log(`Matches the profile schema (version ${ProfileSchema.SCHEMA_VERSION}).`);
+    }
+    
+    const missing = ProfileSchema.findMissingDetails(profile);
+    Object.entries(profile.documents || {})
+      .filter(([, file]) => file && !fs.existsSync(file))
+      .forEach(([kind, file]) => missing.push({ path: `documents.${kind}`, label: `${kind} file ${file} does not exist`, required: kind === 'resume' }));
+    
+    const required = missing.filter(detail => detail.required);
+    const recommended = missing.filter(detail => !detail.required);
+    if (required.length > 0) {
+      console.log('\nMissing for most applications:');
+      required.forEach(detail => console.log(`- ${detail.label} (${detail.path})`));
+    }
+    if (recommended.length > 0) {
+      console.log('\nWorth adding:');
+      recommended.forEach(detail => console.log(`- ${detail.label} (${detail.path})`));
+    }
+    if (missing.length === 0) {
+      console.log('Nothing typical applications ask for is missing.');
+    } else {
+      console.log('\nAdd them with update-user-data, or import-cv-json.');
+    }
+    
+    // A failing status lets scripts check a profile before a batch run
+    if (errors.length > 0 || required.length > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    log(`Error validating profile: ${error.message}`);
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    rl.close();
+  }
+};
+
+// Command: Export the profile for the Chrome extension (or another machine)
+const exportProfile = async (filePath = 'data/profile-export.json') => {
+  try {
+    const userData = loadUserData();
+    if (!userData) {
+      console.error('Error: No user data found. Please run the parse-resume command first.');
+      process.exit(1);
+    }
+    
+    fs.writeFileSync(filePath, JSON.stringify(ProfileSync.exportProfile(userData, 'cli', getActiveProfile()), null, 2));
+    log(`Profile exported to ${filePath}`);
+    console.log(`Profile exported to ${filePath} (credentials are not included).`);
+    console.log('Import it in the Chrome extension under Settings > Profile Sync.');
+  } catch (error) {
+    log(`Error exporting profile: ${error.message}`);
+    console.error(`Error: ${error.message}`);
+  } finally {
+    rl.close();
+  }
+};
+
+// Command: Merge a profile exported by the Chrome extension into user_data.json
+const importProfile = async (filePath, options = {}) => {
+  try {
+    const prefer = options.prefer || 'incoming';
+    if (!['incoming', 'local'].includes(prefer)) {
+      console.error('Error: --prefer must be "incoming" or "local".');
+      process.exit(1);
+    }
+    
+    const exported = ProfileSync.parseProfileExport(fs.readFileSync(filePath, 'utf8'));
+    const incoming = ProfileSchema.migrateProfile(exported.profile).profile;
+    const { profile, conflicts } = ProfileSync.mergeProfiles(loadUserData(), incoming, { prefer });
+    if (!saveUserData(profile)) {
+      return;
+    }
+    
+    log(`Imported profile from ${filePath} (${conflicts.length} conflicts)`);
+    console.log(`Imported the ${exported.source || 'exported'} profile from ${filePath}.`);
+    if (conflicts.length > 0) {
+      console.log(`\nValues that differed (kept the ${prefer} one):`);
+      conflicts.forEach(({ path: field, local, incoming }) => {
+        console.log(`- ${field}: local "${local}", imported "${incoming}"`);
+      });
+    }
+  } catch (error) {
+    log(`Error importing profile: ${error.message}`);
+    console.error(`Error: ${error.message}`);
+  } finally {
+    rl.close();
+  }
+};
+
+// Command: Delete a named profile
+const deleteProfile = async (name, options) => {
+  try {
+    // Nothing to confirm when the name is wrong; deleteProfileCommand reports it
+    if (!options.yes && name !== DEFAULT_PROFILE && profileExists(name)) {
+      const answer = await prompt(`Delete profile "${name}" with its user data, answers and cover letters? (y/n): `);
+      if (answer.toLowerCase() !== 'y') {
+        console.log('Profile not deleted.');
+        return;
+      }
+    }
+    deleteProfileCommand(name);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+  } finally {
+    rl.close();
+  }
+};
+
 // Command: Generate Chrome Extension
-const generateExtension = async () => {
+const generateExtension = async (options = {}) => {
   try {
     log('Generating Chrome extension');
     
@@ -766,7 +1801,7 @@ const generateExtension = async () => {
       "content_scripts": [
         {
           "matches": ["*://*/*"],
-          "js": ["content.js"]
+          "js": ["fieldClassifier.js", "content.js"]
         }
       ],
       "background": {
@@ -814,12 +1849,17 @@ const generateExtension = async () => {
     button:hover { background: #3b78e7; }
     input, select, textarea { width: 100%; padding: 8px; margin: 5px 0 15px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
     h3 { margin-top: 0; }
-    .status { margin-top: 10px; padding: 10px; border-radius: 4px; }
+    .status { margin-top: 10px; padding: 10px; border-radius: 4px; white-space: pre-line; }
     .success { background: #d4edda; color: #155724; }
     .error { background: #f8d7da; color: #721c24; }
   </style>
 </head>
 <body>
+  <div id="profile-switcher">
+    <label for="profile-select">Profile</label>
+    <select id="profile-select"></select>
+  </div>
+  
   <div class="nav">
     <div class="nav-item active" data-tab="profile">Profile</div>
     <div class="nav-item" data-tab="apply">Apply</div>
@@ -830,6 +1870,16 @@ const generateExtension = async () => {
     <h3>Your Profile</h3>
     <input type="file" id="resume-upload" accept=".pdf,.docx,.txt">
     <button id="parse-resume">Parse Resume</button>
+    <div id="profile-status" class="status" style="display: none;"></div>
+    
+    <div id="resume-review" style="margin-top: 15px; display: none;">
+      <h4>Found in your resume</h4>
+      <ul id="resume-found"></ul>
+      <h4>Not found (add these below after saving)</h4>
+      <ul id="resume-missing"></ul>
+      <button id="confirm-resume">Save to Profile</button>
+      <button id="discard-resume">Discard</button>
+    </div>
     
     <div id="profile-details" style="margin-top: 15px; display: none;">
       <h4>Personal Information</h4>
@@ -872,28 +1922,41 @@ const generateExtension = async () => {
   <div class="tab" id="settings">
     <h3>Settings</h3>
     
-    <h4>Credentials</h4>
+    <h4>Job Site Accounts</h4>
+    <p>Passwords are kept in the command line tool's encrypted vault (node index.js vault add linkedin.com), never here.</p>
     <label>LinkedIn Email</label>
     <input type="email" id="linkedin-email">
     
-    <label>LinkedIn Password</label>
-    <input type="password" id="linkedin-password">
-    
     <label>Indeed Email</label>
     <input type="email" id="indeed-email">
     
-    <label>Indeed Password</label>
-    <input type="password" id="indeed-password">
-    
     <label>Glassdoor Email</label>
     <input type="email" id="glassdoor-email">
     
-    <label>Glassdoor Password</label>
-    <input type="password" id="glassdoor-password">
-    
     <button id="save-settings">Save Settings</button>
+    
+    <h4>Profiles</h4>
+    <p>Keep separate profiles, e.g. one per kind of role. Switch between them at the top of the popup.</p>
+    <input type="text" id="new-profile-name" placeholder="New profile name, e.g. data-eng">
+    <button id="create-profile">Add Profile</button>
+    <button id="delete-profile">Delete Current Profile</button>
+    <div id="profiles-status" class="status" style="display: none;"></div>
+    
+    <h4>Profile Sync</h4>
+    <p>Move your profile between this extension and the command-line tool (<code>export-profile</code> and <code>import-profile</code>).</p>
+    <button id="export-profile">Export Profile</button>
+    <input type="file" id="import-profile-file" accept=".json">
+    <label><input type="checkbox" id="import-keep-local" style="width: auto;"> Keep this extension's values where they differ</label>
+    <button id="import-profile">Import Profile</button>
+    <div id="sync-status" class="status" style="display: none;"></div>
+    <ul id="sync-conflicts"></ul>
   </div>
   
+  <script src="vendor/pdf.js"></script>
+  <script src="vendor/mammoth.browser.min.js"></script>
+  <script src="profileSchema.js"></script>
+  <script src="resumeExtractor.js"></script>
+  <script src="profileSync.js"></script>
   <script src="popup.js"></script>
 </body>
 </html>`;
@@ -918,78 +1981,118 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
   
-  // Load user data
-  chrome.storage.local.get(['userData'], function(result) {
-    if (result.userData) {
-      populateProfile(result.userData);
-      document.getElementById('profile-details').style.display = 'block';
-    }
-  });
+  // Load user data, upgrading a profile saved by an older version
+  chrome.storage.local.get(['userData'], function(result) {
+    const migrated = ProfileSchema.migrateProfile(result.userData);
+    if (migrated.migratedFrom !== null) {
+      chrome.storage.local.set({userData: migrated.profile});
+    }
+    showProfile(migrated.profile);
+  });
+  loadProfileSwitcher();
+  
+  // Profiles: the active one is kept under userData, where auto-fill reads it,
+  // and the others under profiles, by name
+  document.getElementById('profile-select').addEventListener('change', function() {
+    switchProfile(this.value, true);
+  });
+  
+  document.getElementById('create-profile').addEventListener('click', function() {
+    const name = document.getElementById('new-profile-name').value.trim();
+    const existing = Array.from(document.getElementById('profile-select').options).map(option => option.value);
+    if (!/^[a-z0-9][a-z0-9_-]{0,39}$/i.test(name)) {
+      showStatus('Use up to 40 letters, digits, "-" and "_" for the name', 'error', 'profiles-status');
+      return;
+    }
+    if (existing.includes(name)) {
+      showStatus('Profile "' + name + '" already exists', 'error', 'profiles-status');
+      return;
+    }
+    
+    switchProfile(name, true, function() {
+      document.getElementById('new-profile-name').value = '';
+      showStatus('Created profile "' + name + '". Parse a resume for it in the Profile tab.', 'success', 'profiles-status');
+    });
+  });
+  
+  document.getElementById('delete-profile').addEventListener('click', function() {
+    chrome.storage.local.get(['activeProfile'], function(result) {
+      const name = result.activeProfile || 'default';
+      if (name === 'default' || !confirm('Delete profile "' + name + '" and everything in it?')) {
+        return;
+      }
+      switchProfile('default', false, function() {
+        showStatus('Deleted profile "' + name + '".', 'success', 'profiles-status');
+      });
+    });
+  });
+  
+  // Parse resume: the file is read in the popup and run through the same rules
+  // as parse-resume on the command line (resumeExtractor.js); nothing is uploaded
+  let parsedResume = null;
   
-  // Parse resume
-  document.getElementById('parse-resume').addEventListener('click', function() {
+  document.getElementById('parse-resume').addEventListener('click', async function() {
     const fileInput = document.getElementById('resume-upload');
     if (fileInput.files.length === 0) {
-      showStatus('Please select a resume file first', 'error');
+      showStatus('Please select a resume file first', 'error', 'profile-status');
       return;
     }
     
-    const file = fileInput.files[0];
-    
-    // In a real extension, you would use a service worker to handle the file parsing
-    // For this demo, we'll simulate parsing success
-    setTimeout(() => {
-      showStatus('Resume parsed successfully!', 'success');
-      document.getElementById('profile-details').style.display = 'block';
-      
-      // Simulate some extracted data
-      const demoData = {
+    try {
+      const text = await readResumeText(fileInput.files[0]);
+      parsedResume = new ResumeExtractor().parseText(text);
+      showResumeReview(parsedResume);
+    } catch (error) {
+      showStatus('Could not parse the resume: ' + error.message, 'error', 'profile-status');
+    }
+  });
+  
+  // Nothing is stored until the user has seen what was found
+  document.getElementById('confirm-resume').addEventListener('click', function() {
+    chrome.storage.local.get(['userData'], function(result) {
+      const userData = mergeParsedResume(result.userData, parsedResume.userData);
+      chrome.storage.local.set({userData: userData}, function() {
+        document.getElementById('resume-review').style.display = 'none';
+        document.getElementById('profile-details').style.display = 'block';
+        populateProfile(userData);
+        showStatus('Resume details saved to your profile.', 'success', 'profile-status');
+      });
+    });
+  });
+  
+  document.getElementById('discard-resume').addEventListener('click', function() {
+    parsedResume = null;
+    document.getElementById('resume-review').style.display = 'none';
+  });
+  
+  // Save profile, keeping the parts of it this form does not show (languages, ...)
+  document.getElementById('save-profile').addEventListener('click', function() {
+    chrome.storage.local.get(['userData'], function(result) {
+      const stored = result.userData || {};
+      const userData = {
+        ...stored,
         personalInfo: {
-          fullName: 'John Doe',
-          email: 'john.doe@example.com',
-          phone: '(555) 123-4567',
-          location: 'San Francisco, CA'
+          ...stored.personalInfo,
+          fullName: document.getElementById('full-name').value,
+          email: document.getElementById('email').value,
+          phone: document.getElementById('phone').value,
+          location: document.getElementById('location').value
         },
-        education: [
-          {
-            institution: 'University of California',
-            degree: 'Bachelor of Science in Computer Science',
-            dates: '2016-2020',
-            gpa: '3.8'
-          }
-        ],
-        experience: [
-          {
-            company: 'Tech Company Inc.',
-            title: 'Software Engineer',
-            dates: '2020-Present',
-            description: 'Developing web applications using React and Node.js'
-          }
-        ],
-        skills: ['JavaScript', 'React', 'Node.js', 'HTML', 'CSS']
+        education: getEducationData(),
+        experience: getExperienceData(),
+        skills: document.getElementById('skills').value.split(',').map(skill => skill.trim()).filter(Boolean)
       };
       
-      populateProfile(demoData);
-      chrome.storage.local.set({userData: demoData});
-    }, 1500);
-  });
-  
-  // Save profile
-  document.getElementById('save-profile').addEventListener('click', function() {
-    const userData = {
-      personalInfo: {
-        fullName: document.getElementById('full-name').value,
-        email: document.getElementById('email').value,
-        phone: document.getElementById('phone').value,
-        location: document.getElementById('location').value
-      },
-      education: getEducationData(),
-      experience: getExperienceData(),
-      skills: document.getElementById('skills').value.split(',').map(skill => skill.trim())
-    };
-    
-    chrome.storage.local.set({userData: userData}, function() {
-      showStatus('Profile saved successfully!', 'success');
+      const profile = ProfileSchema.migrateProfile(userData).profile;
+      const errors = ProfileSchema.validateProfile(profile);
+      if (errors.length > 0) {
+        showStatus('Profile not saved:\\n' + ProfileSchema.formatErrors(errors), 'error', 'profile-status');
+        return;
+      }
+      
+      chrome.storage.local.set({userData: profile}, function() {
+        showStatus('Profile saved successfully!', 'success', 'profile-status');
+      });
     });
   });
   
@@ -1033,16 +2136,13 @@ document.addEventListener('DOMContentLoaded', function() {
   document.getElementById('save-settings').addEventListener('click', function() {
     const credentials = {
       linkedin: {
-        username: document.getElementById('linkedin-email').value,
-        password: document.getElementById('linkedin-password').value
+        username: document.getElementById('linkedin-email').value
       },
       indeed: {
-        username: document.getElementById('indeed-email').value,
-        password: document.getElementById('indeed-password').value
+        username: document.getElementById('indeed-email').value
       },
       glassdoor: {
-        username: document.getElementById('glassdoor-email').value,
-        password: document.getElementById('glassdoor-password').value
+        username: document.getElementById('glassdoor-email').value
       }
     };
     
@@ -1051,21 +2151,75 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
   
+  // Profile sync with the CLI; the merge is shared with import-profile (profileSync.js)
+  document.getElementById('export-profile').addEventListener('click', function() {
+    chrome.storage.local.get(['userData', 'activeProfile'], function(result) {
+      if (!result.userData) {
+        showStatus('There is no profile to export yet.', 'error', 'sync-status');
+        return;
+      }
+      
+      const exported = ProfileSync.exportProfile(result.userData, 'extension', result.activeProfile || 'default');
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([JSON.stringify(exported, null, 2)], {type: 'application/json'}));
+      link.download = 'profile-export.json';
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      showStatus('Profile exported. Import it with: node index.js import-profile profile-export.json', 'success', 'sync-status');
+    });
+  });
+  
+  document.getElementById('import-profile').addEventListener('click', async function() {
+    const fileInput = document.getElementById('import-profile-file');
+    if (fileInput.files.length === 0) {
+      showStatus('Please select an exported profile first', 'error', 'sync-status');
+      return;
+    }
+    
+    try {
+      const exported = ProfileSync.parseProfileExport(await fileInput.files[0].text());
+      const prefer = document.getElementById('import-keep-local').checked ? 'local' : 'incoming';
+      importProfile(exported, prefer, 'sync-status');
+    } catch (error) {
+      showStatus('Could not import the profile: ' + error.message, 'error', 'sync-status');
+    }
+  });
+  
+  // A profile bundled by generate-extension --embed-profile is merged in once
+  fetch('profile.json')
+    .then(response => (response.ok ? response.json() : null))
+    .then(data => {
+      if (!data) {
+        return;
+      }
+      const exported = ProfileSync.parseProfileExport(data);
+      chrome.storage.local.get(['embeddedProfileAt'], function(result) {
+        if (result.embeddedProfileAt !== exported.exportedAt) {
+          importProfile(exported, 'incoming', 'profile-status', exported.name, function() {
+            chrome.storage.local.set({embeddedProfileAt: exported.exportedAt});
+          });
+        }
+      });
+    })
+    .catch(() => {});
+  
   // Load settings
   chrome.storage.local.get(['credentials'], function(result) {
     if (result.credentials) {
       const creds = result.credentials;
-      if (creds.linkedin) {
-        document.getElementById('linkedin-email').value = creds.linkedin.username || '';
-        document.getElementById('linkedin-password').value = creds.linkedin.password || '';
-      }
-      if (creds.indeed) {
-        document.getElementById('indeed-email').value = creds.indeed.username || '';
-        document.getElementById('indeed-password').value = creds.indeed.password || '';
-      }
-      if (creds.glassdoor) {
-        document.getElementById('glassdoor-email').value = creds.glassdoor.username || '';
-        document.getElementById('glassdoor-password').value = creds.glassdoor.password || '';
+      let hadPasswords = false;
+      ['linkedin', 'indeed', 'glassdoor'].forEach(site => {
+        if (creds[site]) {
+          document.getElementById(site + '-email').value = creds[site].username || '';
+          if (creds[site].password !== undefined) {
+            delete creds[site].password;
+            hadPasswords = true;
+          }
+        }
+      });
+      // Older versions saved passwords here in plain text; drop them
+      if (hadPasswords) {
+        chrome.storage.local.set({credentials: creds});
       }
     }
   });
@@ -1194,8 +2348,159 @@ document.addEventListener('DOMContentLoaded', function() {
     return experience;
   }
   
-  function showStatus(message, type) {
-    const statusElem = document.getElementById('status-message');
+  async function readResumeText(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (extension === 'txt') {
+      return file.text();
+    }
+    if (extension === 'docx') {
+      const result = await mammoth.extractRawText({arrayBuffer: await file.arrayBuffer()});
+      return result.value;
+    }
+    if (extension === 'pdf') {
+      // The pdf.js build pdf-parse uses, with its way of joining text into lines
+      pdfjsDistBuildPdf.PDFJS.workerSrc = 'vendor/pdf.worker.js';
+      const pdf = await pdfjsDistBuildPdf.getDocument({data: new Uint8Array(await file.arrayBuffer())});
+      let text = '';
+      for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const content = await (await pdf.getPage(pageNumber)).getTextContent();
+        let lastY;
+        let pageText = '';
+        for (const item of content.items) {
+          pageText += (lastY == item.transform[5] || !lastY) ? item.str : '\\n' + item.str;
+          lastY = item.transform[5];
+        }
+        text += '\\n\\n' + pageText;
+      }
+      return text;
+    }
+    throw new Error('Unsupported file format. Use a PDF, DOCX or TXT file.');
+  }
+  
+  function showResumeReview(parsed) {
+    const data = parsed.userData;
+    const count = (items, noun, plural) => items.length + ' ' + (items.length === 1 ? noun : plural || noun + 's');
+    const found = [
+      ...Object.values(data.personalInfo).filter(Boolean),
+      count(data.education, 'education entry', 'education entries'),
+      count(data.experience, 'job'),
+      count(data.skills, 'skill'),
+      count(data.languages, 'language'),
+      count(data.certifications, 'certification')
+    ];
+    
+    const fill = (listId, items) => {
+      const list = document.getElementById(listId);
+      list.innerHTML = '';
+      items.forEach(item => {
+        const entry = document.createElement('li');
+        entry.textContent = item;
+        list.appendChild(entry);
+      });
+    };
+    fill('resume-found', found);
+    fill('resume-missing', parsed.missingFields.map(field => ResumeExtractor.MISSING_FIELD_LABELS[field] || field));
+    document.getElementById('resume-review').style.display = 'block';
+  }
+  
+  // Parsed values replace the stored ones; whatever the resume lacked is kept
+  function mergeParsedResume(stored, parsed) {
+    const userData = {...(stored || ProfileSchema.createEmptyProfile())};
+    userData.personalInfo = {...userData.personalInfo};
+    Object.entries(parsed.personalInfo).forEach(([key, value]) => {
+      if (value) {
+        userData.personalInfo[key] = value;
+      }
+    });
+    ['education', 'experience', 'skills', 'languages', 'certifications'].forEach(key => {
+      if (parsed[key].length > 0) {
+        userData[key] = parsed[key];
+      }
+    });
+    return userData;
+  }
+  
+  function showProfile(userData) {
+    populateProfile(userData || ProfileSchema.createEmptyProfile());
+    document.getElementById('profile-details').style.display = userData ? 'block' : 'none';
+  }
+  
+  function loadProfileSwitcher() {
+    chrome.storage.local.get(['activeProfile', 'profiles'], function(result) {
+      const active = result.activeProfile || 'default';
+      const names = Object.keys(result.profiles || {}).concat(active, 'default')
+        .filter((name, index, all) => all.indexOf(name) === index)
+        .sort();
+      
+      const select = document.getElementById('profile-select');
+      select.innerHTML = '';
+      names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        option.selected = name === active;
+        select.appendChild(option);
+      });
+      document.getElementById('delete-profile').disabled = active === 'default';
+    });
+  }
+  
+  // Makes another profile the active one; keepCurrent false drops the current one
+  function switchProfile(name, keepCurrent, done) {
+    chrome.storage.local.get(['userData', 'activeProfile', 'profiles'], function(result) {
+      const profiles = Object.assign({}, result.profiles);
+      if (keepCurrent) {
+        profiles[result.activeProfile || 'default'] = result.userData || null;
+      }
+      const userData = profiles[name] ? ProfileSchema.migrateProfile(profiles[name]).profile : null;
+      delete profiles[name];
+      
+      chrome.storage.local.set({userData: userData, activeProfile: name, profiles: profiles}, function() {
+        showProfile(userData);
+        loadProfileSwitcher();
+        if (done) {
+          done();
+        }
+      });
+    });
+  }
+  
+  // Merges an export into a profile: the active one unless profileName names another
+  function importProfile(exported, prefer, statusId, profileName, done) {
+    chrome.storage.local.get(['userData', 'activeProfile', 'profiles'], function(result) {
+      const active = result.activeProfile || 'default';
+      const target = profileName || active;
+      const profiles = Object.assign({}, result.profiles);
+      const local = target === active ? result.userData : profiles[target];
+      const merged = ProfileSync.mergeProfiles(ProfileSchema.migrateProfile(local).profile,
+        ProfileSchema.migrateProfile(exported.profile).profile, {prefer: prefer});
+      
+      profiles[target] = merged.profile;
+      const update = target === active ? {userData: merged.profile} : {profiles: profiles};
+      chrome.storage.local.set(update, function() {
+        if (target === active) {
+          showProfile(merged.profile);
+        } else {
+          loadProfileSwitcher();
+        }
+        
+        const conflictList = document.getElementById('sync-conflicts');
+        conflictList.innerHTML = '';
+        merged.conflicts.forEach(conflict => {
+          const entry = document.createElement('li');
+          entry.textContent = conflict.path + ': kept "' + conflict.kept + '"';
+          conflictList.appendChild(entry);
+        });
+        showStatus('Profile "' + target + '" imported' + (merged.conflicts.length > 0 ? ' (' + merged.conflicts.length + ' differing values, listed under Settings)' : '') + '.', 'success', statusId);
+        if (done) {
+          done();
+        }
+      });
+    });
+  }
+  
+  function showStatus(message, type, elementId) {
+    const statusElem = document.getElementById(elementId || 'status-message');
     statusElem.textContent = message;
     statusElem.className = 'status ' + type;
     statusElem.style.display = 'block';
@@ -1209,12 +2514,7 @@ document.addEventListener('DOMContentLoaded', function() {
   document.getElementById('add-education').addEventListener('click', function() {
     chrome.storage.local.get(['userData'], function(result) {
       if (!result.userData) {
-        result.userData = {
-          personalInfo: {},
-          education: [],
-          experience: [],
-          skills: []
-        };
+        result.userData = ProfileSchema.createEmptyProfile();
       }
       
       if (!result.userData.education) {
@@ -1237,12 +2537,7 @@ document.addEventListener('DOMContentLoaded', function() {
   document.getElementById('add-experience').addEventListener('click', function() {
     chrome.storage.local.get(['userData'], function(result) {
       if (!result.userData) {
-        result.userData = {
-          personalInfo: {},
-          education: [],
-          experience: [],
-          skills: []
-        };
+        result.userData = ProfileSchema.createEmptyProfile();
       }
       
       if (!result.userData.experience) {
@@ -1327,6 +2622,7 @@ function analyzePage() {
 }
 
 // Create mappings between form fields and user data
+// Classification is shared with the CLI bot through fieldClassifier.js
 function createFormMappings() {
   const fieldMappings = {};
   
@@ -1337,121 +2633,29 @@ function createFormMappings() {
     // Store original background color
     input.dataset.originalBg = input.style.backgroundColor;
     
-    // Try to identify the field type based on attributes
-    const name = input.name ? input.name.toLowerCase() : '';
-    const id = input.id ? input.id.toLowerCase() : '';
-    const placeholder = input.placeholder ? input.placeholder.toLowerCase() : '';
-    const label = findLabelForInput(input);
-    
-    // Check for common field types
-    if (
-      name.includes('name') || id.includes('name') || 
-      placeholder.includes('name') || (label && label.includes('name'))
-    ) {
-      if (
-        name.includes('first') || id.includes('first') || 
-        placeholder.includes('first') || (label && label.includes('first'))
-      ) {
-        input.dataset.fieldType = 'firstName';
-      } else if (
-        name.includes('last') || id.includes('last') || 
-        placeholder.includes('last') || (label && label.includes('last'))
-      ) {
-        input.dataset.fieldType = 'lastName';
-      } else {
-        input.dataset.fieldType = 'fullName';
-      }
-    } else if (
-      name.includes('email') || id.includes('email') || 
-      placeholder.includes('email') || (label && label.includes('email')) ||
-      input.type === 'email'
-    ) {
-      input.dataset.fieldType = 'email';
-    } else if (
-      name.includes('phone') || id.includes('phone') || 
-      placeholder.includes('phone') || (label && label.includes('phone')) ||
-      input.type === 'tel'
-    ) {
-      input.dataset.fieldType = 'phone';
-    } else if (
-      name.includes('address') || id.includes('address') || 
-      placeholder.includes('address') || (label && label.includes('address'))
-    ) {
-      input.dataset.fieldType = 'address';
-    } else if (
-      name.includes('city') || id.includes('city') || 
-      placeholder.includes('city') || (label && label.includes('city'))
-    ) {
-      input.dataset.fieldType = 'city';
-    } else if (
-      name.includes('state') || id.includes('state') || 
-      placeholder.includes('state') || (label && label.includes('state'))
-    ) {
-      input.dataset.fieldType = 'state';
-    } else if (
-      name.includes('zip') || id.includes('zip') || name.includes('postal') || 
-      id.includes('postal') || placeholder.includes('zip') || 
-      placeholder.includes('postal') || (label && (label.includes('zip') || label.includes('postal')))
-    ) {
-      input.dataset.fieldType = 'zip';
-    } else if (
-      name.includes('education') || id.includes('education') || 
-      placeholder.includes('education') || (label && label.includes('education'))
-    ) {
-      input.dataset.fieldType = 'education';
-    } else if (
-      name.includes('experience') || id.includes('experience') || 
-      placeholder.includes('experience') || (label && label.includes('experience'))
-    ) {
-      input.dataset.fieldType = 'experience';
-    } else if (
-      name.includes('skill') || id.includes('skill') || 
-      placeholder.includes('skill') || (label && label.includes('skill'))
-    ) {
-      input.dataset.fieldType = 'skills';
+    const description = FieldClassifier.describeElement(input);
+    // A radio button is classified by the question of its group, not its option
+    if (input.type === 'radio') {
+      description.label = FieldClassifier.findGroupLabel(input) || '';
+    }
+    const { fieldType, confidence } = FieldClassifier.classifyField(description);
+    if (fieldType) {
+      input.dataset.fieldType = fieldType;
+      input.dataset.fieldConfidence = confidence;
+      fieldMappings[input.name || input.id] = { fieldType, confidence };
     }
   });
   
   return fieldMappings;
 }
 
-// Find label text for an input element
-function findLabelForInput(input) {
-  // Check for label with 'for' attribute
-  if (input.id) {
-    const label = document.querySelector(\`label[for="\${input.id}"]\`);
-    if (label) {
-      return label.textContent.toLowerCase();
-    }
-  }
-  
-  // Check for parent label
-  let parent = input.parentElement;
-  while (parent && parent.tagName !== 'BODY') {
-    if (parent.tagName === 'LABEL') {
-      return parent.textContent.toLowerCase();
-    }
-    parent = parent.parentElement;
-  }
-  
-  // Check for preceding label or text
-  const previousElement = input.previousElementSibling;
-  if (previousElement && (
-      previousElement.tagName === 'LABEL' || 
-      previousElement.tagName === 'SPAN' || 
-      previousElement.tagName === 'DIV'
-    )) {
-    return previousElement.textContent.toLowerCase();
-  }
-  
-  return null;
-}
-
 // Auto-fill the application form with user data
 function autoFillApplication(userData) {
   try {
     // Get all input elements that were analyzed
     const inputs = document.querySelectorAll('[data-automation-analyzed="true"]');
+    const address = userData.address || {};
+    const location = userData.personalInfo.location;
     let filledFields = 0;
     
     inputs.forEach(input => {
@@ -1463,30 +2667,74 @@ function autoFillApplication(userData) {
         
         // Set value based on field type
         switch (fieldType) {
+          // Name parts from the profile come first, as in the CLI bot, so "Mary Ann" stays whole
           case 'firstName':
-            if (userData.personalInfo.fullName) {
+            if (userData.personalInfo.firstName) {
+              value = userData.personalInfo.firstName;
+            } else if (userData.personalInfo.fullName) {
               value = userData.personalInfo.fullName.split(' ')[0];
             }
             break;
           case 'lastName':
-            if (userData.personalInfo.fullName) {
+            if (userData.personalInfo.lastName) {
+              value = userData.personalInfo.lastName;
+            } else if (userData.personalInfo.fullName) {
               const nameParts = userData.personalInfo.fullName.split(' ');
-              value = nameParts[nameParts.length - 1];
+              value = nameParts.length > 1 ? nameParts[nameParts.length - 1] : null;
             }
             break;
+          case 'salutation':
+            value = userData.personalInfo.salutation;
+            break;
           case 'fullName':
             value = userData.personalInfo.fullName;
             break;
           case 'email':
             value = userData.personalInfo.email;
             break;
+          case 'secondaryEmail':
+            value = userData.personalInfo.secondaryEmail;
+            break;
           case 'phone':
             value = userData.personalInfo.phone;
             break;
+          // Address parts come from the address section, as in the CLI bot
           case 'address':
-            if (userData.personalInfo.location) {
-              value = userData.personalInfo.location;
-            }
+            value = address.line1 || location;
+            break;
+          case 'city':
+            value = address.city || (location ? location.split(',')[0].trim() : null);
+            break;
+          case 'state':
+            value = address.county;
+            break;
+          case 'zip':
+            value = address.postcode;
+            break;
+          case 'country':
+            value = address.country;
+            break;
+          case 'location':
+            value = location;
+            break;
+          case 'nationality':
+            value = (userData.citizenships || [])[0];
+            break;
+          case 'preferredLocation':
+            value = ((userData.locationPreferences || [])[0] || {}).location;
+            break;
+          case 'workAuthorization':
+            // The answer for the most preferred location, as postings usually ask about it
+            value = ((userData.locationPreferences || [])[0] || {}).workAuthorization || userData.workAuthorizationStatus;
+            break;
+          case 'degreeClass':
+            value = ((userData.education || [])[0] || {}).degreeClass;
+            break;
+          case 'highestEducation':
+            value = (userData.educationSummary || {}).highestLevel;
+            break;
+          case 'schoolType':
+            value = ((userData.education || []).find(entry => entry.schoolType) || {}).schoolType;
             break;
           case 'education':
             if (userData.education && userData.education.length > 0) {
@@ -1521,6 +2769,11 @@ function autoFillApplication(userData) {
               value = userData.skills.join(', ');
             }
             break;
+          default:
+            // Diversity questions (eeo.gender, eeo.freeSchoolMeals, ...) as recorded in the profile
+            if (fieldType.indexOf('eeo.') === 0 && userData.eeo) {
+              value = userData.eeo[fieldType.slice(4)];
+            }
         }
         
         // Fill the field if we have a value
@@ -1538,6 +2791,13 @@ function autoFillApplication(userData) {
               highlightField(input, true);
               filledFields++;
             }
+          } else if (input.type === 'radio') {
+            // Every option of the group has the group's field type; only the matching one is checked
+            if (FieldClassifier.findOptionLabel(input).toLowerCase().includes(String(value).toLowerCase())) {
+              input.checked = true;
+              highlightField(input, true);
+              filledFields++;
+            }
           } else {
             // Regular input or textarea
             input.value = value;
@@ -1548,18 +2808,13 @@ function autoFillApplication(userData) {
       }
     });
     
-    // Look for file upload fields for resume
+    // The extension cannot read files from disk, so point out the document uploads instead
+    const documentLabels = { resume: 'resume', coverLetter: 'cover letter', transcript: 'transcript' };
     const fileInputs = document.querySelectorAll('input[type="file"]');
     fileInputs.forEach(input => {
-      // Highlight file inputs that likely need manual intervention
-      const name = input.name ? input.name.toLowerCase() : '';
-      const id = input.id ? input.id.toLowerCase() : '';
-      
-      if (
-        name.includes('resume') || id.includes('resume') ||
-        name.includes('cv') || id.includes('cv') ||
-        name.includes('document') || id.includes('document')
-      ) {
+      const { documentType } = FieldClassifier.classifyDocumentField(FieldClassifier.describeElement(input));
+      if (documentLabels[documentType]) {
+        input.title = \`Attach your \${documentLabels[documentType]} here\`;
         highlightField(input, false);
       }
     });
@@ -1597,6 +2852,36 @@ function highlightField(field, success) {
     
     fs.writeFileSync('extension/content.js', contentJs);
     
+    // The modules shared with the CLI are copied unchanged, so they must stay plain
+    // JavaScript (and the DOM) with no dependencies beyond each other; each one
+    // sets a global (window.FieldClassifier, ...) when it is not loaded by Node.
+    //
+    // Bundle the field classifier shared with the CLI bot
+    fs.copyFileSync(path.join(__dirname, 'fieldClassifier.js'), 'extension/fieldClassifier.js');
+    
+    // Bundle the resume rules shared with parse-resume, and the PDF and DOCX readers it uses
+    fs.copyFileSync(path.join(__dirname, 'profileSchema.js'), 'extension/profileSchema.js');
+    fs.copyFileSync(path.join(__dirname, 'resumeExtractor.js'), 'extension/resumeExtractor.js');
+    fs.copyFileSync(path.join(__dirname, 'profileSync.js'), 'extension/profileSync.js');
+    ensureDirectoryExists('extension/vendor');
+    const pdfjsBuild = path.join(path.dirname(require.resolve('pdf-parse/package.json')), 'lib/pdf.js/v1.10.100/build');
+    fs.copyFileSync(path.join(pdfjsBuild, 'pdf.js'), 'extension/vendor/pdf.js');
+    fs.copyFileSync(path.join(pdfjsBuild, 'pdf.worker.js'), 'extension/vendor/pdf.worker.js');
+    fs.copyFileSync(require.resolve('mammoth/mammoth.browser.min.js'), 'extension/vendor/mammoth.browser.min.js');
+    
+    // The popup merges an embedded profile into its profile of the same name the next time it opens
+    if (options.embedProfile) {
+      const userData = loadUserData();
+      if (userData) {
+        fs.writeFileSync('extension/profile.json', JSON.stringify(ProfileSync.exportProfile(userData, 'cli', getActiveProfile()), null, 2));
+        console.log('Your profile was embedded in extension/profile.json. Do not share the extension directory.');
+      } else {
+        console.log('No user data found to embed; run parse-resume first.');
+      }
+    } else if (fs.existsSync('extension/profile.json')) {
+      fs.unlinkSync('extension/profile.json');
+    }
+    
     // Create background.js
     const backgroundJs = `// Background service worker for the extension
 
@@ -1639,7 +2924,18 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
 program
   .name('job-application-automation')
   .description('CLI tool for automating job applications')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--profile <name>', `Profile to use (default: JOBFILLER_PROFILE, or "${DEFAULT_PROFILE}")`);
+
+// Every command reads and writes the chosen profile's files
+program.hook('preAction', () => {
+  try {
+    setActiveProfile(program.opts().profile || getActiveProfile());
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+});
 
 // Parse resume command
 program
@@ -1653,15 +2949,134 @@ program
   .command('apply')
   .description('Apply to a job using the stored user information')
   .argument('<url>', 'URL of the job posting to apply for')
+  .option('--dry-run', 'Fill every page and save a report with screenshots, but never submit')
+  .option('-i, --interactive', 'Pause for your review before the final submit')
+  .option('-f, --force', 'Apply even if you have already applied to this posting')
+  .option('-k, --key-file <path>', 'Key file that unlocks the credential vault')
+  .option('--resume-file <path>', 'Resume to upload instead of the one in your profile')
+  .option('--cover-letter <path>', 'Cover letter to upload instead of the one in your profile')
+  .option('-g, --generate-cover-letter [template]', 'Write a cover letter for this posting from a template and upload it')
+  .option('--cover-letter-format <format>', `Format of generated cover letters: ${COVER_LETTER_FORMATS.join(', ')} (default pdf)`)
   .action(applyToJob);
 
 // Batch apply command
 program
   .command('batch-apply')
-  .description('Apply to multiple jobs listed in a text file')
-  .argument('<file-path>', 'Path to a text file containing job URLs (one per line)')
+  .description('Apply to multiple jobs listed in a text, CSV, JSON or YAML file')
+  .argument('[file-path]', 'Job list: .txt (one URL per line), .csv, .json or .yaml with per-job columns')
+  .option('-r, --resume <run-id>', 'Continue an interrupted batch run where it stopped')
+  .option('--retries <count>', `Times to retry a failed application (default ${DEFAULT_BATCH_RETRIES})`)
+  .option('-c, --concurrency <count>', `Number of applications to run at once (default ${DEFAULT_BATCH_CONCURRENCY})`)
+  .option('--domain-delay <seconds>', `Minimum seconds between two applications on the same site (default ${DEFAULT_DOMAIN_DELAY} when running in parallel)`)
+  .option('--dry-run', 'Fill every page and save a report with screenshots, but never submit')
+  .option('-i, --interactive', 'Pause for your review before each final submit')
+  .option('-f, --force', 'Apply even to postings you have already applied to')
+  .option('-k, --key-file <path>', 'Key file that unlocks the credential vault')
+  .option('--min-score <score>', 'Skip postings whose match score against your profile (0-100, see "score") is lower')
+  .option('-g, --generate-cover-letter [template]', 'Write a cover letter for each posting from a template and upload it')
+  .option('--cover-letter-format <format>', `Format of generated cover letters: ${COVER_LETTER_FORMATS.join(', ')} (default pdf)`)
   .action(batchApply);
 
+// Batch run history commands
+const batchRunsCommand = program
+  .command('batch-runs')
+  .description('Show the history of batch-apply runs');
+
+batchRunsCommand
+  .command('list')
+  .description('List batch runs with their progress')
+  .action(() => {
+    listBatchRunsCommand();
+    rl.close();
+  });
+
+batchRunsCommand
+  .command('show')
+  .description('Show every job in a batch run and what happened to it')
+  .argument('<run-id>', 'Batch run id')
+  .action((runId) => {
+    showBatchRunCommand(runId);
+    rl.close();
+  });
+
+// Credential vault commands
+const vaultCommand = program
+  .command('vault')
+  .description('Manage the encrypted vault of job site logins')
+  .option('-k, --key-file <path>', 'Key file that unlocks the vault (default: JOBFILLER_VAULT_KEY_FILE)');
+
+// Subcommands see the vault options too, e.g. "vault list --key-file ..." and "vault --key-file ... list"
+const vaultOptions = (command) => ({ ...vaultCommand.opts(), ...command.opts() });
+
+vaultCommand
+  .command('init')
+  .description('Create the vault and move plaintext credentials and sessions into it')
+  .option('-k, --key-file <path>', 'Protect the vault with this key file instead of a passphrase (created if missing)')
+  .action((options, command) => vaultInit(vaultOptions(command)));
+
+vaultCommand
+  .command('add')
+  .description('Add or replace the login for a site')
+  .argument('<domain>', 'Site domain, e.g. linkedin.com or acme.myworkdayjobs.com')
+  .option('-u, --username <username>', 'Username or email for the site')
+  .option('-k, --key-file <path>', 'Key file that unlocks the vault')
+  .action((domain, options, command) => vaultAdd(domain, vaultOptions(command)));
+
+vaultCommand
+  .command('rotate')
+  .description('Change the stored password for a site')
+  .argument('<domain>', 'Site domain')
+  .option('-k, --key-file <path>', 'Key file that unlocks the vault')
+  .action((domain, options, command) => vaultRotate(domain, vaultOptions(command)));
+
+vaultCommand
+  .command('list')
+  .description('List the sites with stored logins')
+  .option('-k, --key-file <path>', 'Key file that unlocks the vault')
+  .action((options, command) => vaultList(vaultOptions(command)));
+
+vaultCommand
+  .command('remove')
+  .description('Remove the login and saved session for a site')
+  .argument('<domain>', 'Site domain')
+  .option('-k, --key-file <path>', 'Key file that unlocks the vault')
+  .action((domain, options, command) => vaultRemove(domain, vaultOptions(command)));
+
+vaultCommand
+  .command('change-key')
+  .description('Re-encrypt the vault with a new passphrase, or a key file')
+  .option('-k, --key-file <path>', 'Key file that currently unlocks the vault')
+  .option('--new-key-file <path>', 'Switch to this key file (created if missing)')
+  .action((options, command) => vaultChangeKey(vaultOptions(command)));
+
+// Saved login session commands
+const sessionsCommand = program
+  .command('sessions')
+  .description('Manage saved login sessions (kept in the credential vault)');
+
+sessionsCommand
+  .command('list')
+  .description('List saved sessions and whether they are still valid')
+  .option('-k, --key-file <path>', 'Key file that unlocks the vault')
+  .action((options) => sessionsList(options));
+
+sessionsCommand
+  .command('clear')
+  .description('Clear saved sessions, forcing a fresh login next time')
+  .argument('[domain]', 'Only clear the session for this site')
+  .option('--expired', 'Only clear sessions that have expired')
+  .option('-k, --key-file <path>', 'Key file that unlocks the vault')
+  .action((domain, options) => sessionsClear(domain, options));
+
+// Site adapter commands
+program
+  .command('adapters')
+  .description('List the site adapters for job boards and ATSs, including plugins')
+  .action(() => {
+    listAdaptersCommand();
+    rl.close();
+  });
+
 // Update user data command
 program
   .command('update-user-data')
@@ -1672,41 +3087,262 @@ program
 program
   .command('generate-extension')
   .description('Generate a Chrome extension for browser-based job application assistance')
+  .option('--embed-profile', 'Bundle your profile, which the extension merges in when its popup is next opened')
   .action(generateExtension);
 
-// Parse command line arguments
-program.parse(process.argv);
+program
+  .command('validate-profile')
+  .description('Check your profile against the profile schema and list what applications ask for that it lacks')
+  .option('--print-schema', 'Print the profile JSON Schema instead')
+  .action(validateProfile);
 
-// If no arguments are provided, show help
-if (process.argv.length <= 2) {
-  program.help();
-}
+// Profile sync commands
+program
+  .command('export-profile')
+  .description('Export your profile (without credentials) for the Chrome extension')
+  .argument('[file]', 'File to write', 'data/profile-export.json')
+  .action(exportProfile);
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  log(`Unhandled Rejection: ${reason}`);
-  process.exit(1);
-});
+program
+  .command('import-profile')
+  .description('Merge a profile exported by the Chrome extension into yours')
+  .argument('<file>', 'The exported profile')
+  .option('-p, --prefer <side>', 'Which value to keep where both profiles differ: incoming or local', 'incoming')
+  .action(importProfile);
+
+// Profile commands
+const profilesCommand = program
+  .command('profiles')
+  .description('Manage named profiles, each with its own user data, answers and cover letter template');
+
+profilesCommand
+  .command('list')
+  .description('List profiles; the active one is marked with *')
+  .action(() => {
+    listProfilesCommand();
+    rl.close();
+  });
+
+profilesCommand
+  .command('create')
+  .description('Create an empty profile')
+  .argument('<name>', 'Profile name, e.g. backend-eng')
+  .action((name) => {
+    createProfileCommand(name);
+    rl.close();
+  });
+
+profilesCommand
+  .command('clone')
+  .description('Create a profile as a copy of another')
+  .argument('<source>', 'Profile to copy')
+  .argument('<name>', 'Name of the new profile')
+  .action((source, name) => {
+    cloneProfileCommand(source, name);
+    rl.close();
+  });
+
+profilesCommand
+  .command('delete')
+  .description('Delete a profile and all of its files')
+  .argument('<name>', 'Profile to delete')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .action(deleteProfile);
+
+// Form mappings commands
+const formMappingsCommand = program
+  .command('form-mappings')
+  .description('Inspect and manage the form field mappings learned per site');
+
+formMappingsCommand
+  .command('list')
+  .description('List the sites with learned form mappings')
+  .action(() => {
+    listFormMappingsCommand();
+    rl.close();
+  });
+
+formMappingsCommand
+  .command('show')
+  .description('Show the learned field mappings for a site')
+  .argument('<domain>', 'Domain of the job site, e.g. boards.greenhouse.io')
+  .action((domain) => {
+    showFormMappingsCommand(domain);
+    rl.close();
+  });
+
+formMappingsCommand
+  .command('export')
+  .description('Export the learned form mappings to a JSON file')
+  .argument('<file-path>', 'Path of the JSON file to write')
+  .option('-d, --domain <domain>', 'Only export mappings for this domain')
+  .action((filePath, options) => {
+    exportFormMappingsCommand(filePath, options);
+    rl.close();
+  });
+
+formMappingsCommand
+  .command('prune')
+  .description('Remove learned form mappings (all of them unless filtered)')
+  .option('-d, --domain <domain>', 'Only prune mappings for this domain')
+  .option('--older-than <days>', 'Only prune mappings not seen in this many days')
+  .option('--unconfirmed', 'Only prune mappings never confirmed by a submission or by you')
+  .action((options) => {
+    pruneFormMappingsCommand(options);
+    rl.close();
+  });
+
+formMappingsCommand
+  .command('set')
+  .description('Correct the profile field a form field is filled from')
+  .argument('<url>', 'URL of the application form page')
+  .argument('<selector>', 'Field selector as shown by "form-mappings show"')
+  .argument('<field-type>', 'Profile field type, e.g. firstName, email, phone')
+  .action((url, selector, fieldType) => {
+    setFormMappingCommand(url, selector, fieldType);
+    rl.close();
+  });
+
+// Answer bank commands
+const answersCommand = program
+  .command('answers')
+  .description('Manage saved answers to screening questions');
+
+answersCommand
+  .command('list')
+  .description('List saved answers')
+  .option('-s, --search <text>', 'Only show answers whose question matches this text')
+  .action((options) => {
+    listAnswersCommand(options);
+    rl.close();
+  });
+
+answersCommand
+  .command('add')
+  .description('Save the answer to a question (replaces the answer to the same question)')
+  .argument('<question>', 'The question, as worded on a form')
+  .argument('<answer>', 'The answer to give, or the option to choose')
+  .option('-k, --keywords <words>', 'Comma-separated words that identify the question however it is worded')
+  .action((question, answer, options) => {
+    addAnswerCommand(question, answer, options);
+    rl.close();
+  });
+
+answersCommand
+  .command('remove')
+  .description('Remove a saved answer')
+  .argument('<id>', 'Id of the answer, as shown by "answers list"')
+  .action((id) => {
+    removeAnswerCommand(id);
+    rl.close();
+  });
+
+answersCommand
+  .command('test')
+  .description('Show which saved answer a question would get')
+  .argument('<question>', 'The question to look up')
+  .action((question) => {
+    testAnswerCommand(question);
+    rl.close();
+  });
+
+// Match score command
+program
+  .command('score')
+  .description('Score how well your profile matches a job posting')
+  .argument('[url]', 'URL of the job posting')
+  .option('-d, --description <file>', 'Text file with the job description, instead of a URL')
+  .option('--min-score <score>', 'Also say whether batch-apply --min-score would apply to it')
+  .action(scoreJob);
+
+// Cover letter command
+program
+  .command('generate-cover-letter')
+  .description('Write a cover letter for a posting from your profile and a template')
+  .option('-c, --company <name>', 'Company you are applying to')
+  .option('-r, --role <title>', 'Job title you are applying for')
+  .option('-d, --description <file>', 'Text file with the job description, used to pick skills and a quote')
+  .option('-t, --template <path>', 'Template (.txt or .docx) to use instead of your saved cover_letter_template.txt')
+  .option('-o, --output <path>', 'File to write; its extension (.txt, .docx or .pdf) sets the format')
+  .option('-f, --format <format>', `Output format when no --output is given: ${COVER_LETTER_FORMATS.join(', ')}`, 'pdf')
+  .option('--init-template', 'Write the default template to cover_letter_template.txt for you to edit')
+  .action(generateCoverLetter);
+
+// Application tracker commands
+const applicationsCommand = program
+  .command('applications')
+  .description('Track the status of submitted applications');
+
+applicationsCommand
+  .command('list')
+  .description('List tracked applications')
+  .option('-s, --status <status>', 'Only show applications with this status')
+  .option('-c, --company <company>', 'Only show applications to this company')
+  .action((options) => {
+    listApplicationsCommand(options);
+    rl.close();
+  });
+
+applicationsCommand
+  .command('show')
+  .description('Show the full record of an application')
+  .argument('<id>', 'Application id (or a unique prefix of it)')
+  .option('-d, --description', 'Also print the full job description saved with it')
+  .action((id, options) => {
+    showApplicationCommand(id, options);
+    rl.close();
+  });
+
+applicationsCommand
+  .command('update')
+  .description('Move an application to a new status (applied, screening, interview, offer, rejected, withdrawn)')
+  .argument('<id>', 'Application id (or a unique prefix of it)')
+  .argument('<status>', 'The new status')
+  .option('-n, --note <note>', 'Note to keep with the status change')
+  .action((id, status, options) => {
+    updateApplicationCommand(id, status, options);
+    rl.close();
+  });
+
+applicationsCommand
+  .command('stats')
+  .description('Show application statistics')
+  .action(() => {
+    applicationStatsCommand();
+    rl.close();
+  });
 
+// CV JSON commands
 program
   .command('import-cv-json')
   .description('Import a CV from a JSON file in the application-specific format')
   .argument('<file-path>', 'Path to the JSON file containing the CV data')
-  .action(importCVJsonCommand);
+  .action(async (filePath) => {
+    await importCVJsonCommand(filePath);
+    rl.close();
+  });
 
 program
   .command('generate-template')
   .description('Generate an empty CV JSON template')
   .option('-o, --output <file-path>', 'Output file path', 'cv-template.json')
   .action((options) => {
-    const templateJson = {
-      // Template contents (same as the template artifact)
-      "resume_path": "",
-      "cover_letter_path": "",
-      "transcript_path": "",
-      // ... rest of template
-    };
-    
-    fs.writeFileSync(options.output, JSON.stringify(templateJson, null, 2));
+    // Every field import-cv-json reads, as in template-cv.json
+    fs.copyFileSync(path.join(__dirname, 'template-cv.json'), options.output);
     console.log(`Template CV JSON generated at: ${options.output}`);
-  });
\ No newline at end of file
+    rl.close();
+  });
+
+// Parse command line arguments
+program.parse(process.argv);
+
+// If no arguments are provided, show help
+if (process.argv.length <= 2) {
+  program.help();
+}
+
+process.on('unhandledRejection', (reason, promise) => {
+  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  log(`Unhandled Rejection: ${reason}`);
+  process.exit(1);
+});
@@ -2,23 +2,90 @@
 const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
+const FieldClassifier = require('./fieldClassifier');
+const formMappingStore = require('./formMappings');
+const { findCredential, saveVault, normalizeDomain } = require('./credentialVault');
+const sessionStore = require('./sessionStore');
+const { GENERIC_ADAPTER, getAdapterForUrl, pickOption } = require('./siteAdapters');
+const answerBankStore = require('./answerBank');
+const { generateCoverLetter } = require('./coverLetterGenerator');
+const { scrapeJobPosting } = require('./jobPosting');
+const { scoreJobMatch } = require('./matchScorer');
+
+/**
+ * Builds a selector matching an attribute value, with its quotes escaped
+ * @param {string} element - Tag name, with any further conditions (e.g. input[type="radio"])
+ * @param {string} attribute - e.g. id or name
+ * @param {string} value - The attribute value
+ * @returns {string} - e.g. input[name="email"]
+ */
+function attributeSelector(element, attribute, value) {
+  return `${element}[${attribute}="${value.replace(/"/g, '\\"')}"]`;
+}
 
 class JobApplicationBot {
-  constructor(userData) {
+  constructor(userData, options = {}) {
     this.userData = userData;
+    this.options = {
+      dryRun: false,
+      reportDir: 'logs',
+      // async (review) => ({ action: 'approve' | 'skip' | 'abort', edits }) called before final submit
+      onBeforeSubmit: null,
+      // async (question) => ({ answer, save }) or null, called for questions nothing can answer
+      onUnansweredQuestion: null,
+      // { templatePath, format } to write a cover letter for each posting that has none
+      generateCoverLetter: null,
+      // Skip postings whose match score (0-100) against the profile is lower
+      minScore: null,
+      // Parallel batch runs share one browser (each bot gets its own context) and the stores below
+      browser: null,
+      formMappings: null,
+      answerBank: null,
+      loggedInSites: null,
+      workerId: null,
+      runId: null,
+      // Unlocked credential vault; logins and saved sessions need it
+      vault: null,
+      ...options
+    };
     this.browser = null;
     this.context = null;
     this.page = null;
     this.formMappings = {};
-    this.loggedInSites = new Map();
+    this.usedMappings = [];
+    this.fieldReport = [];
+    this.screenshots = [];
+    this.currentStep = 0;
+    this.applicationCount = 0;
+    this.currentUrl = null;
+    this.jobPosting = null;
+    this.matchScore = null;
+    this.jobOverrides = {};
+    this.uploadedDocuments = [];
+    this.unansweredQuestions = [];
+    this.coverLetterText = null;
+    this.answerBank = this.options.answerBank || answerBankStore.loadAnswerBank();
+    this.runId = this.options.runId || new Date().toISOString().replace(/:/g, '-');
+    this.loggedInSites = this.options.loggedInSites || new Map();
+    // Site-specific login, buttons, field quirks and success detection
+    this.adapter = GENERIC_ADAPTER;
+  }
+
+  static async launchBrowser() {
+    return chromium.launch({
+      headless: false // Set to true in production, false for debugging
+    });
   }
 
   async initialize() {
     try {
-      this.browser = await chromium.launch({
-        headless: false // Set to true in production, false for debugging
-      });
+      this.browser = this.options.browser || await JobApplicationBot.launchBrowser();
+      
+      // Start from every saved site session (cookies and localStorage)
+      const storageState = this.loadSavedSessions();
+      
       this.context = await this.browser.newContext({
+        storageState,
         viewport: { width: 1280, height: 800 },
         userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/98.0.4758.102 Safari/537.36',
         geolocation: { longitude: -122.084, latitude: 37.422 },
@@ -33,9 +100,6 @@ class JobApplicationBot {
       // Load saved mappings if available
       await this.loadFormMappings();
       
-      // Load saved cookies/sessions if available
-      await this.loadSavedSessions();
-      
       return true;
     } catch (error) {
       console.error('Error initializing browser:', error);
@@ -44,77 +108,114 @@ class JobApplicationBot {
   }
 
   async loadFormMappings() {
-    try {
-      if (fs.existsSync('data/form_mappings.json')) {
-        const mappingsJson = fs.readFileSync('data/form_mappings.json', 'utf8');
-        this.formMappings = JSON.parse(mappingsJson);
-      }
-    } catch (error) {
-      console.error('Error loading form mappings:', error);
-    }
+    this.formMappings = this.options.formMappings || formMappingStore.loadFormMappings();
   }
 
   async saveFormMappings() {
-    try {
-      if (!fs.existsSync('data')) {
-        fs.mkdirSync('data');
-      }
-      fs.writeFileSync('data/form_mappings.json', JSON.stringify(this.formMappings, null, 2));
-    } catch (error) {
-      console.error('Error saving form mappings:', error);
-    }
+    formMappingStore.saveFormMappings(this.formMappings);
   }
 
-  async loadSavedSessions() {
-    try {
-      if (fs.existsSync('data/sessions.json')) {
-        const sessionsJson = fs.readFileSync('data/sessions.json', 'utf8');
-        const sessions = JSON.parse(sessionsJson);
-        
-        for (const session of sessions) {
-          this.loggedInSites.set(session.domain, {
-            username: session.username,
-            cookie: session.cookie
-          });
-          
-          // Restore cookies for this domain
-          if (session.cookie) {
-            await this.context.addCookies([session.cookie]);
-          }
-        }
+  loadSavedSessions() {
+    // Session snapshots are only kept inside the encrypted vault
+    if (!this.options.vault) {
+      return undefined;
+    }
+    
+    const sessions = this.options.vault.contents.sessions;
+    for (const [domain, stored] of Object.entries(sessions)) {
+      const session = sessionStore.normalizeSession(stored);
+      if (sessionStore.getSessionStatus(session) !== 'expired') {
+        this.loggedInSites.set(domain, session);
       }
-    } catch (error) {
-      console.error('Error loading saved sessions:', error);
     }
+    return sessionStore.buildStorageState(sessions);
   }
 
-  async saveSessions() {
+  persistSessions() {
+    if (!this.options.vault) {
+      return;
+    }
+    
     try {
-      if (!fs.existsSync('data')) {
-        fs.mkdirSync('data');
+      for (const [domain, session] of this.loggedInSites.entries()) {
+        this.options.vault.contents.sessions[domain] = session;
       }
-      
-      const sessions = [];
-      for (const [domain, data] of this.loggedInSites.entries()) {
-        sessions.push({
-          domain,
-          username: data.username,
-          cookie: data.cookie
-        });
-      }
-      
-      fs.writeFileSync('data/sessions.json', JSON.stringify(sessions, null, 2));
+      saveVault(this.options.vault);
     } catch (error) {
       console.error('Error saving sessions:', error);
     }
   }
 
-  async applyToJob(url) {
+  async saveSession(domain, username) {
+    // Snapshot everything the site keeps in the browser, not just its auth cookie
+    const storageState = await this.context.storageState();
+    this.loggedInSites.set(domain, sessionStore.createSession(storageState, domain, username));
+    this.persistSessions();
+  }
+
+  forgetSession(domain) {
+    this.loggedInSites.delete(domain);
+    if (this.options.vault) {
+      delete this.options.vault.contents.sessions[domain];
+      saveVault(this.options.vault);
+    }
+  }
+
+  findStoredSession(hostname) {
+    return sessionStore.findSession(Object.fromEntries(this.loggedInSites), hostname);
+  }
+
+  async refreshSessionIfStale(stored) {
+    if (sessionStore.getSessionStatus(stored.session) === 'stale') {
+      console.log(`Refreshing saved session for ${stored.domain}`);
+      await this.saveSession(stored.domain, stored.session.username);
+    } else {
+      stored.session.validatedAt = new Date().toISOString();
+      this.loggedInSites.set(stored.domain, stored.session);
+      this.persistSessions();
+    }
+  }
+
+  getSiteCredentials(domain) {
+    const credentials = this.options.vault ? findCredential(this.options.vault, domain) : null;
+    
+    if (!credentials) {
+      console.error(`No saved credentials for ${domain}. Add them with: node index.js vault add ${domain}`);
+    }
+    return credentials;
+  }
+
+  async applyToJob(url, job = {}) {
     try {
       console.log(`Starting application for job at: ${url}`);
+      // Per-posting company, title, documents and answers from a batch job list
+      this.jobOverrides = job;
+      this.usedMappings = [];
+      this.fieldReport = [];
+      this.screenshots = [];
+      this.applicationCount++;
+      this.currentUrl = url;
+      this.uploadedDocuments = [];
+      this.unansweredQuestions = [];
+      this.adapter = getAdapterForUrl(url);
+      if (this.adapter !== GENERIC_ADAPTER) {
+        console.log(`Using the ${this.adapter.name} site adapter`);
+      }
       
       // Navigate to the job posting
       await this.page.goto(url, { waitUntil: 'domcontentloaded' });
+      this.jobPosting = await this.extractJobPosting();
+      this.matchScore = null;
+      if (this.options.minScore !== null) {
+        const skip = this.checkMatchScore();
+        if (skip) {
+          return skip;
+        }
+      }
+      this.coverLetterText = null;
+      if (this.options.generateCoverLetter && !this.jobOverrides.coverLetter) {
+        await this.prepareCoverLetter();
+      }
       
       // Check for login requirement
       const requiresLogin = await this.checkLoginRequirement();
@@ -128,6 +229,23 @@ class JobApplicationBot {
             message: 'Authentication failed'
           };
         }
+      } else {
+        // Keep a restored session fresh while it still works
+        const stored = this.findStoredSession(new URL(url).hostname);
+        if (stored && sessionStore.getSessionStatus(stored.session) === 'stale' && await this.checkIfStillLoggedIn()) {
+          await this.refreshSessionIfStale(stored);
+        }
+      }
+      
+      // Some sites need several clicks, or an account, before the form opens
+      if (this.adapter.startApplication) {
+        if (!(await this.adapter.startApplication(this))) {
+          return {
+            success: false,
+            message: `Could not open the ${this.adapter.name} application form`
+          };
+        }
+        return await this.processMultiPageApplication();
       }
       
       // Start the application process
@@ -142,6 +260,10 @@ class JobApplicationBot {
         const result = await this.processMultiPageApplication();
         
         return result;
+      } else if ((await this.detectFormFields()).length > 0) {
+        // Some postings (and local fixture forms) open directly on the form
+        console.log('No apply button found, but the page already contains a form.');
+        return await this.processMultiPageApplication();
       } else {
         console.error('Could not find an apply button on the page.');
         return {
@@ -158,22 +280,62 @@ class JobApplicationBot {
     }
   }
 
+  async extractJobPosting() {
+    try {
+      const posting = await scrapeJobPosting(this.page);
+      console.log(`Job posting: ${posting.title || 'untitled'}${posting.company ? ` at ${posting.company}` : ''} (from ${posting.source === 'json-ld' ? 'JSON-LD' : 'the page'})`);
+      return posting;
+    } catch (error) {
+      console.error('Could not read the job posting:', error.message);
+      return { url: this.currentUrl, title: null, company: null, description: null, requirements: [] };
+    }
+  }
+
+  checkMatchScore() {
+    if (!this.jobPosting.description) {
+      console.log('No job description found; applying without a match score');
+      return null;
+    }
+    
+    this.matchScore = scoreJobMatch(this.userData, this.jobPosting.description);
+    console.log(`Match score: ${this.matchScore.score}/100`);
+    if (this.matchScore.score >= this.options.minScore) {
+      return null;
+    }
+    
+    return {
+      success: false,
+      belowMinScore: true,
+      message: `Match score ${this.matchScore.score} is below the minimum of ${this.options.minScore}`,
+      match: this.matchScore,
+      posting: this.jobPosting
+    };
+  }
+
+  async prepareCoverLetter() {
+    // Job list columns beat what was scraped from the posting
+    const job = {
+      company: this.jobOverrides.company || this.jobPosting.company,
+      role: this.jobOverrides.title || this.jobPosting.title,
+      description: this.jobPosting.description
+    };
+    
+    try {
+      const { text, path: letterPath } = await generateCoverLetter(this.userData, job, this.options.generateCoverLetter);
+      this.coverLetterText = text;
+      this.jobOverrides = { ...this.jobOverrides, coverLetter: letterPath };
+      console.log(`Generated a cover letter: ${letterPath}`);
+    } catch (error) {
+      console.error('Could not generate a cover letter:', error.message);
+    }
+  }
+
   async findApplyButton() {
-    // Common apply button selectors
-    const applyButtonSelectors = [
-      'button:has-text("Apply")',
-      'a:has-text("Apply")',
-      'button:has-text("Apply Now")',
-      'a:has-text("Apply Now")',
-      '[role="button"]:has-text("Apply")',
-      '[role="button"]:has-text("Apply Now")',
-      'button:has-text("Easy Apply")',
-      'a:has-text("Easy Apply")',
-      'button:has-text("Quick Apply")',
-      'a:has-text("Quick Apply")'
-    ];
-    
-    for (const selector of applyButtonSelectors) {
+    if (this.adapter.findApplyButton) {
+      return await this.adapter.findApplyButton(this);
+    }
+    
+    for (const selector of this.adapter.applyButtonSelectors) {
       const button = await this.page.$(selector);
       if (button) {
         return button;
@@ -184,20 +346,7 @@ class JobApplicationBot {
   }
 
   async checkLoginRequirement() {
-    // Check for common login indicators
-    const loginSelectors = [
-      'button:has-text("Sign In")',
-      'a:has-text("Sign In")',
-      'button:has-text("Log In")',
-      'a:has-text("Log In")',
-      'form[action*="login"]',
-      'form[action*="signin"]',
-      'input[name="username"]',
-      'input[name="email"]:visible',
-      'input[name="password"]:visible'
-    ];
-    
-    for (const selector of loginSelectors) {
+    for (const selector of this.adapter.loginSelectors) {
       const element = await this.page.$(selector);
       if (element) {
         return true;
@@ -208,51 +357,32 @@ class JobApplicationBot {
   }
 
   async handleAuthentication(url) {
-    // Extract domain from URL
-    const domain = new URL(url).hostname;
-    
-    // Check if we already have login info for this domain
-    if (this.loggedInSites.has(domain)) {
-      console.log(`Already have login info for ${domain}`);
-      // Check if the cookies are still valid
-      const isLoggedIn = await this.checkIfStillLoggedIn();
-      if (isLoggedIn) {
+    // Adapters log in once for the whole site (e.g. every *.linkedin.com host)
+    const domain = this.adapter.loginDomain || new URL(url).hostname;
+    
+    // A restored session only counts once the page shows we are logged in
+    const stored = this.findStoredSession(domain);
+    if (stored) {
+      console.log(`Checking saved session for ${stored.domain}`);
+      if (await this.checkIfStillLoggedIn()) {
+        await this.refreshSessionIfStale(stored);
         return true;
       }
+      console.log(`Saved session for ${stored.domain} is no longer valid, logging in again`);
+      this.forgetSession(stored.domain);
     }
     
-    // Determine the login strategy based on the domain
-    if (domain.includes('linkedin')) {
-      return await this.handleLinkedInLogin();
-    } else if (domain.includes('indeed')) {
-      return await this.handleIndeedLogin();
-    } else if (domain.includes('glassdoor')) {
-      return await this.handleGlassdoorLogin();
-    } else {
-      // Generic login handling
-      return await this.handleGenericLogin(domain);
+    if (this.adapter.login) {
+      return await this.handleAdapterLogin(domain);
     }
+    
+    // Generic login handling
+    return await this.handleGenericLogin(domain);
   }
 
   async checkIfStillLoggedIn() {
-    // Check for login indicators vs logged-in indicators
-    const loginIndicators = [
-      'button:has-text("Sign In")',
-      'a:has-text("Sign In")',
-      'button:has-text("Log In")',
-      'a:has-text("Log In")'
-    ];
-    
-    const loggedInIndicators = [
-      '[aria-label="Profile"]',
-      '[aria-label="Account"]',
-      '.user-profile',
-      '.user-avatar',
-      '.profile-menu'
-    ];
-    
     // If any login indicators are visible, we're not logged in
-    for (const selector of loginIndicators) {
+    for (const selector of this.adapter.loggedOutSelectors) {
       const element = await this.page.$(selector);
       if (element && await element.isVisible()) {
         return false;
@@ -260,7 +390,7 @@ class JobApplicationBot {
     }
     
     // If any logged-in indicators are visible, we're logged in
-    for (const selector of loggedInIndicators) {
+    for (const selector of this.adapter.loggedInSelectors) {
       const element = await this.page.$(selector);
       if (element && await element.isVisible()) {
         return true;
@@ -271,132 +401,24 @@ class JobApplicationBot {
     return false;
   }
 
-  async handleLinkedInLogin() {
-    try {
-      // Check if we're already on the login page, if not navigate to it
-      if (!this.page.url().includes('linkedin.com/login')) {
-        await this.page.goto('https://www.linkedin.com/login', { waitUntil: 'domcontentloaded' });
-      }
-      
-      // Fill in login details
-      await this.page.fill('input#username', this.userData.linkedinCredentials.username);
-      await this.page.fill('input#password', this.userData.linkedinCredentials.password);
-      
-      // Click sign in button
-      await this.page.click('button[type="submit"]');
-      
-      // Wait for navigation to complete
-      await this.page.waitForLoadState('networkidle');
-      
-      // Check if login was successful
-      const isLoggedIn = await this.page.$('.global-nav__me-photo');
-      
-      if (isLoggedIn) {
-        console.log('Successfully logged into LinkedIn');
-        
-        // Save the session
-        const cookies = await this.context.cookies();
-        this.loggedInSites.set('linkedin.com', {
-          username: this.userData.linkedinCredentials.username,
-          cookie: cookies.find(c => c.name === 'li_at')
-        });
-        
-        await this.saveSessions();
-        return true;
-      } else {
-        console.error('Failed to log into LinkedIn');
-        return false;
-      }
-    } catch (error) {
-      console.error('Error during LinkedIn login:', error);
+  async handleAdapterLogin(domain) {
+    const credentials = this.getSiteCredentials(domain);
+    if (!credentials) {
       return false;
     }
-  }
-
-  async handleIndeedLogin() {
+    
     try {
-      // Check if we're already on the login page, if not navigate to it
-      if (!this.page.url().includes('indeed.com/account/login')) {
-        await this.page.goto('https://www.indeed.com/account/login', { waitUntil: 'domcontentloaded' });
-      }
-      
-      // Fill in login details
-      await this.page.fill('input[name="email"]', this.userData.indeedCredentials.username);
-      await this.page.click('button[type="submit"]');
-      
-      // Wait for password field to appear
-      await this.page.waitForSelector('input[name="password"]');
-      await this.page.fill('input[name="password"]', this.userData.indeedCredentials.password);
-      
-      // Click sign in button
-      await this.page.click('button[type="submit"]');
-      
-      // Wait for navigation to complete
-      await this.page.waitForLoadState('networkidle');
-      
-      // Check if login was successful
-      const isLoggedIn = await this.page.$('.gnav-menu');
-      
-      if (isLoggedIn) {
-        console.log('Successfully logged into Indeed');
+      if (await this.adapter.login(this, credentials)) {
+        console.log(`Successfully logged into ${domain}`);
         
         // Save the session
-        const cookies = await this.context.cookies();
-        this.loggedInSites.set('indeed.com', {
-          username: this.userData.indeedCredentials.username,
-          cookie: cookies.find(c => c.name === 'JSESSIONID')
-        });
-        
-        await this.saveSessions();
+        await this.saveSession(normalizeDomain(domain), credentials.username);
         return true;
-      } else {
-        console.error('Failed to log into Indeed');
-        return false;
       }
-    } catch (error) {
-      console.error('Error during Indeed login:', error);
+      console.error(`Failed to log into ${domain}`);
       return false;
-    }
-  }
-
-  async handleGlassdoorLogin() {
-    try {
-      // Check if we're already on the login page, if not navigate to it
-      if (!this.page.url().includes('glassdoor.com/profile/login')) {
-        await this.page.goto('https://www.glassdoor.com/profile/login_input.htm', { waitUntil: 'domcontentloaded' });
-      }
-      
-      // Fill in login details
-      await this.page.fill('input[name="username"]', this.userData.glassdoorCredentials.username);
-      await this.page.fill('input[name="password"]', this.userData.glassdoorCredentials.password);
-      
-      // Click sign in button
-      await this.page.click('button[type="submit"]');
-      
-      // Wait for navigation to complete
-      await this.page.waitForLoadState('networkidle');
-      
-      // Check if login was successful
-      const isLoggedIn = await this.page.$('[data-test="profilePhoto"]');
-      
-      if (isLoggedIn) {
-        console.log('Successfully logged into Glassdoor');
-        
-        // Save the session
-        const cookies = await this.context.cookies();
-        this.loggedInSites.set('glassdoor.com', {
-          username: this.userData.glassdoorCredentials.username,
-          cookie: cookies.find(c => c.name === 'GSESSIONID')
-        });
-        
-        await this.saveSessions();
-        return true;
-      } else {
-        console.error('Failed to log into Glassdoor');
-        return false;
-      }
     } catch (error) {
-      console.error('Error during Glassdoor login:', error);
+      console.error(`Error during ${this.adapter.name} login:`, error);
       return false;
     }
   }
@@ -469,16 +491,14 @@ class JobApplicationBot {
         return false;
       }
       
-      // Ask for credentials if we don't have them
-      if (!this.userData.genericCredentials || !this.userData.genericCredentials[domain]) {
-        console.error(`No saved credentials for ${domain}`);
-        // In a real application, you would prompt the user for credentials here
+      const credentials = this.getSiteCredentials(domain);
+      if (!credentials) {
         return false;
       }
       
       // Fill in the form
-      await usernameField.fill(this.userData.genericCredentials[domain].username);
-      await passwordField.fill(this.userData.genericCredentials[domain].password);
+      await usernameField.fill(credentials.username);
+      await passwordField.fill(credentials.password);
       
       // Submit the form
       await submitButton.click();
@@ -493,13 +513,7 @@ class JobApplicationBot {
         console.log(`Successfully logged into ${domain}`);
         
         // Save the session
-        const cookies = await this.context.cookies();
-        this.loggedInSites.set(domain, {
-          username: this.userData.genericCredentials[domain].username,
-          cookie: cookies[0] // Just save the first cookie as a marker
-        });
-        
-        await this.saveSessions();
+        await this.saveSession(normalizeDomain(domain), credentials.username);
         return true;
       } else {
         console.error(`Failed to log into ${domain}`);
@@ -510,4 +524,806 @@ class JobApplicationBot {
       return false;
     }
   }
-}
\ No newline at end of file
+
+  async processMultiPageApplication(maxPages = 15) {
+    const result = await this.runApplicationSteps(maxPages);
+    await this.saveFormMappings();
+    answerBankStore.saveAnswerBank(this.answerBank);
+    
+    // Everything the application tracker needs to remember about this run
+    result.posting = this.jobPosting;
+    result.match = this.matchScore;
+    result.documents = this.uploadedDocuments;
+    result.unansweredQuestions = this.unansweredQuestions;
+    result.answers = this.fieldReport
+      .filter(entry => entry.value)
+      .map(({ label, fieldType, value, source }) => ({ label, fieldType, value, source }));
+    
+    if (this.options.dryRun) {
+      result.dryRun = true;
+      result.reportPath = this.writeDryRunReport(result);
+    }
+    
+    return result;
+  }
+
+  async runApplicationSteps(maxPages) {
+    let pagesCompleted = 0;
+    let fieldsFilled = 0;
+    let previousSignature = null;
+    let reviewed = null;
+    
+    try {
+      for (let step = 0; step < maxPages; step++) {
+        this.currentStep = step + 1;
+        
+        // A previous step may already have landed on the confirmation page
+        if (await this.isApplicationComplete()) {
+          this.confirmFieldMappings();
+          return {
+            success: true,
+            message: 'Application submitted successfully',
+            pagesCompleted,
+            fieldsFilled,
+            review: reviewed
+          };
+        }
+        
+        // Detect and fill the fields on the current page
+        if (this.adapter.preparePage) {
+          await this.adapter.preparePage(this);
+        }
+        const fields = await this.detectFormFields();
+        console.log(`Page ${step + 1}: found ${fields.length} form fields`);
+        fieldsFilled += await this.fillFormFields(fields);
+        
+        if (this.options.dryRun) {
+          await this.captureStep(step + 1);
+        }
+        
+        // Find the button that moves the application forward
+        const navigation = await this.findNavigationButton();
+        if (!navigation) {
+          return {
+            success: false,
+            message: `Could not find a Next or Submit button on page ${step + 1}`,
+            pagesCompleted,
+            fieldsFilled
+          };
+        }
+        
+        // A dry run never presses anything that might send the application
+        const isFinalStep = navigation.kind === 'submit' || navigation.generic;
+        if (this.options.dryRun && isFinalStep) {
+          console.log(`Dry run: stopping before "${navigation.label}"`);
+          return {
+            success: true,
+            message: `Dry run stopped before final submission ("${navigation.label}")`,
+            pagesCompleted: pagesCompleted + 1,
+            fieldsFilled
+          };
+        }
+        
+        // Let the user approve, correct or stop the application before it is sent
+        if (this.options.onBeforeSubmit && isFinalStep) {
+          const review = await this.requestReview(navigation);
+          if (review.decision !== 'approve') {
+            return {
+              success: false,
+              message: review.decision === 'abort' ? 'Aborted by user at review' : 'Skipped by user at review',
+              pagesCompleted,
+              fieldsFilled,
+              review
+            };
+          }
+          reviewed = review;
+        }
+        
+        const signature = await this.getPageSignature(fields);
+        console.log(`Clicking "${navigation.label}" (${navigation.kind})`);
+        await navigation.button.click();
+        await this.waitForPageTransition();
+        pagesCompleted++;
+        
+        const submitted = navigation.kind === 'submit' && await this.isApplicationComplete();
+        if (submitted) {
+          this.confirmFieldMappings();
+          return {
+            success: true,
+            message: 'Application submitted successfully',
+            pagesCompleted,
+            fieldsFilled,
+            review: reviewed
+          };
+        }
+        
+        const newSignature = await this.getPageSignature(await this.detectFormFields());
+        const hasErrors = await this.hasValidationErrors();
+        // Without a confirmation, a submit only counts if the form went away cleanly
+        if (navigation.kind === 'submit' && newSignature !== signature && !hasErrors) {
+          this.confirmFieldMappings();
+          return {
+            success: true,
+            message: 'Application submitted, but no confirmation message was detected',
+            pagesCompleted,
+            fieldsFilled,
+            review: reviewed
+          };
+        }
+        
+        // If the page did not change and shows errors, or a submit went nowhere, we are stuck on invalid input
+        if (newSignature === signature && (hasErrors || navigation.kind === 'submit')) {
+          if (previousSignature === signature) {
+            return {
+              success: false,
+              message: hasErrors
+                ? `Validation errors prevented leaving page ${step + 1}`
+                : `Submitting page ${step + 1} did not leave the form and no confirmation was detected`,
+              pagesCompleted,
+              fieldsFilled
+            };
+          }
+          previousSignature = signature;
+        }
+      }
+      
+      return {
+        success: false,
+        message: `Gave up after ${maxPages} pages without reaching a confirmation page`,
+        pagesCompleted,
+        fieldsFilled
+      };
+    } catch (error) {
+      console.error('Error processing application pages:', error);
+      return {
+        success: false,
+        message: `Error: ${error.message}`,
+        pagesCompleted,
+        fieldsFilled
+      };
+    }
+  }
+
+  async requestReview(navigation) {
+    const review = {
+      url: this.page.url(),
+      step: this.currentStep,
+      submitLabel: navigation.label,
+      fields: this.fieldReport.filter(entry => entry.value),
+      unfilledRequired: this.fieldReport.filter(entry => entry.required && !entry.value),
+      failed: this.fieldReport.filter(entry => entry.error && !entry.filled)
+    };
+    
+    const response = await this.options.onBeforeSubmit(review);
+    return {
+      decision: response.action,
+      edits: response.edits || [],
+      reviewedAt: new Date().toISOString()
+    };
+  }
+
+  async isFieldOnPage(selector) {
+    // Only fields on the current page can still be changed
+    const handle = selector ? await this.page.$(selector) : null;
+    return Boolean(handle && await handle.isVisible());
+  }
+
+  async editField(selector, value, fieldType = null) {
+    if (!(await this.isFieldOnPage(selector))) {
+      console.log('That field is not on the current page and can no longer be changed.');
+      return false;
+    }
+    
+    const handle = await this.page.$(selector);
+    try {
+      const tagName = await handle.evaluate(el => el.tagName.toLowerCase());
+      if (await handle.getAttribute('type') === 'radio') {
+        const radios = await this.page.$$(selector);
+        const options = await Promise.all(radios.map(radio => radio.evaluate(el => window.FieldClassifier.findOptionLabel(el))));
+        const index = options.findIndex(option => option.toLowerCase() === value.trim().toLowerCase());
+        if (index === -1) {
+          console.log(`"${value}" is not one of the options: ${options.join(', ')}`);
+          return false;
+        }
+        await radios[index].check({ force: true });
+      } else if (tagName === 'select') {
+        // A value that is no option would leave selectOption waiting for one to appear
+        const options = await handle.evaluate(el => Array.from(el.options).map(opt => ({ value: opt.value, text: opt.text.trim() })));
+        const option = options.find(opt => opt.text.toLowerCase() === value.trim().toLowerCase()) ||
+          options.find(opt => opt.value === value);
+        if (!option) {
+          console.log(`"${value}" is not one of the options: ${options.map(opt => opt.text).filter(Boolean).join(', ')}`);
+          return false;
+        }
+        await handle.selectOption(option.value);
+      } else {
+        await handle.fill(value);
+      }
+    } catch (error) {
+      console.log(`Could not change the field: ${error.message}`);
+      return false;
+    }
+    
+    // A field the user had to correct was probably mapped wrongly, so submitting
+    // does not confirm the guess; the type the user names is learned instead
+    this.usedMappings = this.usedMappings.filter(mapping => mapping.selector !== selector);
+    if (fieldType) {
+      this.correctFieldMapping(selector, fieldType);
+    }
+    
+    for (const entry of this.fieldReport) {
+      if (entry.selector === selector && entry.page === this.currentStep) {
+        Object.assign(entry, { value, source: 'user', filled: true }, fieldType ? { fieldType } : {});
+      }
+    }
+    return true;
+  }
+
+  async close() {
+    // A shared browser belongs to whoever passed it in; only close our own context
+    if (this.options.browser) {
+      await this.context.close();
+    } else {
+      await this.browser.close();
+    }
+  }
+
+  getDryRunDir() {
+    const worker = this.options.workerId ? `worker-${this.options.workerId}-` : '';
+    return path.join(this.options.reportDir, `dry-run-${this.runId}`, `${worker}application-${this.applicationCount}`);
+  }
+
+  async captureStep(step) {
+    try {
+      const dir = this.getDryRunDir();
+      fs.mkdirSync(dir, { recursive: true });
+      const screenshotPath = path.join(dir, `step-${step}.png`);
+      await this.page.screenshot({ path: screenshotPath, fullPage: true });
+      this.screenshots.push(screenshotPath);
+    } catch (error) {
+      console.error(`Error capturing screenshot for step ${step}:`, error.message);
+    }
+  }
+
+  writeDryRunReport(result) {
+    try {
+      const dir = this.getDryRunDir();
+      fs.mkdirSync(dir, { recursive: true });
+      
+      const report = {
+        url: this.currentUrl,
+        generatedAt: new Date().toISOString(),
+        outcome: result.message,
+        posting: this.jobPosting,
+        pagesCompleted: result.pagesCompleted,
+        fieldsFilled: result.fieldsFilled,
+        fields: this.fieldReport,
+        unfilledRequired: this.fieldReport.filter(entry => entry.required && !entry.value),
+        failed: this.fieldReport.filter(entry => entry.error && !entry.filled),
+        screenshots: this.screenshots
+      };
+      
+      const reportPath = path.join(dir, 'report.json');
+      fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+      return reportPath;
+    } catch (error) {
+      console.error('Error writing dry run report:', error);
+      return null;
+    }
+  }
+
+  async ensureFieldClassifier() {
+    // The page needs the same classifier the extension bundles for label lookup
+    const loaded = await this.page.evaluate(() => typeof window.FieldClassifier !== 'undefined');
+    if (!loaded) {
+      const source = fs.readFileSync(require.resolve('./fieldClassifier'), 'utf8');
+      await this.page.evaluate(source);
+    }
+  }
+
+  async detectFormFields() {
+    const fields = [];
+    await this.ensureFieldClassifier();
+    const handles = await this.page.$$('input, select, textarea');
+    
+    const documents = [];
+    
+    for (const handle of handles) {
+      // Upload widgets usually hide the file input behind a button or drop zone
+      if (!(await handle.isVisible()) && (await handle.getAttribute('type')) !== 'file') {
+        continue;
+      }
+      
+      const info = await handle.evaluate(el => window.FieldClassifier.describeElement(el));
+      
+      // Buttons, hidden inputs and passwords are never filled from the profile
+      if (['hidden', 'submit', 'button', 'image', 'reset', 'password'].includes(info.type)) {
+        continue;
+      }
+      
+      const selector = this.buildFieldSelector(info);
+      
+      if (info.type === 'file') {
+        const { documentType, confidence } = FieldClassifier.classifyDocumentField(info);
+        documents.push({ ...info, handle, selector, fieldType: documentType === 'other' ? null : documentType, confidence });
+        continue;
+      }
+      
+      const { fieldType, confidence } = FieldClassifier.classifyField(info);
+      
+      // A mapping confirmed on an earlier visit to this form beats the classifier
+      const learned = selector && formMappingStore.lookupMapping(this.formMappings, this.page.url(), selector);
+      if (learned) {
+        fields.push({ ...info, handle, selector, fieldType: learned.fieldType, confidence: 1, learned: true });
+      } else {
+        fields.push({ ...info, handle, selector, fieldType, confidence });
+      }
+    }
+    
+    // Documents go first: some sites fill the rest of the form from the uploaded resume
+    fields.unshift(...documents);
+    
+    // Radio buttons are answered a question at a time; adapters adjust the groups like any other field
+    const grouped = await this.groupRadioButtons(fields);
+    return this.adapter.adjustFields ? await this.adapter.adjustFields(this, grouped) : grouped;
+  }
+
+  async groupRadioButtons(fields) {
+    // One field per group of radio buttons with the same name, labelled with the
+    // question and filled by picking one of its options
+    const groups = new Map();
+    const others = [];
+    
+    for (const field of fields) {
+      if (field.type !== 'radio' || !field.name) {
+        others.push(field);
+        continue;
+      }
+      if (!groups.has(field.name)) {
+        groups.set(field.name, {
+          handle: field.handle,
+          radios: [],
+          selector: attributeSelector('input[type="radio"]', 'name', field.name),
+          tagName: 'input',
+          type: 'radiogroup',
+          name: field.name,
+          id: '',
+          label: (await field.handle.evaluate(el => window.FieldClassifier.findGroupLabel(el))) || '',
+          required: false,
+          value: '',
+          options: []
+        });
+      }
+      const group = groups.get(field.name);
+      const optionText = await field.handle.evaluate(el => window.FieldClassifier.findOptionLabel(el));
+      group.radios.push(field.handle);
+      group.options.push({ value: await field.handle.getAttribute('value'), text: optionText });
+      group.required = group.required || field.required;
+      if (await field.handle.isChecked()) {
+        group.value = optionText;
+      }
+    }
+    
+    for (const group of groups.values()) {
+      const learned = formMappingStore.lookupMapping(this.formMappings, this.page.url(), group.selector);
+      Object.assign(group, learned
+        ? { fieldType: learned.fieldType, confidence: 1, learned: true }
+        : FieldClassifier.classifyField(group));
+    }
+    
+    return [...others, ...groups.values()];
+  }
+
+  buildFieldSelector(field) {
+    if (field.id) {
+      return attributeSelector(field.tagName, 'id', field.id);
+    }
+    if (field.name) {
+      return attributeSelector(field.tagName, 'name', field.name);
+    }
+    return null;
+  }
+
+  recordFieldMapping(field, source) {
+    if (!field.selector || !field.fieldType) {
+      return;
+    }
+    
+    const url = this.page.url();
+    formMappingStore.recordMapping(this.formMappings, url, field.selector, field.fieldType, source, field.confidence);
+    this.usedMappings.push({ url, selector: field.selector, fieldType: field.fieldType });
+  }
+
+  confirmFieldMappings() {
+    // Everything filled during a successful submission is trusted next time
+    for (const { url, selector, fieldType } of this.usedMappings) {
+      formMappingStore.recordMapping(this.formMappings, url, selector, fieldType, 'confirmed');
+    }
+    this.usedMappings = [];
+  }
+
+  correctFieldMapping(selector, fieldType) {
+    formMappingStore.recordMapping(this.formMappings, this.page.url(), selector, fieldType, 'user');
+  }
+
+  resolveFieldValue(fieldType) {
+    // Returns the value to enter and where in userData it came from
+    const personalInfo = this.userData.personalInfo || {};
+    const nameParts = (personalInfo.fullName || '').trim().split(/\s+/).filter(Boolean);
+    const latestEducation = (this.userData.education || [])[0] || {};
+    const latestExperience = (this.userData.experience || [])[0] || {};
+    const socialMediaProfiles = this.userData.socialMediaProfiles || {};
+    const address = this.userData.address || {};
+    const preferredLocation = (this.userData.locationPreferences || [])[0] || {};
+    const from = (value, source) => ({ value: value || null, source: value ? source : null });
+    
+    // Diversity questions (eeo.gender, eeo.freeSchoolMeals, ...) are answered as recorded
+    if (fieldType && fieldType.startsWith('eeo.')) {
+      return from((this.userData.eeo || {})[fieldType.slice(4)], fieldType);
+    }
+    
+    switch (fieldType) {
+      case 'salutation':
+        return from(personalInfo.salutation, 'personalInfo.salutation');
+      case 'firstName':
+        return personalInfo.firstName
+          ? from(personalInfo.firstName, 'personalInfo.firstName')
+          : from(nameParts[0], 'personalInfo.fullName');
+      case 'lastName':
+        return personalInfo.lastName
+          ? from(personalInfo.lastName, 'personalInfo.lastName')
+          : from(nameParts.length > 1 ? nameParts[nameParts.length - 1] : null, 'personalInfo.fullName');
+      case 'fullName':
+        return from(personalInfo.fullName, 'personalInfo.fullName');
+      case 'email':
+        return from(personalInfo.email, 'personalInfo.email');
+      case 'secondaryEmail':
+        return from(personalInfo.secondaryEmail, 'personalInfo.secondaryEmail');
+      case 'phone':
+        return from(personalInfo.phone, 'personalInfo.phone');
+      case 'address':
+        return address.line1
+          ? from(address.line1, 'address.line1')
+          : from(personalInfo.location, 'personalInfo.location');
+      case 'location':
+        return from(personalInfo.location, 'personalInfo.location');
+      case 'city':
+        return address.city
+          ? from(address.city, 'address.city')
+          : from(personalInfo.location ? personalInfo.location.split(',')[0].trim() : null, 'personalInfo.location');
+      case 'state':
+        return from(address.county, 'address.county');
+      case 'zip':
+        return from(address.postcode, 'address.postcode');
+      case 'country':
+        return from(address.country, 'address.country');
+      case 'nationality':
+        return from((this.userData.citizenships || [])[0], 'citizenships[0]');
+      case 'preferredLocation':
+        return from(preferredLocation.location, 'locationPreferences[0].location');
+      case 'linkedin':
+        return from(socialMediaProfiles.linkedin, 'socialMediaProfiles.linkedin');
+      case 'github':
+        return from(socialMediaProfiles.github, 'socialMediaProfiles.github');
+      case 'website':
+        return socialMediaProfiles.website
+          ? from(socialMediaProfiles.website, 'socialMediaProfiles.website')
+          : from(socialMediaProfiles.portfolio, 'socialMediaProfiles.portfolio');
+      case 'dateOfBirth':
+        return from(personalInfo.dateOfBirth, 'personalInfo.dateOfBirth');
+      case 'institution':
+        return from(latestEducation.institution, 'education[0].institution');
+      case 'degree':
+        return from(latestEducation.degree, 'education[0].degree');
+      case 'discipline':
+        return from(latestEducation.fieldOfStudy, 'education[0].fieldOfStudy');
+      case 'degreeClass':
+        return from(latestEducation.degreeClass, 'education[0].degreeClass');
+      case 'gpa':
+        return from(latestEducation.gpa, 'education[0].gpa');
+      case 'highestEducation':
+        return from((this.userData.educationSummary || {}).highestLevel, 'educationSummary.highestLevel');
+      case 'schoolType': {
+        const index = (this.userData.education || []).findIndex(entry => entry.schoolType);
+        return index === -1 ? from(null, null) : from(this.userData.education[index].schoolType, `education[${index}].schoolType`);
+      }
+      case 'company':
+        return from(latestExperience.company, 'experience[0].company');
+      case 'jobTitle':
+        return from(latestExperience.title, 'experience[0].title');
+      case 'skills':
+        return from((this.userData.skills || []).join(', '), 'skills');
+      case 'coverLetter':
+        return from(this.coverLetterText, 'generated cover letter');
+      case 'workAuthorization':
+        // The answer for the most preferred location, as postings usually ask about it
+        return preferredLocation.workAuthorization
+          ? from(preferredLocation.workAuthorization, 'locationPreferences[0].workAuthorization')
+          : from(this.userData.workAuthorizationStatus, 'workAuthorizationStatus');
+      case 'education':
+        return from(latestEducation.institution
+          ? `${latestEducation.institution} - ${latestEducation.degree || ''}`.trim()
+          : null, 'education[0]');
+      case 'experience':
+        return from(latestExperience.company
+          ? `${latestExperience.company} - ${latestExperience.title || ''}`.trim()
+          : null, 'experience[0]');
+      default:
+        return from(null, null);
+    }
+  }
+
+  resolveDocument(kind) {
+    // A document given for this job beats the one in the profile
+    if (this.jobOverrides && this.jobOverrides[kind]) {
+      return { value: this.jobOverrides[kind], source: `job.${kind}` };
+    }
+    const documents = this.userData.documents || {};
+    return { value: documents[kind] || null, source: documents[kind] ? `documents.${kind}` : null };
+  }
+
+  async uploadDocument(field, filePath) {
+    const absolutePath = path.resolve(filePath);
+    if (!fs.existsSync(absolutePath)) {
+      throw new Error(`File not found: ${absolutePath}`);
+    }
+    
+    // A dry run names the file in its report but never sends it to the site
+    if (this.options.dryRun) {
+      return 'skipped (dry run)';
+    }
+    
+    await field.handle.setInputFiles(absolutePath);
+    await this.waitForPageTransition();
+    
+    const fileName = path.basename(absolutePath);
+    const status = await this.verifyUpload(field, fileName);
+    if (status === 'rejected') {
+      throw new Error(`The site did not accept ${fileName}`);
+    }
+    if (status === 'unverified') {
+      console.warn(`${fileName} was attached, but the page does not show it; check the upload before submitting.`);
+    }
+    // A page that is shown again after a validation error is uploaded to again
+    const uploaded = this.uploadedDocuments.find(doc => doc.kind === field.fieldType && doc.path === absolutePath);
+    if (uploaded) {
+      uploaded.verified = status === 'verified';
+    } else {
+      this.uploadedDocuments.push({ kind: field.fieldType, path: absolutePath, verified: status === 'verified' });
+    }
+    return status;
+  }
+
+  async verifyUpload(field, fileName) {
+    // Verified once the page (or the adapter's confirmSelector) shows the file name.
+    // An input that merely still holds the file is unverified: some sites only
+    // take a file through their own widget, and leave the input as it was.
+    const confirmSelector = field.confirmSelector || 'body';
+    try {
+      return await field.handle.evaluate((input, { fileName, confirmSelector }) => {
+        const container = input.closest('fieldset, .field, .form-group, [class*="upload"]') || input.parentElement;
+        const errorText = Array.from(container.querySelectorAll('[role="alert"], [class*="error"]'))
+          .map(element => element.textContent)
+          .join(' ');
+        if (/too (?:large|big)|not (?:supported|allowed)|invalid|failed|could not|unable to/i.test(errorText)) {
+          return 'rejected';
+        }
+        
+        const shown = Array.from(document.querySelectorAll(confirmSelector))
+          .some(element => element.textContent.includes(fileName));
+        if (shown) {
+          return 'verified';
+        }
+        // Sites that reject a file usually clear the input
+        return input.files.length > 0 && input.files[0].name === fileName ? 'unverified' : 'rejected';
+      }, { fileName, confirmSelector });
+    } catch (error) {
+      // The upload re-rendered the widget and took the input with it
+      const shown = await this.page.evaluate(({ fileName, confirmSelector }) =>
+        Array.from(document.querySelectorAll(confirmSelector)).some(element => element.textContent.includes(fileName)),
+      { fileName, confirmSelector });
+      return shown ? 'verified' : 'rejected';
+    }
+  }
+
+  async fillFormFields(fields) {
+    let filled = 0;
+    
+    for (const field of fields) {
+      const entry = {
+        page: this.currentStep,
+        selector: field.selector,
+        label: field.label || field.placeholder || field.name || field.id,
+        fieldType: field.fieldType,
+        confidence: field.confidence,
+        required: field.required,
+        value: field.value || null,
+        source: field.value ? 'prefilled' : null,
+        filled: false
+      };
+      this.fieldReport.push(entry);
+      
+      // Never overwrite what the site (or a previous page) already filled in
+      const isDocument = field.type === 'file';
+      if ((field.value && field.tagName !== 'select') || ['checkbox', 'radio'].includes(field.type)) {
+        continue;
+      }
+      
+      // Job answers first, then the site adapter and the profile, then the answer bank
+      const customAnswer = isDocument ? null : this.findCustomAnswer(field);
+      const adapterValue = customAnswer === null && this.adapter.resolveFieldValue
+        ? this.adapter.resolveFieldValue(this, field)
+        : null;
+      let { value, source } = customAnswer !== null
+        ? { value: customAnswer, source: 'job.answers' }
+        : adapterValue || (isDocument ? this.resolveDocument(field.fieldType) : this.resolveFieldValue(field.fieldType));
+      if (!value && !isDocument && !(field.value && field.tagName === 'select')) {
+        ({ value, source } = await this.answerQuestion(field));
+      }
+      if (!value) {
+        continue;
+      }
+      
+      try {
+        // Site adapters fill custom widgets the generic filler cannot
+        const filledByAdapter = this.adapter.fillField && await this.adapter.fillField(this, field, value);
+        
+        if (!filledByAdapter && isDocument) {
+          entry.upload = await this.uploadDocument(field, value);
+        } else if (!filledByAdapter && field.type === 'radiogroup') {
+          const index = pickOption(field.options.map(option => option.text), value);
+          if (index === -1) {
+            throw new Error(`no option matches "${value}"`);
+          }
+          await field.radios[index].check({ force: true });
+        } else if (!filledByAdapter && field.tagName === 'select') {
+          const option = field.options.find(opt =>
+            opt.value && opt.text.toLowerCase().includes(String(value).toLowerCase())
+          );
+          if (!option) {
+            continue;
+          }
+          await field.handle.selectOption(option.value);
+        } else if (!filledByAdapter) {
+          await field.handle.fill(String(value));
+        }
+        if (!isDocument) {
+          this.recordFieldMapping(field, 'matched');
+        }
+        // A dry run reports the document it would have uploaded
+        const skipped = entry.upload === 'skipped (dry run)';
+        Object.assign(entry, { value: String(value), source, filled: !skipped });
+        if (!skipped) {
+          filled++;
+        }
+      } catch (error) {
+        // Left empty, and reported in the review and dry run report
+        entry.error = error.message;
+        console.error(`Could not fill field ${field.name || field.id || field.label}:`, error.message);
+      }
+    }
+    
+    return filled;
+  }
+
+  async answerQuestion(field) {
+    const question = field.label || field.ariaLabel || field.placeholder;
+    if (!question) {
+      return { value: null, source: null };
+    }
+    
+    const match = answerBankStore.findAnswer(this.answerBank, question);
+    if (match) {
+      answerBankStore.recordAnswerUse(match.entry);
+      return { value: match.entry.answer, source: `answer bank #${match.entry.id}` };
+    }
+    
+    // Only ask about real questions, not every unlabelled optional box
+    if (!field.required && !/\?\s*\*?$/.test(question)) {
+      return { value: null, source: null };
+    }
+    
+    if (this.options.onUnansweredQuestion) {
+      const response = await this.options.onUnansweredQuestion({
+        question,
+        options: (field.options || []).map(option => option.text).filter(Boolean),
+        required: field.required,
+        url: this.page.url()
+      });
+      if (response && response.answer) {
+        if (response.save) {
+          const entry = answerBankStore.addAnswer(this.answerBank, question, response.answer);
+          return { value: response.answer, source: `answer bank #${entry.id}` };
+        }
+        return { value: response.answer, source: 'user' };
+      }
+    }
+    
+    if (!this.unansweredQuestions.includes(question)) {
+      this.unansweredQuestions.push(question);
+    }
+    return { value: null, source: null };
+  }
+
+  findCustomAnswer(field) {
+    const answers = (this.jobOverrides && this.jobOverrides.answers) || {};
+    const candidates = [field.label, field.ariaLabel, field.placeholder, field.name, field.id]
+      .map(text => FieldClassifier.normalizeText(text))
+      .filter(text => text.length > 0);
+    
+    for (const [question, answer] of Object.entries(answers)) {
+      const key = FieldClassifier.normalizeText(question);
+      // Whole words only, so a short key such as "age" does not answer "Language"
+      if (key && candidates.some(text => ` ${text} `.includes(` ${key} `))) {
+        return String(answer);
+      }
+    }
+    
+    return null;
+  }
+
+  async findNavigationButton() {
+    if (this.adapter.findNavigationButton) {
+      return await this.adapter.findNavigationButton(this);
+    }
+    
+    for (const { kind, selector, generic = false } of this.adapter.navigationSelectors) {
+      const button = await this.page.$(selector);
+      if (button && await button.isVisible() && await button.isEnabled()) {
+        const label = ((await button.textContent()) || (await button.getAttribute('value')) || '').trim();
+        // A generic submit button that says "Apply" or "Submit" is the final one
+        const finalKind = kind === 'next' && /submit|apply|send/i.test(label) ? 'submit' : kind;
+        return { button, kind: finalKind, label: label || selector, generic };
+      }
+    }
+    
+    return null;
+  }
+
+  async waitForPageTransition() {
+    try {
+      await this.page.waitForLoadState('networkidle', { timeout: 15000 });
+    } catch (error) {
+      // Single-page forms never go idle on some sites; carry on regardless
+    }
+    await this.page.waitForTimeout(1000);
+  }
+
+  async getPageSignature(fields) {
+    const fieldKeys = fields.map(field => field.name || field.id || field.label).join('|');
+    return `${this.page.url()}::${fieldKeys}`;
+  }
+
+  async hasValidationErrors() {
+    for (const selector of this.adapter.validationErrorSelectors) {
+      const element = await this.page.$(selector);
+      if (element) {
+        return true;
+      }
+    }
+    
+    // Native HTML5 validation blocks a submit without adding any error markup
+    return Boolean(await this.page.$('form:not([novalidate]):invalid, form:not([novalidate]) :invalid:visible'));
+  }
+
+  async isApplicationComplete() {
+    if (this.adapter.isApplicationComplete) {
+      return await this.adapter.isApplicationComplete(this);
+    }
+    
+    if (this.adapter.confirmationUrlPattern.test(this.page.url())) {
+      return true;
+    }
+    
+    for (const selector of this.adapter.confirmationSelectors) {
+      if (await this.page.$(selector)) {
+        return true;
+      }
+    }
+    
+    const bodyText = await this.page.innerText('body').catch(() => '');
+    return this.adapter.confirmationPatterns.some(pattern => pattern.test(bodyText));
+  }
+}
+
+module.exports = JobApplicationBot;
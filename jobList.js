@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Accepted spellings of each job column, after lower-casing and snake_casing
+const COLUMN_ALIASES = {
+  url: ['url', 'link', 'job_url', 'posting_url'],
+  company: ['company', 'employer', 'company_name'],
+  title: ['title', 'role', 'job_title', 'position'],
+  resume: ['resume', 'resume_path', 'cv', 'cv_path'],
+  coverLetter: ['cover_letter', 'cover_letter_path', 'coverletter'],
+  tags: ['tags', 'tag', 'labels'],
+  priority: ['priority']
+};
+
+const PRIORITY_NAMES = {
+  high: 3,
+  medium: 2,
+  normal: 2,
+  low: 1
+};
+
+/**
+ * Splits CSV text into rows of fields, honouring quoted fields with embedded
+ * commas, quotes ("") and newlines
+ * @param {string} text - The CSV file content
+ * @returns {Array} - Rows, each an array of field strings
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim().length > 0));
+}
+
+/**
+ * Turns a column header into snake_case for alias lookup
+ * @param {string} header - The raw column header
+ * @returns {string} - The normalised header
+ */
+function normalizeColumnName(header) {
+  return String(header)
+    .trim()
+    .replace(/([a-z])([A-Z])/g, '$1_$2')
+    .replace(/[\s-]+/g, '_')
+    .toLowerCase();
+}
+
+/**
+ * Converts one raw row (from any format) into a job entry. Columns named
+ * "answer:<question>" (or an "answers" object) become custom answers, and any
+ * other unknown column is kept so it can be echoed back in the results.
+ * @param {Object|string} row - A row object, or a bare URL
+ * @returns {Object} - { url, company, title, resume, coverLetter, tags, priority, answers, extra }
+ */
+function normalizeJob(row) {
+  if (typeof row === 'string') {
+    row = { url: row };
+  }
+
+  const job = {
+    url: null,
+    company: null,
+    title: null,
+    resume: null,
+    coverLetter: null,
+    tags: [],
+    priority: PRIORITY_NAMES.normal,
+    answers: {},
+    extra: {}
+  };
+
+  for (const [key, value] of Object.entries(row)) {
+    if (value === null || value === undefined || value === '') continue;
+
+    if (key === 'answers' && typeof value === 'object') {
+      Object.assign(job.answers, value);
+      continue;
+    }
+    if (/^answer[:.]/i.test(key)) {
+      job.answers[key.replace(/^answer[:.]\s*/i, '')] = String(value);
+      continue;
+    }
+
+    const column = normalizeColumnName(key);
+    const field = Object.keys(COLUMN_ALIASES).find(name => COLUMN_ALIASES[name].includes(column));
+
+    if (!field) {
+      job.extra[key] = value;
+    } else if (field === 'tags') {
+      job.tags = Array.isArray(value)
+        ? value.map(tag => String(tag).trim())
+        : String(value).split(/[;|,]/).map(tag => tag.trim()).filter(Boolean);
+    } else if (field === 'priority') {
+      const named = PRIORITY_NAMES[String(value).toLowerCase()];
+      job.priority = named || Number(value) || PRIORITY_NAMES.normal;
+    } else {
+      job[field] = String(value).trim();
+    }
+  }
+
+  return job;
+}
+
+/**
+ * Reads a list of jobs from a text (one URL per line), CSV, JSON or YAML file.
+ * Jobs are returned highest priority first, keeping file order within a priority.
+ * @param {string} filePath - Path to the job list
+ * @returns {Array} - The job entries
+ */
+function loadJobList(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  let rows;
+
+  if (extension === '.csv') {
+    const [headers, ...records] = parseCsv(content);
+    rows = records.map(record =>
+      Object.fromEntries(headers.map((header, i) => [header.trim(), (record[i] || '').trim()]))
+    );
+  } else if (extension === '.json' || extension === '.yaml' || extension === '.yml') {
+    const parsed = extension === '.json' ? JSON.parse(content) : yaml.load(content);
+    rows = Array.isArray(parsed) ? parsed : (parsed && parsed.jobs) || [];
+  } else {
+    rows = content.split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0 && !line.startsWith('#'));
+  }
+
+  const jobs = rows.map(normalizeJob);
+
+  // Document paths in a job list are relative to the list itself
+  for (const job of jobs) {
+    for (const document of ['resume', 'coverLetter']) {
+      if (job[document]) {
+        job[document] = path.resolve(path.dirname(filePath), job[document]);
+      }
+    }
+  }
+
+  const missingUrl = jobs.findIndex(job => !job.url);
+  if (missingUrl !== -1) {
+    throw new Error(`Job ${missingUrl + 1} in ${filePath} has no URL`);
+  }
+
+  return jobs
+    .map((job, index) => ({ job, index }))
+    .sort((a, b) => b.job.priority - a.job.priority || a.index - b.index)
+    .map(({ job }) => job);
+}
+
+module.exports = {
+  parseCsv,
+  normalizeJob,
+  loadJobList
+};
@@ -0,0 +1,438 @@
+// Structured model of a job posting, read from its JSON-LD JobPosting data
+// (which most ATS pages publish for search engines) or, without it, from the page
+const DESCRIPTION_LIMIT = 20000;
+
+// schema.org employmentType -> our value
+const EMPLOYMENT_TYPES = {
+  FULL_TIME: 'full-time',
+  PART_TIME: 'part-time',
+  CONTRACTOR: 'contract',
+  TEMPORARY: 'temporary',
+  INTERN: 'internship',
+  VOLUNTEER: 'volunteer',
+  PER_DIEM: 'per-diem',
+  OTHER: 'other'
+};
+
+// Wording of employment types in posting text
+const EMPLOYMENT_TYPE_PATTERNS = [
+  { type: 'full-time', pattern: /\bfull[- ]?time\b/i },
+  { type: 'part-time', pattern: /\bpart[- ]?time\b/i },
+  { type: 'contract', pattern: /\b(?:contract(?:or)?|freelance)\b(?! (?:management|negotiation))/i },
+  { type: 'temporary', pattern: /\btemporary\b|\bfixed[- ]term\b/i },
+  { type: 'internship', pattern: /\bintern(?:ship)?\b/i }
+];
+
+// Wording of each remote policy, most specific first
+const REMOTE_POLICY_PATTERNS = [
+  { policy: 'hybrid', pattern: /\bhybrid\b/gi },
+  { policy: 'remote', pattern: /\b(?:fully |100% )?remote\b|\bwork from home\b|\btelecommute\b/gi },
+  { policy: 'onsite', pattern: /\bon[- ]?site\b|\bin[- ]office\b|\bin[- ]person\b/gi }
+];
+
+// Wording that introduces what a posting says about the job itself
+const ROLE_WORDING = /\b(?:this|the) (?:role|position|job|opening)\b|\byou(?:'|’)?(?:ll| will) (?:be )?(?:work|based)/gi;
+
+// Headings of the lists that hold a posting's requirements
+const REQUIREMENT_HEADING = /requirement|qualification|what you(?:'|’)?(?:ll)? (?:need|bring|have)|you (?:have|bring|will need)|we(?:'|’)?re looking for|looking for|must[- ]have|skills|experience|about you|who you are/i;
+// ...and those of lists that only look like them
+const NON_REQUIREMENT_HEADING = /benefit|perk|offer|nice[- ]to[- ]have|bonus|plus|responsib|what you(?:'|’)?ll do|day[- ]to[- ]day|about us/i;
+
+const CURRENCY_SYMBOLS = { $: 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+
+// schema.org unitText and posting wording -> period
+const SALARY_PERIODS = [
+  { period: 'year', pattern: /^(?:year|yr|annum|annual(?:ly)?|pa)$/i },
+  { period: 'month', pattern: /^(?:month|mo)$/i },
+  { period: 'week', pattern: /^(?:week|wk)$/i },
+  { period: 'day', pattern: /^day$/i },
+  { period: 'hour', pattern: /^(?:hour|hr|h)$/i }
+];
+
+// "$120,000 - $150,000 per year", "£45k–55k", "USD 80.000 to 95.000 a year", "€30/hour"
+const AMOUNT = '(\\d{1,3}(?:[,.\\s]\\d{3})+|\\d+(?:\\.\\d+)?)\\s?(k\\b)?';
+const CURRENCY_CODES = 'USD|EUR|GBP|CAD|AUD|CHF|INR|JPY|SEK|NOK|DKK|PLN';
+const SALARY_PATTERN = new RegExp(
+  `(?:([$€£¥₹])|\\b(${CURRENCY_CODES})\\b)\\s?${AMOUNT}` +
+  `(?:\\s*(?:-|–|—|to)\\s*(?:[$€£¥₹]|(?:${CURRENCY_CODES})\\s?)?${AMOUNT})?` +
+  `(?:\\s*(?:per|\\/|a|an)\\s*(year|yr|annum|month|mo|week|wk|day|hour|hr|h)\\b)?`,
+  'gi'
+);
+
+// A lone amount only counts as pay with salary wording next to it...
+const SALARY_WORDING = /\b(?:salary|salaries|compensation|pay|wages?|base|remuneration|OTE|earn(?:ings)?)\b/i;
+// ...and not when it names something else ("$1,500 relocation bonus", "$2,000 learning budget")
+const NOT_SALARY_AFTER = /^\s*(?!plus\b|and\b)(?:[\w-]+\s+)?(?:bonus|budget|stipend|allowance|relocation|sign(?:ing|-on)|equity|grant|credit|voucher|reimbursement|funding)\b/i;
+
+/**
+ * Collects the posting data of the current page. Runs in the browser through
+ * page.evaluate, so it cannot use anything outside its own body.
+ * @returns {Object} - { jobPosting, title, siteName, location, text, sections }
+ */
+function collectPostingData() {
+  const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+  const meta = (name) => {
+    const element = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+    return element && element.content ? element.content.trim() : null;
+  };
+
+  // JSON-LD may hold a single object, an array, or a @graph of several
+  const findJobPosting = (node) => {
+    if (Array.isArray(node)) {
+      return node.map(findJobPosting).find(Boolean) || null;
+    }
+    if (!node || typeof node !== 'object') {
+      return null;
+    }
+    if ([].concat(node['@type'] || []).includes('JobPosting')) {
+      return node;
+    }
+    return node['@graph'] ? findJobPosting(node['@graph']) : null;
+  };
+
+  // Each list under a heading-like element, as { heading, items }
+  const getSections = (root) => {
+    const sections = [];
+    for (const list of root.querySelectorAll('ul, ol')) {
+      if (list.parentElement.closest('li, nav, header, footer')) {
+        continue;
+      }
+      let heading = null;
+      for (let node = list, depth = 0; node && node !== root && !heading && depth < 3; node = node.parentElement, depth++) {
+        for (let sibling = node.previousElementSibling, steps = 0; sibling && !heading && steps < 3; sibling = sibling.previousElementSibling, steps++) {
+          const text = clean(sibling.textContent);
+          if (text && text.length <= 100 && !['UL', 'OL'].includes(sibling.tagName)) {
+            heading = text;
+          }
+        }
+      }
+      const items = [...list.children].map(item => clean(item.textContent)).filter(Boolean);
+      if (items.length > 0) {
+        sections.push({ heading, items: items.slice(0, 30) });
+      }
+    }
+    return sections;
+  };
+
+  let jobPosting = null;
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      jobPosting = findJobPosting(JSON.parse(script.textContent));
+    } catch (error) {
+      // Malformed JSON-LD is common; the page heuristics still apply
+    }
+    if (jobPosting) {
+      break;
+    }
+  }
+
+  let descriptionText = null;
+  let descriptionSections = [];
+  if (jobPosting && typeof jobPosting.description === 'string') {
+    const parse = (html) => new DOMParser().parseFromString(html, 'text/html').body;
+    let html = jobPosting.description;
+    // Some sites HTML-escape the description a second time
+    if (parse(html).children.length === 0 && /<\w+/.test(parse(html).textContent)) {
+      html = parse(html).textContent;
+    }
+    descriptionSections = getSections(parse(html));
+
+    const body = parse(html);
+    body.querySelectorAll('li').forEach(item => item.prepend('- '));
+    body.querySelectorAll('p, li, br, h1, h2, h3, h4, h5, h6, div').forEach(node => node.append('\n'));
+    descriptionText = body.textContent.replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n\n').trim();
+  }
+
+  const root = document.querySelector('main, article, [role="main"]') || document.body;
+  const heading = document.querySelector('h1');
+  const locationElement = [...document.querySelectorAll(
+    '[class*="location" i], [data-qa*="location" i], [data-automation-id="locations"], [itemprop="jobLocation"]'
+  )].find(element => {
+    const text = clean(element.textContent);
+    return text && text.length <= 100;
+  });
+
+  return {
+    jobPosting: jobPosting ? { ...jobPosting, description: descriptionText, descriptionSections } : null,
+    title: (heading && clean(heading.textContent)) || meta('og:title') || document.title || null,
+    siteName: meta('og:site_name'),
+    location: locationElement ? clean(locationElement.textContent).replace(/^locations?:?\s*/i, '') : null,
+    text: root ? root.innerText : '',
+    sections: root ? getSections(root) : []
+  };
+}
+
+// JSON-LD values are sometimes a list, and names are sometimes nested objects
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+const nameOf = (value) => {
+  const item = first(value);
+  return (item && typeof item === 'object' ? item.name : item) || null;
+};
+
+/**
+ * Parses an amount as written in a posting ("120,000", "85.5k", "80.000")
+ * @param {string} amount - The digits
+ * @param {string} thousands - "k" if the amount is in thousands
+ * @returns {number}
+ */
+function parseAmount(amount, thousands) {
+  // Separators followed by three digits group thousands; anything else is a decimal point
+  const value = parseFloat(amount.replace(/[,.\s](?=\d{3}(?!\d))/g, ''));
+  return thousands ? Math.round(value * 1000) : value;
+}
+
+/**
+ * Maps a period as written ("yr", "annum", "HOUR") to year, month, week, day or hour
+ * @param {string} unit - The period
+ * @returns {string|null}
+ */
+function normalizePeriod(unit) {
+  const match = unit && SALARY_PERIODS.find(({ pattern }) => pattern.test(unit.trim()));
+  return match ? match.period : null;
+}
+
+/**
+ * Finds the first salary or salary range in posting text
+ * @param {string} text - The posting text
+ * @returns {Object|null} - { min, max, currency, period, text }
+ */
+function parseSalaryText(text) {
+  for (const match of (text || '').matchAll(SALARY_PATTERN)) {
+    const [raw, symbol, code, minAmount, minThousands, maxAmount, maxThousands, unit] = match;
+    const min = parseAmount(minAmount, minThousands || (maxAmount && maxThousands));
+    const max = maxAmount ? parseAmount(maxAmount, maxThousands) : min;
+    // A lone amount without a period ("$5 million in funding", "a $50 stipend") is
+    // only a salary when the text around it says so
+    if (!maxAmount && !unit) {
+      const before = text.slice(Math.max(0, match.index - 40), match.index);
+      const after = text.slice(match.index + raw.length, match.index + raw.length + 30);
+      if (max < 1000 || !SALARY_WORDING.test(`${before} ${after}`) || NOT_SALARY_AFTER.test(after)) {
+        continue;
+      }
+    }
+
+    return {
+      min: Math.min(min, max),
+      max: Math.max(min, max),
+      currency: code ? code.toUpperCase() : CURRENCY_SYMBOLS[symbol],
+      period: normalizePeriod(unit) || (max >= 1000 ? 'year' : null),
+      text: raw.trim()
+    };
+  }
+  return null;
+}
+
+/**
+ * Reads a schema.org baseSalary (MonetaryAmount)
+ * @param {Object} baseSalary - The JSON-LD value
+ * @returns {Object|null} - { min, max, currency, period, text }
+ */
+function parseBaseSalary(baseSalary) {
+  const salary = first(baseSalary);
+  if (!salary || typeof salary !== 'object') {
+    return null;
+  }
+  const value = salary.value && typeof salary.value === 'object' ? salary.value : { value: salary.value };
+  const min = parseFloat(value.minValue !== undefined ? value.minValue : value.value);
+  const max = parseFloat(value.maxValue !== undefined ? value.maxValue : value.value);
+  if (Number.isNaN(min) && Number.isNaN(max)) {
+    return null;
+  }
+
+  return {
+    min: Number.isNaN(min) ? max : min,
+    max: Number.isNaN(max) ? min : max,
+    currency: salary.currency || value.currency || null,
+    period: normalizePeriod(value.unitText || salary.unitText),
+    text: null
+  };
+}
+
+/**
+ * Formats a salary for display, e.g. "$120,000 - $150,000 per year"
+ * @param {Object} salary - { min, max, currency, period }
+ * @returns {string}
+ */
+function formatSalary(salary) {
+  if (!salary) {
+    return '';
+  }
+  let format = (amount) => amount.toLocaleString('en-US');
+  if (salary.currency) {
+    try {
+      const formatter = new Intl.NumberFormat('en-US', { style: 'currency', currency: salary.currency, maximumFractionDigits: 2, minimumFractionDigits: 0 });
+      format = (amount) => formatter.format(amount);
+    } catch (error) {
+      format = (amount) => `${salary.currency} ${amount.toLocaleString('en-US')}`;
+    }
+  }
+  const range = salary.min === salary.max ? format(salary.min) : `${format(salary.min)} - ${format(salary.max)}`;
+  return salary.period ? `${range} per ${salary.period}` : range;
+}
+
+/**
+ * Formats schema.org jobLocation(s) as "City, Region, Country"
+ * @param {Object|Array} jobLocation - The JSON-LD value
+ * @returns {string|null}
+ */
+function formatJobLocation(jobLocation) {
+  const locations = [].concat(jobLocation || []).map(place => {
+    const address = (place && place.address) || {};
+    if (typeof address === 'string') {
+      return address;
+    }
+    const parts = [address.addressLocality, address.addressRegion, nameOf(address.addressCountry)];
+    return parts.filter(part => part && typeof part === 'string').join(', ');
+  }).filter(Boolean);
+
+  return locations.length > 0 ? [...new Set(locations)].join('; ') : null;
+}
+
+/**
+ * Maps schema.org employmentType values to full-time, part-time, contract, ...
+ * @param {string|Array} employmentType - The JSON-LD value
+ * @returns {string|null}
+ */
+function normalizeEmploymentType(employmentType) {
+  const types = [].concat(employmentType || [])
+    .flatMap(type => String(type).split(','))
+    .map(type => EMPLOYMENT_TYPES[type.trim().toUpperCase().replace(/[- ]/g, '_')])
+    .filter(Boolean);
+  return types.length > 0 ? types.join(', ') : null;
+}
+
+/**
+ * Finds the employment type a posting's text mentions first
+ * @param {string} text - The posting text
+ * @returns {string|null}
+ */
+function findEmploymentType(text) {
+  let best = null;
+  for (const { type, pattern } of EMPLOYMENT_TYPE_PATTERNS) {
+    const match = (text || '').match(pattern);
+    if (match && (!best || match.index < best.index)) {
+      best = { type, index: match.index };
+    }
+  }
+  return best ? best.type : null;
+}
+
+/**
+ * Works out whether a job is remote, hybrid or on-site. The title and location
+ * are trusted over the description, which often describes the company at large
+ * ("a remote-first company ... this role is on-site"), so in a text that talks
+ * about the role, the mention nearest that wording wins.
+ * @param {Array} texts - Texts to check, most specific first
+ * @returns {string|null} - 'remote', 'hybrid', 'onsite' or null
+ */
+function findRemotePolicy(texts) {
+  for (const text of texts.map(value => value || '')) {
+    const mentions = REMOTE_POLICY_PATTERNS.flatMap(({ policy, pattern }) =>
+      [...text.matchAll(pattern)].map(match => ({ policy, index: match.index })));
+    if (mentions.length === 0) {
+      continue;
+    }
+
+    const roleIndexes = [...text.matchAll(ROLE_WORDING)].map(match => match.index);
+    if (roleIndexes.length > 0) {
+      const distance = ({ index }) => Math.min(...roleIndexes.map(roleIndex => Math.abs(index - roleIndex)));
+      return mentions.reduce((nearest, mention) => (distance(mention) < distance(nearest) ? mention : nearest)).policy;
+    }
+    // Hybrid postings usually mention remote work as well; otherwise the last word counts
+    if (mentions.some(({ policy }) => policy === 'hybrid')) {
+      return 'hybrid';
+    }
+    return mentions.reduce((latest, mention) => (mention.index > latest.index ? mention : latest)).policy;
+  }
+  return null;
+}
+
+/**
+ * Picks the requirement lists from the lists of a posting
+ * @param {Array} sections - [{ heading, items }]
+ * @returns {Array} - The requirements
+ */
+function pickRequirements(sections) {
+  const items = (sections || [])
+    .filter(({ heading }) => heading && REQUIREMENT_HEADING.test(heading) && !NON_REQUIREMENT_HEADING.test(heading))
+    .flatMap(({ items }) => items);
+  return [...new Set(items)];
+}
+
+/**
+ * Reads the requirements given as JSON-LD properties (qualifications, skills, ...)
+ * @param {Object} jobPosting - The JSON-LD JobPosting
+ * @returns {Array} - The requirements
+ */
+function getListedRequirements(jobPosting) {
+  return ['qualifications', 'experienceRequirements', 'educationRequirements', 'skills']
+    .flatMap(key => [].concat(jobPosting[key] || []))
+    .map(value => (value && typeof value === 'object' ? value.description || value.name : value))
+    .filter(value => typeof value === 'string')
+    .flatMap(value => value.replace(/<[^>]+>/g, '\n').split(/\n|(?:^|\s)[•·]\s/))
+    .map(value => value.replace(/^[\s\-*•]+/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Builds the posting model from what collectPostingData read off the page.
+ * JSON-LD values win; the page fills in what it leaves out.
+ * @param {Object} data - The result of collectPostingData
+ * @param {string} url - The posting URL
+ * @returns {Object} - { url, title, company, location, salary, employmentType,
+ *   remotePolicy, requirements, description, datePosted, validThrough, source, scrapedAt }
+ */
+function buildJobPosting(data, url) {
+  const ld = data.jobPosting || {};
+  const pageText = (data.text || '').trim();
+  const description = (ld.description || pageText).slice(0, DESCRIPTION_LIMIT);
+  const location = formatJobLocation(ld.jobLocation) || data.location || null;
+  const title = (typeof ld.title === 'string' && ld.title.trim()) || data.title || null;
+
+  let remotePolicy = findRemotePolicy([title, location, description]);
+  if ([].concat(ld.jobLocationType || []).includes('TELECOMMUTE') && remotePolicy !== 'hybrid') {
+    remotePolicy = 'remote';
+  }
+
+  let requirements = getListedRequirements(ld);
+  if (requirements.length === 0) {
+    requirements = pickRequirements(ld.descriptionSections);
+  }
+  if (requirements.length === 0) {
+    requirements = pickRequirements(data.sections);
+  }
+
+  return {
+    url,
+    title,
+    company: nameOf(ld.hiringOrganization) || data.siteName || null,
+    location,
+    salary: parseBaseSalary(ld.baseSalary) || parseSalaryText(description) || parseSalaryText(pageText),
+    employmentType: normalizeEmploymentType(ld.employmentType) || findEmploymentType(description),
+    remotePolicy,
+    requirements,
+    description,
+    datePosted: ld.datePosted || null,
+    validThrough: ld.validThrough || null,
+    source: data.jobPosting ? 'json-ld' : 'page',
+    scrapedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Reads the posting open in a Playwright page
+ * @param {Object} page - The Playwright page
+ * @returns {Promise<Object>} - The posting (see buildJobPosting)
+ */
+async function scrapeJobPosting(page) {
+  return buildJobPosting(await page.evaluate(collectPostingData), page.url());
+}
+
+module.exports = {
+  collectPostingData,
+  buildJobPosting,
+  scrapeJobPosting,
+  parseSalaryText,
+  findRemotePolicy,
+  formatSalary
+};
@@ -0,0 +1,163 @@
+const NLP = require('natural');
+const { findMatchedSkills } = require('./skillMatching');
+const { loadApplications } = require('./applicationTracker');
+
+const tokenizer = new NLP.WordTokenizer();
+
+// Number of description keywords a profile is scored against
+const KEYWORD_COUNT = 30;
+// Saved postings used to learn which words every posting uses
+const CORPUS_SIZE = 100;
+
+// Words found in nearly every posting that say nothing about the job.
+// natural's TF-IDF already leaves out ordinary stop words.
+const GENERIC_TERMS = new Set([
+  'will', 'work', 'working', 'team', 'teams', 'role', 'job', 'company', 'experience', 'experienced',
+  'years', 'year', 'ability', 'able', 'strong', 'skills', 'skill', 'knowledge', 'including', 'across',
+  'within', 'new', 'plus', 'well', 'must', 'also', 'etc', 'us', 'join', 'looking', 'opportunity',
+  'candidate', 'candidates', 'position', 'apply', 'please', 'equal', 'employer', 'benefits', 'salary',
+  'part', 'time', 'full', 'based', 'help', 'make', 'like', 'good', 'great', 'excellent', 'preferred',
+  'required', 'requirements', 'responsibilities', 'qualifications', 'nice', 'day', 'want', 'need',
+  'degree', 'fluent', 'build', 'end'
+]);
+
+// Profile sections in the order matches are credited to them
+const PROFILE_SOURCES = ['skills', 'experience', 'education', 'languages'];
+
+const isKeyword = (term) => term.length >= 3 && !/^\d+$/.test(term) && !GENERIC_TERMS.has(term);
+const stem = (term) => NLP.PorterStemmer.stem(term.toLowerCase());
+
+/**
+ * Collects the texts of each profile section that a posting is matched against
+ * @param {Object} userData - The user data
+ * @returns {Object} - Section name -> array of texts
+ */
+function getProfileTexts(userData) {
+  return {
+    skills: userData.skills || [],
+    experience: (userData.experience || []).flatMap(job => [job.title, job.description]),
+    education: (userData.education || []).flatMap(entry => [entry.degree, entry.fieldOfStudy]),
+    languages: (userData.languages || []).map(entry => (typeof entry === 'string' ? entry : entry.language))
+  };
+}
+
+/**
+ * Builds the set of word stems the profile covers, with the section each came from
+ * @param {Object} userData - The user data
+ * @returns {Map} - Stem -> section name
+ */
+function getProfileTerms(userData) {
+  const terms = new Map();
+  const texts = getProfileTexts(userData);
+  for (const source of PROFILE_SOURCES) {
+    for (const text of texts[source].filter(Boolean)) {
+      for (const token of tokenizer.tokenize(String(text))) {
+        if (!terms.has(stem(token))) {
+          terms.set(stem(token), source);
+        }
+      }
+    }
+  }
+  return terms;
+}
+
+/**
+ * Loads the descriptions of saved postings, so words that every posting uses
+ * weigh less than the ones particular to this job
+ * @returns {Array} - Description texts
+ */
+function loadPostingCorpus() {
+  return loadApplications()
+    .map(application => application.posting && application.posting.description)
+    .filter(Boolean)
+    .slice(-CORPUS_SIZE);
+}
+
+/**
+ * Scores how well a profile matches a job description. The description's most
+ * distinctive words (by TF-IDF) are weighed, and the score is the share of that
+ * weight the profile covers. Profile skills the description names count as much
+ * as its top keyword.
+ * @param {Object} userData - The user data
+ * @param {string} description - The job description
+ * @param {Array} corpus - Other posting descriptions (loaded from the tracker if omitted)
+ * @returns {Object} - { score (0-100), matched: [{ keyword, source }], missing, matchedSkills }
+ */
+function scoreJobMatch(userData, description, corpus = loadPostingCorpus()) {
+  const tfidf = new NLP.TfIdf();
+  tfidf.addDocument(description || '');
+  corpus.forEach(text => tfidf.addDocument(text));
+
+  const matchedSkills = findMatchedSkills(userData.skills, description);
+  // Words of matched skills are scored as part of the skill, not again on their own
+  const skillStems = new Set(matchedSkills.flatMap(skill => tokenizer.tokenize(skill).map(stem)));
+
+  const seen = new Set();
+  const keywords = [];
+  for (const { term, tfidf: weight } of tfidf.listTerms(0)) {
+    const termStem = stem(term);
+    if (keywords.length >= KEYWORD_COUNT || !isKeyword(term) || seen.has(termStem) || skillStems.has(termStem)) {
+      continue;
+    }
+    seen.add(termStem);
+    keywords.push({ keyword: term, stem: termStem, weight });
+  }
+
+  if (keywords.length === 0 && matchedSkills.length === 0) {
+    return { score: 0, matched: [], missing: [], matchedSkills: [] };
+  }
+
+  const profileTerms = getProfileTerms(userData);
+  const skillWeight = keywords.length > 0 ? keywords[0].weight : 1;
+  const matched = matchedSkills.map(skill => ({ keyword: skill, source: 'skills', weight: skillWeight }));
+  const missing = [];
+  for (const keyword of keywords) {
+    if (profileTerms.has(keyword.stem)) {
+      matched.push({ keyword: keyword.keyword, source: profileTerms.get(keyword.stem), weight: keyword.weight });
+    } else {
+      missing.push(keyword);
+    }
+  }
+
+  const total = matched.reduce((sum, entry) => sum + entry.weight, 0) + missing.reduce((sum, entry) => sum + entry.weight, 0);
+  return {
+    score: Math.round((matched.reduce((sum, entry) => sum + entry.weight, 0) / total) * 100),
+    matched: matched.map(({ keyword, source }) => ({ keyword, source })),
+    missing: missing.map(({ keyword }) => keyword),
+    matchedSkills
+  };
+}
+
+// CLI command wrappers
+function printMatchScore(match, minScore = null) {
+  console.log(`\nMatch score: ${match.score}/100${minScore !== null ? ` (minimum ${minScore})` : ''}`);
+
+  for (const source of PROFILE_SOURCES) {
+    const keywords = match.matched.filter(entry => entry.source === source).map(entry => entry.keyword);
+    if (keywords.length > 0) {
+      console.log(`Matched from ${source}: ${keywords.join(', ')}`);
+    }
+  }
+  if (match.missing.length > 0) {
+    console.log(`Missing: ${match.missing.join(', ')}`);
+  }
+}
+
+function scoreJobCommand(userData, description, options = {}) {
+  const minScore = options.minScore !== undefined ? parseInt(options.minScore, 10) : null;
+  const match = scoreJobMatch(userData, description);
+  printMatchScore(match, minScore);
+
+  if (minScore !== null) {
+    console.log(match.score >= minScore ? 'batch-apply would apply to this posting.' : 'batch-apply would skip this posting.');
+  }
+  return match;
+}
+
+module.exports = {
+  KEYWORD_COUNT,
+  getProfileTerms,
+  scoreJobMatch,
+  printMatchScore,
+  scoreJobCommand
+};
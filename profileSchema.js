@@ -0,0 +1,311 @@
+// profileSchema.js
+// The JSON Schema of the user profile (user_data.json), the migrations from
+// older profile shapes and the checks run on every load and save, for the CLI
+// and the Chrome extension popup.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ProfileSchema = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const SCHEMA_VERSION = 1;
+
+  const text = { type: ['string', 'null'] };
+  const entry = (properties, required = []) => ({ type: 'object', required, properties });
+  const list = (items) => ({ type: 'array', items });
+  const email = { type: ['string', 'null'], pattern: '^([^@\\s]+@[^@\\s]+\\.[^@\\s]+)?$', errorMessage: 'should be an email address' };
+
+  // The profile as every part of the system reads it. Unknown fields are allowed,
+  // so profiles written by newer versions still load.
+  const PROFILE_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `job-application-profile/v${SCHEMA_VERSION}`,
+    title: 'Job application profile',
+    type: 'object',
+    required: ['schemaVersion', 'personalInfo', 'education', 'experience', 'skills'],
+    properties: {
+      schemaVersion: { type: 'integer', enum: [SCHEMA_VERSION] },
+      personalInfo: entry({
+        salutation: text,
+        firstName: text,
+        lastName: text,
+        fullName: text,
+        email,
+        secondaryEmail: email,
+        phone: text,
+        location: text,
+        dateOfBirth: text
+      }),
+      address: entry({ line1: text, line2: text, city: text, county: text, postcode: text, country: text }),
+      citizenships: list({ type: 'string' }),
+      // Where the user would work, in order of preference, and their right to work there
+      locationPreferences: list(entry({
+        location: { type: 'string' },
+        preference: text,
+        workAuthorization: text,
+        workAuthorizationDetails: text
+      }, ['location'])),
+      educationSummary: entry({ highestLevel: text, attendedUniversity: text }),
+      education: list(entry({
+        institution: text,
+        degree: text,
+        fieldOfStudy: text,
+        degreeClass: text,
+        schoolType: text,
+        city: text,
+        state: text,
+        country: text,
+        location: text,
+        startDate: text,
+        endDate: text,
+        dates: text,
+        gpa: { type: ['string', 'number', 'null'] }
+      })),
+      experience: list(entry({
+        company: text,
+        title: text,
+        location: text,
+        country: text,
+        startDate: text,
+        endDate: text,
+        dates: text,
+        description: text
+      })),
+      skills: list({ type: 'string' }),
+      languages: list(entry({ language: { type: 'string' }, proficiency: text }, ['language'])),
+      certifications: list(entry({ name: { type: 'string' }, date: text, issuer: text }, ['name'])),
+      references: list(entry({ name: text, title: text, company: text, email: text, phone: text })),
+      workAuthorizationStatus: text,
+      socialMediaProfiles: { type: 'object', additionalProperties: text },
+      documents: entry({ resume: text, coverLetter: text, transcript: text }),
+      // Voluntary diversity monitoring answers; UK forms ask for the social mobility ones
+      eeo: entry({
+        gender: text,
+        selfIdentity: text,
+        ethnicity: text,
+        veteranStatus: text,
+        disability: text,
+        sexualOrientation: text,
+        firstGeneration: text,
+        freeSchoolMeals: text,
+        governmentEmployee: text,
+        familyGovernmentEmployee: text
+      })
+    }
+  };
+
+  // Upgrades from each older profile version to the next one
+  const MIGRATIONS = {
+    // Version 0: unversioned profiles, written by parse-resume, import-cv-json,
+    // update-user-data and the extension before the schema existed
+    0: (profile) => {
+      const upgraded = { schemaVersion: 1, ...profile, personalInfo: { ...profile.personalInfo } };
+      const asList = (value) => (Array.isArray(value) ? value : (value ? [value] : []));
+
+      ['education', 'experience', 'languages', 'certifications', 'references'].forEach(key => {
+        upgraded[key] = asList(profile[key]);
+      });
+      // Skills were sometimes kept as the comma-separated text they were entered as
+      upgraded.skills = (typeof profile.skills === 'string' ? profile.skills.split(',') : asList(profile.skills))
+        .map(skill => String(skill).trim())
+        .filter(Boolean);
+      upgraded.languages = upgraded.languages.map(language =>
+        (typeof language === 'string' ? { language, proficiency: null } : language));
+      upgraded.certifications = upgraded.certifications.map(certification =>
+        (typeof certification === 'string' ? { name: certification, date: null, issuer: null } : certification));
+      upgraded.references = upgraded.references.map(reference =>
+        (typeof reference === 'string' ? { name: reference } : reference));
+      ['socialMediaProfiles', 'documents'].forEach(key => {
+        if (profile[key] === null || profile[key] === undefined) {
+          delete upgraded[key];
+        }
+      });
+
+      return upgraded;
+    }
+  };
+
+  // Details typical applications ask for; required ones block most forms
+  const APPLICATION_DETAILS = [
+    { path: 'personalInfo.fullName', label: 'Full name', required: true },
+    { path: 'personalInfo.email', label: 'Email', required: true },
+    { path: 'personalInfo.phone', label: 'Phone number', required: true },
+    { path: 'personalInfo.location', label: 'Location', required: true },
+    { path: 'education', label: 'Education', required: true },
+    { path: 'experience', label: 'Work experience', required: true },
+    { path: 'skills', label: 'Skills', required: true },
+    { path: 'documents.resume', label: 'Resume file to upload', required: true },
+    { path: 'workAuthorizationStatus', label: 'Work authorization status', required: false },
+    { path: 'socialMediaProfiles.linkedin', label: 'LinkedIn profile', required: false },
+    { path: 'languages', label: 'Languages', required: false },
+    { path: 'eeo.gender', label: 'Voluntary EEO answers (asked by Workday, Greenhouse and Lever)', required: false }
+  ];
+
+  const TYPE_NAMES = {
+    object: 'an object',
+    array: 'a list',
+    string: 'text',
+    number: 'a number',
+    integer: 'a whole number',
+    boolean: 'true or false',
+    null: 'empty'
+  };
+
+  const typeOf = (value) => {
+    if (value === null) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    return typeof value === 'number' && Number.isInteger(value) ? 'integer' : typeof value;
+  };
+
+  const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+  };
+
+  const isBlank = (value) => value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
+  /**
+   * Checks a value against the parts of JSON Schema the profile schema uses
+   * (type, enum, pattern, required, properties, additionalProperties, items)
+   * @param {*} value - The value
+   * @param {Object} schema - The schema
+   * @param {string} path - Where the value is in the profile, for the messages
+   * @param {Array} errors - Collects { path, message }
+   * @returns {Array} - The errors
+   */
+  function validateValue(value, schema, path = '', errors = []) {
+    const where = path || 'profile';
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+      const expected = types.filter(type => type !== 'null').map(type => TYPE_NAMES[type]).join(' or ');
+      errors.push({ path: where, message: `should be ${expected} but is ${TYPE_NAMES[typeOf(value)] || typeOf(value)}` });
+      return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path: where, message: `should be one of ${schema.enum.join(', ')} but is ${value}` });
+    }
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: where, message: `${schema.errorMessage || `should match ${schema.pattern}`} (is "${value}")` });
+    }
+
+    if (typeOf(value) === 'object') {
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+          errors.push({ path: path ? `${path}.${key}` : key, message: 'is missing' });
+        }
+      });
+      Object.keys(value).forEach(key => {
+        const propertySchema = (schema.properties || {})[key] ||
+          (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+        if (propertySchema && value[key] !== undefined) {
+          validateValue(value[key], propertySchema, path ? `${path}.${key}` : key, errors);
+        }
+      });
+    }
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => validateValue(item, schema.items, `${where}[${index}]`, errors));
+    }
+    return errors;
+  }
+
+  /**
+   * Upgrades a profile of an older shape to the current schema version
+   * @param {Object} profile - The profile as loaded
+   * @returns {Object} - { profile, migratedFrom } where migratedFrom is the old version, or null
+   */
+  function migrateProfile(profile) {
+    if (!profile || typeof profile !== 'object') {
+      return { profile, migratedFrom: null };
+    }
+    const version = Number.isInteger(profile.schemaVersion) ? profile.schemaVersion : 0;
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`This profile was written by a newer version (schema version ${version}); update this one first`);
+    }
+
+    let upgraded = profile;
+    for (let current = version; current < SCHEMA_VERSION; current++) {
+      upgraded = MIGRATIONS[current](upgraded);
+    }
+    return { profile: upgraded, migratedFrom: version < SCHEMA_VERSION ? version : null };
+  }
+
+  /**
+   * Checks a profile against the schema
+   * @param {Object} profile - The profile
+   * @returns {Array} - [{ path, message }], empty if the profile is valid
+   */
+  function validateProfile(profile) {
+    return validateValue(profile, PROFILE_SCHEMA);
+  }
+
+  /**
+   * Formats validation errors one per line
+   * @param {Array} errors - From validateProfile
+   * @returns {string}
+   */
+  function formatErrors(errors) {
+    return errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+  }
+
+  /**
+   * Lists the details typical applications ask for that a profile does not have
+   * @param {Object} profile - The profile
+   * @returns {Array} - [{ path, label, required }]
+   */
+  function findMissingDetails(profile) {
+    const missing = APPLICATION_DETAILS.filter(detail =>
+      isBlank(detail.path.split('.').reduce((value, key) => (value ? value[key] : undefined), profile)));
+
+    // Entries without the details forms ask about each of them
+    ((profile && profile.education) || []).forEach((education, i) => {
+      if (!education.degree || !education.dates) {
+        missing.push({ path: `education[${i}]`, label: `Degree or dates of ${education.institution || 'an education entry'}`, required: false });
+      }
+    });
+    ((profile && profile.experience) || []).forEach((job, i) => {
+      if (!job.title || !job.dates) {
+        missing.push({ path: `experience[${i}]`, label: `Title or dates of your job at ${job.company || 'an unnamed company'}`, required: false });
+      }
+    });
+    return missing;
+  }
+
+  /**
+   * Creates an empty profile of the current shape
+   * @returns {Object}
+   */
+  function createEmptyProfile() {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      personalInfo: {
+        fullName: null,
+        email: null,
+        phone: null,
+        location: null,
+        dateOfBirth: null
+      },
+      education: [],
+      experience: [],
+      skills: [],
+      languages: [],
+      certifications: []
+    };
+  }
+
+  return {
+    SCHEMA_VERSION,
+    PROFILE_SCHEMA,
+    migrateProfile,
+    validateProfile,
+    formatErrors,
+    findMissingDetails,
+    createEmptyProfile
+  };
+});
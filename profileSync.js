@@ -0,0 +1,172 @@
+// profileSync.js
+// Export, import and merge of the user profile, so the CLI (data/user_data.json)
+// and the Chrome extension popup (chrome.storage.local) keep one profile.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ProfileSync = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const PROFILE_FORMAT = 'job-application-profile';
+  const PROFILE_VERSION = 1;
+
+  // Secrets never leave the side they were entered on (the CLI keeps them in its vault)
+  const PRIVATE_FIELDS = ['credentials', 'linkedinCredentials', 'indeedCredentials', 'glassdoorCredentials', 'genericCredentials'];
+
+  // How entries of each list are recognised as the same entry on both sides
+  const ENTRY_KEYS = {
+    education: ['institution', 'degree'],
+    experience: ['company', 'title'],
+    languages: ['language'],
+    certifications: ['name'],
+    references: ['name'],
+    locationPreferences: ['location']
+  };
+
+  // Migrations from each older export version to the next one
+  const MIGRATIONS = {
+    // Version 0: a bare user data object, as saved by older versions of the CLI and the extension
+    0: (exported) => ({ format: PROFILE_FORMAT, version: 1, exportedAt: null, source: null, profile: exported })
+  };
+
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isEmpty = (value) => value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0) || (isObject(value) && Object.keys(value).length === 0);
+  const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+  /**
+   * Wraps a profile in the versioned export format, without any secrets
+   * @param {Object} userData - The profile
+   * @param {string} source - 'cli' or 'extension'
+   * @param {string} name - Name of the exported profile, e.g. 'default' or 'backend-eng'
+   * @returns {Object} - { format, version, exportedAt, source, name, profile }
+   */
+  function exportProfile(userData, source, name) {
+    const profile = JSON.parse(JSON.stringify(userData || {}));
+    PRIVATE_FIELDS.forEach(field => delete profile[field]);
+
+    return {
+      format: PROFILE_FORMAT,
+      version: PROFILE_VERSION,
+      exportedAt: new Date().toISOString(),
+      source,
+      name: name || null,
+      profile
+    };
+  }
+
+  /**
+   * Reads an exported profile, upgrading older export versions
+   * @param {string|Object} exported - The export, as JSON text or parsed
+   * @returns {Object} - The export in the current version
+   */
+  function parseProfileExport(exported) {
+    let data = typeof exported === 'string' ? JSON.parse(exported) : exported;
+    if (!isObject(data)) {
+      throw new Error('Not a profile export');
+    }
+    if (data.format !== PROFILE_FORMAT) {
+      if (!isObject(data.personalInfo)) {
+        throw new Error('Not a profile export');
+      }
+      data = { version: 0, profile: data };
+    }
+    if (data.version > PROFILE_VERSION) {
+      throw new Error(`This profile was exported by a newer version (${data.version}); update this one first`);
+    }
+
+    while (data.version < PROFILE_VERSION) {
+      data = MIGRATIONS[data.version](data.profile);
+    }
+    if (!isObject(data.profile)) {
+      throw new Error('The profile export has no profile');
+    }
+    PRIVATE_FIELDS.forEach(field => delete data.profile[field]);
+    return data;
+  }
+
+  /**
+   * Finds the entry of a list that stands for the same thing as another entry
+   * @param {Array} entries - Entries to search
+   * @param {Object} entry - Entry to look for
+   * @param {Array} keys - Fields that identify an entry
+   * @returns {number} - Index of the matching entry, or -1
+   */
+  function findMatchingEntry(entries, entry, keys) {
+    const identity = (item) => keys.map(key => normalize(item[key])).join('|');
+    if (keys.every(key => !normalize(entry[key]))) {
+      return -1;
+    }
+    return entries.findIndex(item => isObject(item) && identity(item) === identity(entry));
+  }
+
+  function mergeValues(local, incoming, path, options, conflicts) {
+    if (isEmpty(incoming)) {
+      return local;
+    }
+    if (isEmpty(local)) {
+      return incoming;
+    }
+
+    if (isObject(local) && isObject(incoming)) {
+      const merged = {};
+      for (const key of new Set([...Object.keys(local), ...Object.keys(incoming)])) {
+        merged[key] = mergeValues(local[key], incoming[key], path ? `${path}.${key}` : key, options, conflicts);
+      }
+      return merged;
+    }
+
+    if (Array.isArray(local) && Array.isArray(incoming)) {
+      const keys = ENTRY_KEYS[path];
+      if (!keys) {
+        // Plain lists such as skills: everything from both sides, once. Objects
+        // without identifying fields are compared whole.
+        const identity = (item) => (item !== null && typeof item === 'object' ? JSON.stringify(item) : normalize(item));
+        const seen = new Set(local.map(identity));
+        return [...local, ...incoming.filter(item => !seen.has(identity(item)))];
+      }
+      const merged = [...local];
+      incoming.forEach(entry => {
+        const index = isObject(entry) ? findMatchingEntry(merged, entry, keys) : -1;
+        if (index === -1) {
+          merged.push(entry);
+        } else {
+          merged[index] = mergeValues(merged[index], entry, `${path}[${index}]`, options, conflicts);
+        }
+      });
+      return merged;
+    }
+
+    if (normalize(local) === normalize(incoming) && typeof local === typeof incoming) {
+      return local;
+    }
+    const kept = options.prefer === 'local' ? local : incoming;
+    conflicts.push({ path, local, incoming, kept });
+    return kept;
+  }
+
+  /**
+   * Merges an imported profile into the local one. Values only one side has are
+   * kept; list entries are matched (education by institution and degree, jobs by
+   * company and title, ...) and merged; skills are combined. Where both sides
+   * have different values, options.prefer decides and the conflict is reported.
+   * @param {Object} local - The profile on this side
+   * @param {Object} incoming - The imported profile
+   * @param {Object} options - { prefer: 'incoming' (default) or 'local' }
+   * @returns {Object} - { profile, conflicts: [{ path, local, incoming, kept }] }
+   */
+  function mergeProfiles(local, incoming, options = {}) {
+    const conflicts = [];
+    const profile = mergeValues(local || {}, incoming || {}, '', { prefer: options.prefer || 'incoming' }, conflicts);
+    return { profile, conflicts };
+  }
+
+  return {
+    PROFILE_FORMAT,
+    PROFILE_VERSION,
+    exportProfile,
+    parseProfileExport,
+    mergeProfiles
+  };
+});
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+
+// The profile used when none is chosen; it keeps its files directly in data/
+const DEFAULT_PROFILE = 'default';
+const PROFILES_DIR = 'data/profiles';
+
+// Files that belong to a profile, copied when it is cloned. Everything else in
+// data/ (the vault, form mappings, tracked applications and batch runs) is shared.
+const PROFILE_FILES = ['user_data.json', 'answer_bank.json', 'cover_letter_template.txt'];
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+
+// Set from --profile before a command runs
+let activeProfile = process.env.JOBFILLER_PROFILE || DEFAULT_PROFILE;
+
+/**
+ * Checks that a profile name can be used as a directory name
+ * @param {string} name - The profile name
+ */
+function validateProfileName(name) {
+  if (!NAME_PATTERN.test(name || '')) {
+    throw new Error(`Invalid profile name "${name}": use up to 40 letters, digits, "-" and "_"`);
+  }
+}
+
+/**
+ * Gets the directory holding a profile's files
+ * @param {string} name - The profile name (the active profile if omitted)
+ * @returns {string} - The directory
+ */
+function getProfileDir(name = activeProfile) {
+  return name === DEFAULT_PROFILE ? 'data' : path.join(PROFILES_DIR, name);
+}
+
+/**
+ * Gets the path of one of a profile's files
+ * @param {string} fileName - e.g. user_data.json
+ * @param {string} name - The profile name (the active profile if omitted)
+ * @returns {string} - The path
+ */
+function getProfilePath(fileName, name = activeProfile) {
+  return path.join(getProfileDir(name), fileName);
+}
+
+/**
+ * Checks whether a profile exists. The default profile always does.
+ * @param {string} name - The profile name
+ * @returns {boolean}
+ */
+function profileExists(name) {
+  return name === DEFAULT_PROFILE || fs.existsSync(getProfileDir(name));
+}
+
+function getActiveProfile() {
+  return activeProfile;
+}
+
+/**
+ * Makes a profile the one every profile file is read from and written to
+ * @param {string} name - The profile name
+ */
+function setActiveProfile(name) {
+  validateProfileName(name);
+  if (!profileExists(name)) {
+    throw new Error(`Profile "${name}" does not exist. Create it with: node index.js profiles create ${name}`);
+  }
+  activeProfile = name;
+}
+
+/**
+ * Lists the profiles with a summary of each
+ * @returns {Array} - [{ name, fullName, skills, active }]
+ */
+function listProfiles() {
+  const names = fs.existsSync(PROFILES_DIR)
+    ? fs.readdirSync(PROFILES_DIR, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && NAME_PATTERN.test(entry.name))
+      .map(entry => entry.name)
+      .sort()
+    : [];
+
+  return [DEFAULT_PROFILE, ...names.filter(name => name !== DEFAULT_PROFILE)].map(name => {
+    let userData = {};
+    try {
+      const userDataPath = getProfilePath('user_data.json', name);
+      if (fs.existsSync(userDataPath)) {
+        userData = JSON.parse(fs.readFileSync(userDataPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`Error reading profile ${name}: ${error.message}`);
+    }
+    return {
+      name,
+      fullName: (userData.personalInfo || {}).fullName || '',
+      skills: (userData.skills || []).length,
+      active: name === activeProfile
+    };
+  });
+}
+
+/**
+ * Creates an empty profile
+ * @param {string} name - The profile name
+ * @returns {string} - The profile's directory
+ */
+function createProfile(name) {
+  validateProfileName(name);
+  if (profileExists(name)) {
+    throw new Error(`Profile "${name}" already exists`);
+  }
+  fs.mkdirSync(getProfileDir(name), { recursive: true });
+  return getProfileDir(name);
+}
+
+/**
+ * Creates a profile as a copy of another one's files
+ * @param {string} source - The profile to copy
+ * @param {string} name - The new profile's name
+ * @returns {Array} - The files copied
+ */
+function cloneProfile(source, name) {
+  validateProfileName(source);
+  if (!profileExists(source)) {
+    throw new Error(`Profile "${source}" does not exist`);
+  }
+  createProfile(name);
+
+  const copied = PROFILE_FILES.filter(fileName => fs.existsSync(getProfilePath(fileName, source)));
+  copied.forEach(fileName => fs.copyFileSync(getProfilePath(fileName, source), getProfilePath(fileName, name)));
+  return copied;
+}
+
+/**
+ * Deletes a profile and all of its files
+ * @param {string} name - The profile name
+ */
+function deleteProfile(name) {
+  validateProfileName(name);
+  if (name === DEFAULT_PROFILE) {
+    throw new Error('The default profile cannot be deleted');
+  }
+  if (!profileExists(name)) {
+    throw new Error(`Profile "${name}" does not exist`);
+  }
+  fs.rmSync(getProfileDir(name), { recursive: true, force: true });
+}
+
+// CLI command wrappers
+function listProfilesCommand() {
+  console.log('\nProfiles:');
+  listProfiles().forEach(profile => {
+    const summary = profile.fullName ? `${profile.fullName}, ${profile.skills} skills` : 'no user data yet';
+    console.log(`${profile.active ? '*' : ' '} ${profile.name.padEnd(20)} ${summary}`);
+  });
+  console.log('\nUse one with --profile <name>, e.g. node index.js --profile <name> apply <url>');
+}
+
+function createProfileCommand(name) {
+  try {
+    const dir = createProfile(name);
+    console.log(`Created profile "${name}" in ${dir}.`);
+    console.log(`Fill it with: node index.js --profile ${name} parse-resume <file-path>`);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+  }
+}
+
+function cloneProfileCommand(source, name) {
+  try {
+    const copied = cloneProfile(source, name);
+    console.log(`Created profile "${name}" from "${source}"${copied.length > 0 ? ` (copied ${copied.join(', ')})` : ''}.`);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+  }
+}
+
+function deleteProfileCommand(name) {
+  try {
+    deleteProfile(name);
+    console.log(`Deleted profile "${name}".`);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  getProfileDir,
+  getProfilePath,
+  profileExists,
+  getActiveProfile,
+  setActiveProfile,
+  listProfiles,
+  createProfile,
+  cloneProfile,
+  deleteProfile,
+  listProfilesCommand,
+  createProfileCommand,
+  cloneProfileCommand,
+  deleteProfileCommand
+};
@@ -0,0 +1,189 @@
+const { normalizeDomain } = require('./credentialVault');
+
+// Sessions are kept in the encrypted vault (vault.contents.sessions), keyed by
+// site domain. Each one is a Playwright storageState snapshot limited to that
+// site: every cookie plus the localStorage of the site's origins.
+
+// Longest a snapshot is trusted, even if its cookies claim to live longer
+const SESSION_TTL_DAYS = 14;
+// A session this old, or this close to expiry, is re-captured on its next use
+const REFRESH_AFTER_HOURS = 72;
+const REFRESH_BEFORE_EXPIRY_HOURS = 24;
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Checks whether a hostname (or cookie domain) belongs to a site domain
+ * @param {string} hostname - Hostname or cookie domain, possibly with a leading dot
+ * @param {string} domain - The site domain, e.g. linkedin.com
+ * @returns {boolean}
+ */
+function domainMatches(hostname, domain) {
+  const host = hostname.replace(/^\./, '').toLowerCase();
+  return host === domain || host.endsWith(`.${domain}`) || domain.endsWith(`.${host}`);
+}
+
+/**
+ * Builds a session from a full context storageState, keeping only what belongs to the site
+ * @param {Object} storageState - Result of context.storageState()
+ * @param {string} domain - The site domain
+ * @param {string} username - Who the session is logged in as
+ * @returns {Object} - The session
+ */
+function createSession(storageState, domain, username) {
+  const now = Date.now();
+  const cookies = storageState.cookies.filter(cookie => domainMatches(cookie.domain, domain));
+  const origins = storageState.origins.filter(origin => {
+    try {
+      return domainMatches(new URL(origin.origin).hostname, domain);
+    } catch (error) {
+      return false;
+    }
+  });
+
+  // Session lasts as long as its longest-lived cookie, within the TTL
+  const cookieExpiry = Math.max(0, ...cookies.filter(cookie => cookie.expires > 0).map(cookie => cookie.expires * 1000));
+  const ttlExpiry = now + SESSION_TTL_DAYS * 24 * HOUR;
+  const expiresAt = cookieExpiry > now ? Math.min(cookieExpiry, ttlExpiry) : ttlExpiry;
+
+  return {
+    username,
+    savedAt: new Date(now).toISOString(),
+    validatedAt: new Date(now).toISOString(),
+    expiresAt: new Date(expiresAt).toISOString(),
+    storageState: { cookies, origins }
+  };
+}
+
+/**
+ * Upgrades a session saved by older versions (a single cookie) to a snapshot
+ * @param {Object} session - The stored session
+ * @returns {Object} - The session in the current format
+ */
+function normalizeSession(session) {
+  if (session.storageState) {
+    return session;
+  }
+
+  const cookies = session.cookie ? [session.cookie] : [];
+  // A session cookie (expires -1) lasts as long as a newly saved session would
+  const ttlExpiry = Date.now() + SESSION_TTL_DAYS * 24 * HOUR;
+  let expires = Date.now();
+  if (session.cookie) {
+    expires = session.cookie.expires > 0 ? Math.min(session.cookie.expires * 1000, ttlExpiry) : ttlExpiry;
+  }
+  return {
+    username: session.username,
+    savedAt: null,
+    validatedAt: null,
+    expiresAt: new Date(expires).toISOString(),
+    storageState: { cookies, origins: [] }
+  };
+}
+
+/**
+ * Tells whether a session can be used as is, should be re-captured, or is gone
+ * @param {Object} session - The stored session
+ * @returns {string} - 'valid', 'stale' or 'expired'
+ */
+function getSessionStatus(session) {
+  const now = Date.now();
+  const expiresAt = new Date(session.expiresAt).getTime();
+
+  if (expiresAt <= now) {
+    return 'expired';
+  }
+  if (!session.savedAt ||
+      expiresAt - now < REFRESH_BEFORE_EXPIRY_HOURS * HOUR ||
+      now - new Date(session.savedAt).getTime() > REFRESH_AFTER_HOURS * HOUR) {
+    return 'stale';
+  }
+  return 'valid';
+}
+
+/**
+ * Finds the stored session for a hostname, falling back to parent domains
+ * @param {Object} sessions - Sessions keyed by domain
+ * @param {string} hostname - Hostname or URL of the site
+ * @returns {Object|null} - { domain, session } or null
+ */
+function findSession(sessions, hostname) {
+  let candidate = normalizeDomain(hostname);
+
+  while (candidate.includes('.')) {
+    if (sessions[candidate]) {
+      return { domain: candidate, session: normalizeSession(sessions[candidate]) };
+    }
+    candidate = candidate.slice(candidate.indexOf('.') + 1);
+  }
+  return null;
+}
+
+/**
+ * Merges every unexpired session into one storageState for a new browser context
+ * @param {Object} sessions - Sessions keyed by domain
+ * @returns {Object} - { cookies, origins }
+ */
+function buildStorageState(sessions) {
+  const storageState = { cookies: [], origins: [] };
+
+  for (const stored of Object.values(sessions)) {
+    const session = normalizeSession(stored);
+    if (getSessionStatus(session) !== 'expired') {
+      storageState.cookies.push(...session.storageState.cookies);
+      storageState.origins.push(...session.storageState.origins);
+    }
+  }
+  return storageState;
+}
+
+/**
+ * Summarises stored sessions
+ * @param {Object} sessions - Sessions keyed by domain
+ * @returns {Array} - { domain, username, savedAt, expiresAt, status, cookies, origins }
+ */
+function listSessions(sessions) {
+  return Object.entries(sessions)
+    .map(([domain, stored]) => {
+      const session = normalizeSession(stored);
+      return {
+        domain,
+        username: session.username,
+        savedAt: session.savedAt,
+        expiresAt: session.expiresAt,
+        status: getSessionStatus(session),
+        cookies: session.storageState.cookies.length,
+        origins: session.storageState.origins.length
+      };
+    })
+    .sort((a, b) => a.domain.localeCompare(b.domain));
+}
+
+/**
+ * Removes stored sessions
+ * @param {Object} sessions - Sessions keyed by domain (modified in place)
+ * @param {Object} options - { domain } to clear one site, { expiredOnly } to keep live ones
+ * @returns {Array} - Domains that were cleared
+ */
+function clearSessions(sessions, options = {}) {
+  const domain = options.domain ? normalizeDomain(options.domain) : null;
+
+  const cleared = Object.keys(sessions).filter(key =>
+    (!domain || key === domain) &&
+    (!options.expiredOnly || getSessionStatus(normalizeSession(sessions[key])) === 'expired')
+  );
+  cleared.forEach(key => delete sessions[key]);
+  return cleared;
+}
+
+module.exports = {
+  SESSION_TTL_DAYS,
+  domainMatches,
+  createSession,
+  normalizeSession,
+  getSessionStatus,
+  findSession,
+  buildStorageState,
+  listSessions,
+  clearSessions
+};
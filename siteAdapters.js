@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const FieldClassifier = require('./fieldClassifier');
+
+const PLUGINS_DIR = 'plugins';
+const BUILT_IN_ADAPTERS_DIR = path.join(__dirname, 'adapters');
+
+// Selector lists a site adapter may extend. Adapter entries are tried before these defaults.
+const SELECTOR_LISTS = [
+  'applyButtonSelectors',
+  'loginSelectors',
+  'loggedOutSelectors',
+  'loggedInSelectors',
+  'navigationSelectors',
+  'confirmationPatterns',
+  'confirmationSelectors',
+  'validationErrorSelectors'
+];
+
+// Hooks an adapter may implement. Each receives the bot first; a missing hook
+// means the bot's generic behaviour is used.
+//   login(bot, credentials)            -> true when logged in
+//   findApplyButton(bot)               -> element handle or null
+//   startApplication(bot)              -> true once the form is open (replaces findApplyButton
+//                                         for sites that need several clicks or an account first)
+//   preparePage(bot)                   -> called on every page before its fields are detected
+//   adjustFields(bot, fields)          -> fields (fix types, drop or add fields)
+//   resolveFieldValue(bot, field)      -> { value, source }, or null to use the profile default
+//   fillField(bot, field, value)       -> true when the adapter filled the field itself
+//   findNavigationButton(bot)          -> { button, kind, label, generic } or null
+//   isApplicationComplete(bot)         -> true on the confirmation page
+const HOOKS = [
+  'login',
+  'findApplyButton',
+  'startApplication',
+  'preparePage',
+  'adjustFields',
+  'resolveFieldValue',
+  'fillField',
+  'findNavigationButton',
+  'isApplicationComplete'
+];
+
+// Behaviour for sites without an adapter
+const GENERIC_ADAPTER = {
+  name: 'generic',
+  hostnames: [],
+  loginDomain: null,
+  applyButtonSelectors: [
+    'button:has-text("Apply")',
+    'a:has-text("Apply")',
+    'button:has-text("Apply Now")',
+    'a:has-text("Apply Now")',
+    '[role="button"]:has-text("Apply")',
+    '[role="button"]:has-text("Apply Now")',
+    'button:has-text("Easy Apply")',
+    'a:has-text("Easy Apply")',
+    'button:has-text("Quick Apply")',
+    'a:has-text("Quick Apply")'
+  ],
+  loginSelectors: [
+    'button:has-text("Sign In")',
+    'a:has-text("Sign In")',
+    'button:has-text("Log In")',
+    'a:has-text("Log In")',
+    'form[action*="login"]',
+    'form[action*="signin"]',
+    'input[name="username"]',
+    'form:has(input[name="password"]) input[name="email"]:visible',
+    'input[name="password"]:visible'
+  ],
+  loggedOutSelectors: [
+    'button:has-text("Sign In")',
+    'a:has-text("Sign In")',
+    'button:has-text("Log In")',
+    'a:has-text("Log In")'
+  ],
+  loggedInSelectors: [
+    '[aria-label="Profile"]',
+    '[aria-label="Account"]',
+    '.user-profile',
+    '.user-avatar',
+    '.profile-menu'
+  ],
+  // Ordered from most to least specific; the first visible match wins
+  navigationSelectors: [
+    { kind: 'submit', selector: 'button:has-text("Submit Application")' },
+    { kind: 'submit', selector: 'button:has-text("Submit")' },
+    { kind: 'submit', selector: 'input[type="submit"][value*="Submit" i]' },
+    { kind: 'submit', selector: 'button:has-text("Send Application")' },
+    { kind: 'review', selector: 'button:has-text("Review")' },
+    { kind: 'next', selector: 'button:has-text("Next")' },
+    { kind: 'next', selector: 'button:has-text("Continue")' },
+    { kind: 'next', selector: 'a:has-text("Next")' },
+    { kind: 'next', selector: 'a:has-text("Continue")' },
+    { kind: 'next', selector: 'input[type="submit"][value*="Next" i]' },
+    { kind: 'next', selector: 'input[type="submit"][value*="Continue" i]' },
+    { kind: 'next', selector: 'button[type="submit"]', generic: true },
+    { kind: 'next', selector: 'input[type="submit"]', generic: true }
+  ],
+  confirmationUrlPattern: /\/(?:confirmation|thank-?you|application-submitted|success)\b/i,
+  confirmationPatterns: [
+    /application (?:has been |was )?(?:submitted|received|sent)/i,
+    /thank(?:s| you) for (?:applying|your application)/i,
+    /we(?:'ve| have) received your application/i,
+    /application complete/i,
+    /successfully applied/i
+  ],
+  confirmationSelectors: [],
+  validationErrorSelectors: [
+    '[aria-invalid="true"]',
+    '[role="alert"]:visible',
+    '.error:visible',
+    '.field-error:visible',
+    '.invalid-feedback:visible'
+  ]
+};
+
+// Option wording for answers such as "Prefer not to say"
+const DECLINE_PATTERN = /prefer not|decline|do not wish|don.?t wish|rather not|not to (?:say|answer|disclose)/;
+
+// Registered adapters, most recently registered first so plugins can replace built-ins
+const adapters = [];
+let pluginsLoaded = false;
+
+/**
+ * Checks a hostname against an adapter's hostname pattern
+ * @param {string|RegExp} pattern - Exact hostname, "*.example.com" wildcard, or RegExp
+ * @param {string} hostname - The hostname to test
+ * @returns {boolean}
+ */
+function matchesHostname(pattern, hostname) {
+  if (pattern instanceof RegExp) {
+    return pattern.test(hostname);
+  }
+  const host = hostname.toLowerCase().replace(/^www\./, '');
+  const expected = String(pattern).toLowerCase();
+  if (expected.startsWith('*.')) {
+    const base = expected.slice(2);
+    return host === base || host.endsWith(`.${base}`);
+  }
+  return host === expected.replace(/^www\./, '');
+}
+
+/**
+ * Adds a site adapter to the registry
+ * @param {Object} adapter - The adapter (see HOOKS and SELECTOR_LISTS)
+ * @param {string} source - Where it was loaded from, for listings
+ */
+function registerAdapter(adapter, source = 'built-in') {
+  if (!adapter || !adapter.name || !Array.isArray(adapter.hostnames) || adapter.hostnames.length === 0) {
+    throw new Error('A site adapter needs a name and at least one hostname pattern');
+  }
+
+  const existing = adapters.findIndex(entry => entry.adapter.name === adapter.name);
+  if (existing !== -1) {
+    adapters.splice(existing, 1);
+  }
+  adapters.unshift({ adapter, source });
+}
+
+/**
+ * Requires every .js file in a directory and registers the adapters it exports
+ * (a single adapter or an array of them)
+ * @param {string} dir - The directory
+ * @param {string} source - Label for listings
+ */
+function loadAdaptersFrom(dir, source) {
+  if (!fs.existsSync(dir)) {
+    return;
+  }
+
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.js')).sort()) {
+    const filePath = path.resolve(dir, file);
+    try {
+      const exported = require(filePath);
+      for (const adapter of Array.isArray(exported) ? exported : [exported]) {
+        registerAdapter(adapter, source === 'plugin' ? path.join(dir, file) : source);
+      }
+    } catch (error) {
+      console.error(`Error loading site adapter ${filePath}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Registers the built-in adapters and then the plugins, once per process
+ * @param {string} pluginsDir - Directory of plugin adapters
+ */
+function loadAdapters(pluginsDir = PLUGINS_DIR) {
+  if (pluginsLoaded) {
+    return;
+  }
+  pluginsLoaded = true;
+
+  loadAdaptersFrom(BUILT_IN_ADAPTERS_DIR, 'built-in');
+  loadAdaptersFrom(pluginsDir, 'plugin');
+}
+
+/**
+ * Combines an adapter with the generic behaviour: its selector lists are
+ * tried first, and its hooks and settings replace the defaults
+ * @param {Object} adapter - The site adapter
+ * @returns {Object} - The complete adapter the bot works with
+ */
+function withDefaults(adapter) {
+  const combined = { ...GENERIC_ADAPTER, ...adapter };
+  for (const list of SELECTOR_LISTS) {
+    combined[list] = [...(adapter[list] || []), ...GENERIC_ADAPTER[list]];
+  }
+  return combined;
+}
+
+/**
+ * Finds the adapter for a URL
+ * @param {string} url - The page URL
+ * @returns {Object} - The matching adapter combined with the defaults, or the generic adapter
+ */
+function getAdapterForUrl(url) {
+  loadAdapters();
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (error) {
+    return GENERIC_ADAPTER;
+  }
+
+  const match = adapters.find(({ adapter }) =>
+    adapter.hostnames.some(pattern => matchesHostname(pattern, hostname))
+  );
+  return match ? withDefaults(match.adapter) : GENERIC_ADAPTER;
+}
+
+/**
+ * Lists the registered adapters
+ * @returns {Array} - { name, hostnames, source, hooks }
+ */
+function listAdapters() {
+  loadAdapters();
+
+  return adapters.map(({ adapter, source }) => ({
+    name: adapter.name,
+    hostnames: adapter.hostnames.map(String),
+    source,
+    hooks: HOOKS.filter(hook => typeof adapter[hook] === 'function')
+  }));
+}
+
+/**
+ * Picks the dropdown or radio option that best matches a value. Adapters use it
+ * for questions whose options are worded differently from the profile.
+ * @param {Array} options - Option texts
+ * @param {string} value - The wanted value
+ * @param {Object} synonyms - Normalised value -> other option texts to try, best first
+ * @returns {number} - Index of the option, or -1
+ */
+function pickOption(options, value, synonyms = {}) {
+  const normalized = options.map(option => FieldClassifier.normalizeText(option));
+  const wanted = FieldClassifier.normalizeText(value);
+  const candidates = [wanted, ...(synonyms[wanted] || [])];
+
+  for (const candidate of candidates) {
+    let index = normalized.indexOf(candidate);
+    if (index === -1) {
+      index = normalized.findIndex(option => option.startsWith(candidate) || option.includes(` ${candidate}`));
+    }
+    if (index === -1 && candidate.length > 3) {
+      index = normalized.findIndex(option => option.length > 3 && candidate.includes(option));
+    }
+    if (index !== -1) {
+      return index;
+    }
+  }
+
+  if (DECLINE_PATTERN.test(wanted)) {
+    return normalized.findIndex(option => DECLINE_PATTERN.test(option));
+  }
+  return -1;
+}
+
+// CLI command wrapper
+function listAdaptersCommand() {
+  console.log('\nSite Adapters:');
+  console.log('--------------');
+  for (const adapter of listAdapters()) {
+    console.log(`${adapter.name.padEnd(12)}  ${adapter.hostnames.join(', ')}  [${adapter.source}]`);
+    if (adapter.hooks.length > 0) {
+      console.log(`${''.padEnd(12)}  hooks: ${adapter.hooks.join(', ')}`);
+    }
+  }
+  console.log(`\nOther sites use the generic adapter. Add your own in ${PLUGINS_DIR}/.`);
+}
+
+module.exports = {
+  PLUGINS_DIR,
+  GENERIC_ADAPTER,
+  matchesHostname,
+  registerAdapter,
+  loadAdapters,
+  getAdapterForUrl,
+  listAdapters,
+  listAdaptersCommand,
+  pickOption
+};
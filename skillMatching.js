@@ -0,0 +1,22 @@
+// Finds the profile skills a job description names, for the match scorer and
+// the cover letter generator
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Finds the profile skills a job description asks for
+ * @param {Array} skills - userData.skills
+ * @param {string} description - The job description
+ * @returns {Array} - Matching skills, in profile order
+ */
+function findMatchedSkills(skills, description) {
+  const text = (description || '').toLowerCase();
+  // Word boundaries that also work for skills such as "C++" and "Node.js"
+  return (skills || []).filter(skill =>
+    skill && new RegExp(`(?:^|[^a-z0-9])${escapeRegExp(skill.toLowerCase())}(?![a-z0-9])`).test(text)
+  );
+}
+
+module.exports = {
+  findMatchedSkills
+};
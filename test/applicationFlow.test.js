@@ -0,0 +1,162 @@
+// The generic application flow against the local fixture forms in test/fixtures/forms
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { SKIP_MESSAGE, launchTestBrowser, useTemporaryDirectory, createUserData, createTestBot, fixtureUrl } = require('./helpers');
+
+describe('application flow', () => {
+  let browser;
+  let restoreDirectory;
+
+  before(async () => {
+    restoreDirectory = useTemporaryDirectory();
+    browser = await launchTestBrowser();
+  });
+
+  after(async () => {
+    if (browser) {
+      await browser.close();
+    }
+    restoreDirectory();
+  });
+
+  // Runs one application on a fresh bot and closes it again
+  const apply = async (fixture, options = {}, userData = createUserData()) => {
+    const bot = await createTestBot(browser, options, userData);
+    try {
+      const result = await bot.applyToJob(fixtureUrl(fixture));
+      return { bot, result, url: bot.page.url() };
+    } finally {
+      await bot.close();
+    }
+  };
+
+  it('fills every page of a multi-page form and detects the confirmation', async (t) => {
+    if (!browser) {
+      return t.skip(SKIP_MESSAGE);
+    }
+    const { bot, result, url } = await apply('forms/multi-page-1.html');
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.message, 'Application submitted successfully');
+    assert.strictEqual(result.pagesCompleted, 2);
+    assert.match(url, /confirmation\.html/);
+    // Page 1 sent its answers on to page 2
+    assert.deepStrictEqual(
+      bot.fieldReport.filter(entry => entry.filled).map(entry => [entry.page, entry.fieldType, entry.value]),
+      [
+        [1, 'firstName', 'Sam'],
+        [1, 'lastName', 'Lee'],
+        [1, 'email', 'sam.lee@example.com'],
+        [2, 'phone', '+44 7700 900123']
+      ]
+    );
+  });
+
+  it('stops a dry run before the final submit and writes a report', async (t) => {
+    if (!browser) {
+      return t.skip(SKIP_MESSAGE);
+    }
+    const { result, url } = await apply('forms/multi-page-1.html', { dryRun: true });
+
+    assert.strictEqual(result.success, true);
+    assert.match(result.message, /^Dry run stopped before final submission/);
+    assert.match(url, /multi-page-2\.html/);
+    const report = JSON.parse(fs.readFileSync(result.reportPath, 'utf8'));
+    assert.strictEqual(report.fields.length, 5);
+    assert.strictEqual(report.screenshots.length, 2);
+  });
+
+  it('fills a field again after the site rejects the first submit', async (t) => {
+    if (!browser) {
+      return t.skip(SKIP_MESSAGE);
+    }
+    const { bot, result, url } = await apply('forms/validation-retry.html');
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.pagesCompleted, 2);
+    assert.match(url, /confirmation\.html/);
+    assert.strictEqual(bot.fieldReport.filter(entry => entry.fieldType === 'phone' && entry.filled).length, 2);
+  });
+
+  it('fails when native validation blocks the submit', async (t) => {
+    if (!browser) {
+      return t.skip(SKIP_MESSAGE);
+    }
+    const { result, url } = await apply('forms/native-validation.html');
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.message, /^Validation errors prevented leaving page/);
+    assert.match(url, /native-validation\.html/);
+    assert.deepStrictEqual(result.unansweredQuestions, ['Referral code']);
+  });
+
+  it('reports a submit that left the form without a confirmation', async (t) => {
+    if (!browser) {
+      return t.skip(SKIP_MESSAGE);
+    }
+    const { result, url } = await apply('forms/no-confirmation.html');
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.message, 'Application submitted, but no confirmation message was detected');
+    assert.match(url, /next-steps\.html/);
+  });
+
+  it('answers radio button questions by picking an option', async (t) => {
+    if (!browser) {
+      return t.skip(SKIP_MESSAGE);
+    }
+    const bot = await createTestBot(browser);
+    try {
+      const result = await bot.applyToJob(fixtureUrl('forms/radio-questions.html'), { answers: { 'visa sponsorship': 'No' } });
+
+      assert.strictEqual(result.success, true);
+      const sent = new URL(bot.page.url()).searchParams;
+      assert.strictEqual(sent.get('gender'), 'n');
+      assert.strictEqual(sent.get('sponsorship'), '0');
+      assert.deepStrictEqual(
+        bot.fieldReport.filter(entry => entry.selector.includes('[type="radio"]')).map(({ label, fieldType, value, source }) => [label, fieldType, value, source]),
+        [
+          ['Gender', 'eeo.gender', 'Prefer not to say', 'eeo.gender'],
+          ['Will you now or in the future require visa sponsorship?', 'workAuthorization', 'No', 'job.answers']
+        ]
+      );
+    } finally {
+      await bot.close();
+    }
+  });
+
+  it('marks an upload the page does not show as unverified', async (t) => {
+    if (!browser) {
+      return t.skip(SKIP_MESSAGE);
+    }
+    fs.writeFileSync('resume.pdf', '%PDF-1.4 test resume');
+    const { bot, result } = await apply('forms/upload.html', {}, { ...createUserData(), documents: { resume: 'resume.pdf' } });
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.documents, [{ kind: 'resume', path: path.resolve('resume.pdf'), verified: false }]);
+    assert.strictEqual(bot.fieldReport.find(entry => entry.fieldType === 'resume').upload, 'unverified');
+  });
+
+  it('names the file a dry run would upload without uploading it', async (t) => {
+    if (!browser) {
+      return t.skip(SKIP_MESSAGE);
+    }
+    fs.writeFileSync('resume.pdf', '%PDF-1.4 test resume');
+    const bot = await createTestBot(browser, { dryRun: true }, { ...createUserData(), documents: { resume: 'resume.pdf' } });
+    try {
+      const result = await bot.applyToJob(fixtureUrl('forms/upload.html'));
+
+      assert.deepStrictEqual(result.documents, []);
+      assert.strictEqual(await bot.page.$eval('#resume', input => input.files.length), 0);
+      const report = JSON.parse(fs.readFileSync(result.reportPath, 'utf8'));
+      const resume = report.fields.find(entry => entry.fieldType === 'resume');
+      assert.strictEqual(resume.value, 'resume.pdf');
+      assert.strictEqual(resume.upload, 'skipped (dry run)');
+      assert.strictEqual(resume.filled, false);
+    } finally {
+      await bot.close();
+    }
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { normalizeJobUrl, findPreviousApplication } = require('../applicationTracker');
+
+describe('normalizeJobUrl', () => {
+  it('treats links to the same posting as equal', () => {
+    assert.strictEqual(
+      normalizeJobUrl('https://www.linkedin.com/jobs/search/?currentJobId=3812345678&trk=public_jobs'),
+      'https://linkedin.com/jobs/view/3812345678'
+    );
+    assert.strictEqual(normalizeJobUrl('https://uk.indeed.com/rc/clk?jk=abc123&from=serp'), 'https://indeed.com/viewjob?jk=abc123');
+    assert.strictEqual(
+      normalizeJobUrl('https://jobs.lever.co/acme/1234/apply?utm_source=linkedin'),
+      normalizeJobUrl('https://jobs.lever.co/acme/1234')
+    );
+  });
+
+  it('drops page anchors', () => {
+    assert.strictEqual(normalizeJobUrl('https://acme.com/jobs/5#description'), 'https://acme.com/jobs/5');
+  });
+
+  it('keeps hash routes, which name the posting on single-page boards', () => {
+    assert.strictEqual(normalizeJobUrl('https://careers.acme.com/#/job/123'), 'https://careers.acme.com/#/job/123');
+    assert.strictEqual(normalizeJobUrl('https://careers.acme.com/#!/job/9/apply'), 'https://careers.acme.com/#!/job/9');
+    assert.notStrictEqual(normalizeJobUrl('https://careers.acme.com/#/job/123'), normalizeJobUrl('https://careers.acme.com/#/job/124'));
+  });
+});
+
+describe('findPreviousApplication', () => {
+  it('does not take a different hash-routed posting for a duplicate', () => {
+    const applications = [{ id: 1, url: 'https://careers.acme.com/#/job/123' }];
+    assert.strictEqual(findPreviousApplication('https://careers.acme.com/#/job/124', applications), null);
+    assert.strictEqual(findPreviousApplication('https://careers.acme.com/#/job/123/', applications).id, 1);
+  });
+});
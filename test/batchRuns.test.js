@@ -0,0 +1,35 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createBatchRun, loadBatchRun, getPendingEntries } = require('../batchRuns');
+const { useTemporaryDirectory } = require('./helpers');
+
+describe('createBatchRun', () => {
+  let restoreDirectory;
+
+  before(() => {
+    restoreDirectory = useTemporaryDirectory();
+  });
+
+  after(() => {
+    restoreDirectory();
+  });
+
+  it('gives runs started in the same second their own checkpoints', () => {
+    const first = createBatchRun('a.txt', [{ url: 'https://jobs.lever.co/acme/1' }]);
+    const second = createBatchRun('b.txt', [{ url: 'https://jobs.lever.co/acme/2' }]);
+
+    assert.notStrictEqual(first.id, second.id);
+    assert.strictEqual(loadBatchRun(first.id).source, 'a.txt');
+    assert.strictEqual(loadBatchRun(second.id).source, 'b.txt');
+  });
+
+  it('skips entries that repeat an earlier URL', () => {
+    const run = createBatchRun('jobs.txt', [
+      { url: 'https://jobs.lever.co/acme/1' },
+      { url: 'https://jobs.lever.co/acme/1/apply?utm_source=x' }
+    ]);
+
+    assert.deepStrictEqual(run.entries.map(entry => entry.status), ['pending', 'skipped']);
+    assert.strictEqual(getPendingEntries(run, 3).length, 1);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { runWorkerPool, getRateLimitDomain } = require('../batchScheduler');
+
+describe('runWorkerPool', () => {
+  it('runs every item with at most the given number at once', async () => {
+    let running = 0;
+    let mostRunning = 0;
+    const done = [];
+
+    await runWorkerPool([1, 2, 3, 4, 5], 2, async (item) => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      done.push(item);
+      running--;
+    });
+
+    assert.deepStrictEqual(done.sort(), [1, 2, 3, 4, 5]);
+    assert.strictEqual(mostRunning, 2);
+  });
+
+  it('hands an item that throws to onError and carries on with the rest', async () => {
+    const done = [];
+    const failed = [];
+
+    await runWorkerPool([1, 2, 3, 4], 2, async (item) => {
+      if (item === 2) {
+        throw new Error('no browser context');
+      }
+      await new Promise(resolve => setTimeout(resolve, 5));
+      done.push(item);
+    }, () => false, (error, item, workerId) => failed.push({ message: error.message, item, workerId }));
+
+    assert.deepStrictEqual(done.sort(), [1, 3, 4]);
+    assert.deepStrictEqual(failed, [{ message: 'no browser context', item: 2, workerId: 2 }]);
+  });
+
+  it('still runs the items when the worker count is not a number', async () => {
+    const done = [];
+    await runWorkerPool([1, 2], NaN, async (item) => done.push(item));
+    assert.deepStrictEqual(done, [1, 2]);
+  });
+
+  it('stops taking items once shouldStop returns true', async () => {
+    const done = [];
+    await runWorkerPool([1, 2, 3], 1, async (item) => done.push(item), () => done.length >= 2);
+    assert.deepStrictEqual(done, [1, 2]);
+  });
+});
+
+describe('getRateLimitDomain', () => {
+  it('limits by hostname', () => {
+    assert.strictEqual(getRateLimitDomain('https://www.Example.com/jobs/1'), 'example.com');
+    assert.strictEqual(getRateLimitDomain('not a url'), 'not a url');
+  });
+});
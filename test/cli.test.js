@@ -0,0 +1,97 @@
+// The CLI, run as a child process in a temporary directory
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { useTemporaryDirectory } = require('./helpers');
+
+const runCli = (...args) => spawnSync(process.execPath, [path.join(__dirname, '..', 'index.js'), ...args], { encoding: 'utf8', timeout: 60000 });
+
+describe('loading an older profile', () => {
+  let restoreDirectory;
+
+  beforeEach(() => {
+    restoreDirectory = useTemporaryDirectory();
+    fs.mkdirSync('data');
+  });
+
+  afterEach(() => {
+    restoreDirectory();
+  });
+
+  it('saves the upgraded profile when it is valid', () => {
+    fs.writeFileSync('data/user_data.json', JSON.stringify({ personalInfo: { fullName: 'Sam Lee' }, skills: 'JavaScript, Python' }));
+    const { status } = runCli('export-profile', 'export.json');
+
+    assert.strictEqual(status, 0);
+    const saved = JSON.parse(fs.readFileSync('data/user_data.json', 'utf8'));
+    assert.strictEqual(saved.schemaVersion, 1);
+    assert.deepStrictEqual(saved.skills, ['JavaScript', 'Python']);
+  });
+
+  it('leaves an invalid profile as it is, with a warning instead of a failed save', () => {
+    const legacy = JSON.stringify({ personalInfo: { fullName: 'Sam Lee', email: 'not an email' }, skills: 'JavaScript' });
+    fs.writeFileSync('data/user_data.json', legacy);
+    const { status, stdout, stderr } = runCli('export-profile', 'export.json');
+
+    assert.strictEqual(status, 0);
+    assert.strictEqual(fs.readFileSync('data/user_data.json', 'utf8'), legacy);
+    assert.doesNotMatch(stdout + stderr, /Your changes were not saved/);
+    assert.match(stderr, /upgrade from schema version 0 was not saved/);
+    assert.ok(fs.existsSync('export.json'));
+  });
+});
+
+describe('batch-apply options', () => {
+  it('rejects a retry count that is not a whole number', () => {
+    for (const retries of ['abc', '-1']) {
+      const { status, stderr } = runCli('batch-apply', 'jobs.txt', '--retries', retries);
+      assert.strictEqual(status, 1);
+      assert.match(stderr, /--retries must be a whole number/);
+    }
+  });
+
+  it('rejects a worker count or site delay that is not a number', () => {
+    for (const [option, value, message] of [
+      ['--concurrency', 'abc', /--concurrency must be a whole number/],
+      ['--concurrency', '0', /--concurrency must be a whole number/],
+      ['--domain-delay', 'x', /--domain-delay must be a number/],
+      ['--domain-delay', '-5', /--domain-delay must be a number/]
+    ]) {
+      const { status, stderr } = runCli('batch-apply', 'jobs.txt', option, value);
+      assert.strictEqual(status, 1);
+      assert.match(stderr, message);
+    }
+  });
+});
+
+describe('--profile', () => {
+  let restoreDirectory;
+
+  beforeEach(() => {
+    restoreDirectory = useTemporaryDirectory();
+    fs.mkdirSync('data/profiles/data-eng', { recursive: true });
+    fs.writeFileSync('data/user_data.json', JSON.stringify({ schemaVersion: 1, personalInfo: { fullName: 'Default Profile' }, education: [], experience: [], skills: [] }));
+    fs.writeFileSync('data/profiles/data-eng/user_data.json', JSON.stringify({ schemaVersion: 1, personalInfo: { fullName: 'Data Profile' }, education: [], experience: [], skills: [] }));
+  });
+
+  afterEach(() => {
+    restoreDirectory();
+  });
+
+  it('reads the chosen profile, and the default one from data/ without it', () => {
+    assert.strictEqual(runCli('--profile', 'data-eng', 'export-profile', 'data-eng.json').status, 0);
+    assert.strictEqual(runCli('export-profile', 'default.json').status, 0);
+
+    assert.strictEqual(JSON.parse(fs.readFileSync('data-eng.json', 'utf8')).profile.personalInfo.fullName, 'Data Profile');
+    assert.strictEqual(JSON.parse(fs.readFileSync('default.json', 'utf8')).profile.personalInfo.fullName, 'Default Profile');
+  });
+
+  it('stops on a profile that does not exist', () => {
+    const { status, stderr } = runCli('--profile', 'missing', 'export-profile', 'out.json');
+    assert.strictEqual(status, 1);
+    assert.match(stderr, /Profile "missing" does not exist/);
+    assert.ok(!fs.existsSync('out.json'));
+  });
+});
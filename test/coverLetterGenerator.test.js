@@ -0,0 +1,33 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { generateCoverLetter } = require('../coverLetterGenerator');
+const { useTemporaryDirectory, createUserData } = require('./helpers');
+
+describe('generateCoverLetter', () => {
+  let restoreDirectory;
+
+  before(() => {
+    restoreDirectory = useTemporaryDirectory();
+  });
+
+  after(() => {
+    restoreDirectory();
+  });
+
+  it('does not overwrite a letter for the same company and role written the same day', async () => {
+    const job = { company: 'Acme', role: 'Software Engineer', description: 'We need JavaScript.' };
+    const first = await generateCoverLetter(createUserData(), job, { format: 'txt' });
+    const second = await generateCoverLetter(createUserData(), job, { format: 'txt' });
+
+    assert.notStrictEqual(first.path, second.path);
+    assert.match(second.path, /acme-software-engineer-\d{4}-\d{2}-\d{2}-2\.txt$/);
+    assert.strictEqual(fs.readFileSync(first.path, 'utf8'), fs.readFileSync(second.path, 'utf8'));
+    assert.match(fs.readFileSync(first.path, 'utf8'), /Software Engineer position at Acme/);
+  });
+  it('leaves no empty file behind for a format it cannot write', async () => {
+    const job = { company: 'Globex', role: 'Engineer' };
+    await assert.rejects(generateCoverLetter(createUserData(), job, { format: 'doc' }), /Unsupported cover letter format "doc"/);
+    assert.deepStrictEqual(fs.readdirSync('data/cover-letters').filter(name => name.startsWith('globex')), []);
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const CredentialVault = require('../credentialVault');
+const { useTemporaryDirectory } = require('./helpers');
+
+const PASSPHRASE = 'correct horse battery';
+
+describe('credential vault', () => {
+  let restoreDirectory;
+
+  beforeEach(() => {
+    restoreDirectory = useTemporaryDirectory();
+  });
+
+  afterEach(() => {
+    restoreDirectory();
+  });
+
+  it('decrypts what it encrypted, and keeps no password in the file', () => {
+    const vault = CredentialVault.createVault({ passphrase: PASSPHRASE });
+    CredentialVault.setCredential(vault, 'https://www.LinkedIn.com/login', { username: 'sam@example.com', password: 's3cret-pass' });
+    CredentialVault.saveVault(vault);
+
+    assert.doesNotMatch(fs.readFileSync(CredentialVault.VAULT_PATH, 'utf8'), /s3cret-pass|sam@example\.com/);
+    const unlocked = CredentialVault.unlockVault({ passphrase: PASSPHRASE });
+    assert.deepStrictEqual(CredentialVault.findCredential(unlocked, 'uk.linkedin.com'), {
+      domain: 'linkedin.com',
+      username: 'sam@example.com',
+      password: 's3cret-pass'
+    });
+  });
+
+  it('opens a vault protected by a key file', () => {
+    CredentialVault.createKeyFile('keys/jobs.key');
+    const vault = CredentialVault.createVault({ keyFile: 'keys/jobs.key' });
+    CredentialVault.setCredential(vault, 'indeed.com', { username: 'sam', password: 'pw' });
+    CredentialVault.saveVault(vault);
+
+    assert.strictEqual(CredentialVault.getVaultInfo().mode, 'keyFile');
+    assert.strictEqual(CredentialVault.findCredential(CredentialVault.unlockVault({ keyFile: 'keys/jobs.key' }), 'indeed.com').password, 'pw');
+  });
+
+  it('rejects a wrong passphrase', () => {
+    CredentialVault.createVault({ passphrase: PASSPHRASE });
+    assert.throws(() => CredentialVault.unlockVault({ passphrase: 'wrong passphrase' }), /Wrong passphrase/);
+  });
+
+  it('rejects a passphrase that is too short', () => {
+    assert.throws(() => CredentialVault.createVault({ passphrase: 'short' }), /at least 8 characters/);
+  });
+
+  it('fails the authentication check when the encrypted data was changed', () => {
+    const vault = CredentialVault.createVault({ passphrase: PASSPHRASE });
+    CredentialVault.setCredential(vault, 'glassdoor.com', { username: 'sam', password: 'pw' });
+    CredentialVault.saveVault(vault);
+
+    const file = JSON.parse(fs.readFileSync(CredentialVault.VAULT_PATH, 'utf8'));
+    const data = Buffer.from(file.data, 'base64');
+    data[0] ^= 1;
+    file.data = data.toString('base64');
+    fs.writeFileSync(CredentialVault.VAULT_PATH, JSON.stringify(file));
+
+    assert.throws(() => CredentialVault.unlockVault({ passphrase: PASSPHRASE }), /Wrong passphrase/);
+  });
+
+  it('re-encrypts the vault under a new passphrase', () => {
+    const vault = CredentialVault.createVault({ passphrase: PASSPHRASE });
+    CredentialVault.setCredential(vault, 'indeed.com', { username: 'sam', password: 'pw' });
+    CredentialVault.setVaultSecret(vault, { passphrase: 'another passphrase' });
+    CredentialVault.saveVault(vault);
+
+    assert.throws(() => CredentialVault.unlockVault({ passphrase: PASSPHRASE }), /Wrong passphrase/);
+    assert.strictEqual(CredentialVault.listCredentials(CredentialVault.unlockVault({ passphrase: 'another passphrase' }))[0].username, 'sam');
+  });
+
+  it('keeps the creation date when a password is rotated', () => {
+    const vault = CredentialVault.createVault({ passphrase: PASSPHRASE });
+    const first = CredentialVault.setCredential(vault, 'indeed.com', { username: 'sam', password: 'old' });
+    const createdAt = first.createdAt;
+    const rotated = CredentialVault.setCredential(vault, 'indeed.com', { username: 'sam', password: 'new' });
+
+    assert.strictEqual(rotated.createdAt, createdAt);
+    assert.strictEqual(CredentialVault.findCredential(vault, 'indeed.com').password, 'new');
+  });
+
+  it('moves plaintext credentials and sessions into the vault', () => {
+    const vault = CredentialVault.createVault({ passphrase: PASSPHRASE });
+    fs.writeFileSync('data/sessions.json', JSON.stringify([{ domain: 'www.linkedin.com', username: 'sam', cookie: 'li_at=1' }]));
+    const userData = {
+      personalInfo: { fullName: 'Sam Lee' },
+      linkedinCredentials: { username: 'sam@example.com', password: 'pw' },
+      indeedCredentials: { username: 'sam@example.com', password: 'placeholder' },
+      genericCredentials: { 'acme.myworkdayjobs.com': { username: 'sam', password: 'wd' } }
+    };
+
+    assert.ok(CredentialVault.hasPlaintextCredentials(userData));
+    const moved = CredentialVault.migratePlaintextSecrets(vault, userData);
+
+    assert.deepStrictEqual(moved, { credentials: 2, sessions: 1 });
+    assert.deepStrictEqual(userData, { personalInfo: { fullName: 'Sam Lee' } });
+    assert.ok(!CredentialVault.hasPlaintextCredentials(userData));
+    assert.strictEqual(CredentialVault.findCredential(vault, 'linkedin.com').password, 'pw');
+    assert.strictEqual(CredentialVault.findCredential(vault, 'indeed.com'), null);
+    assert.strictEqual(CredentialVault.findCredential(vault, 'acme.myworkdayjobs.com').password, 'wd');
+    assert.deepStrictEqual(vault.contents.sessions['linkedin.com'], { username: 'sam', cookie: 'li_at=1' });
+    assert.ok(!fs.existsSync('data/sessions.json'));
+  });
+
+  it('removes a site together with its saved session', () => {
+    const vault = CredentialVault.createVault({ passphrase: PASSPHRASE });
+    CredentialVault.setCredential(vault, 'linkedin.com', { username: 'sam', password: 'pw' });
+    vault.contents.sessions['linkedin.com'] = { cookies: [] };
+
+    assert.strictEqual(CredentialVault.listCredentials(vault)[0].hasSession, true);
+    assert.ok(CredentialVault.removeCredential(vault, 'www.linkedin.com'));
+    assert.deepStrictEqual(vault.contents, { credentials: {}, sessions: {} });
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { importCVJson, convertToUserData } = require('../cvUtils');
+const { useTemporaryDirectory } = require('./helpers');
+
+describe('importCVJson', () => {
+  let restoreDirectory;
+
+  before(() => {
+    restoreDirectory = useTemporaryDirectory();
+  });
+
+  after(() => {
+    restoreDirectory();
+  });
+
+  it('splits skills given as comma-separated text instead of rejecting them', async () => {
+    fs.writeFileSync('cv.json', JSON.stringify({
+      first_name: 'Sam',
+      last_name: 'Lee',
+      email: 'sam.lee@example.com',
+      skills: 'JavaScript, Python'
+    }));
+    const { userData } = await importCVJson('cv.json');
+
+    assert.deepStrictEqual(userData.skills, ['JavaScript', 'Python']);
+    assert.strictEqual(userData.schemaVersion, 1);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync('data/user_data.json', 'utf8')).skills, ['JavaScript', 'Python']);
+  });
+});
+
+describe('convertToUserData', () => {
+  const userData = convertToUserData({
+    salutation: 'Ms',
+    first_name: 'Mary Ann',
+    last_name: 'Lee',
+    email: 'mary@example.com',
+    secondary_email: ' mary.lee@uni.ac.uk ',
+    address1: '1 High Street',
+    address2: '',
+    city: 'Leeds',
+    county: 'West Yorkshire',
+    postcode: 'LS1 1AA',
+    residence: 'United Kingdom',
+    citizenship: 'British',
+    citizenship2: 'Irish',
+    location1: 'London',
+    LP1: 'First choice',
+    loc1auth: 'Yes',
+    'loc1auth-a': 'British citizen',
+    location2: '',
+    location3: 'Dublin',
+    LP3: 'Third choice',
+    loc3auth: 'Yes',
+    highest_education: "Bachelor's degree",
+    'uni?': 'Yes',
+    university: 'University of Leeds',
+    degree: 'BSc',
+    discipline: 'Computer Science',
+    degree_class: 'First',
+    school_name: 'Leeds Grammar School',
+    school_type: 'State school',
+    employer_name: 'Acme Ltd',
+    role_title: 'Intern',
+    employer_name2: 'Globex',
+    role_title2: 'Software Engineer',
+    recent_employer: 'globex',
+    gender: 'Female',
+    free_school_meals: 'No',
+    first_generation: 'Yes'
+  });
+
+  it('keeps the salutation, name parts and secondary email', () => {
+    assert.strictEqual(userData.personalInfo.salutation, 'Ms');
+    assert.strictEqual(userData.personalInfo.firstName, 'Mary Ann');
+    assert.strictEqual(userData.personalInfo.fullName, 'Mary Ann Lee');
+    assert.strictEqual(userData.personalInfo.secondaryEmail, 'mary.lee@uni.ac.uk');
+  });
+
+  it('keeps the address parts and citizenships', () => {
+    assert.deepStrictEqual(userData.address, {
+      line1: '1 High Street',
+      line2: null,
+      city: 'Leeds',
+      county: 'West Yorkshire',
+      postcode: 'LS1 1AA',
+      country: 'United Kingdom'
+    });
+    assert.deepStrictEqual(userData.citizenships, ['British', 'Irish']);
+  });
+
+  it('lists the preferred locations given, with their right to work', () => {
+    assert.deepStrictEqual(userData.locationPreferences, [
+      { location: 'London', preference: 'First choice', workAuthorization: 'Yes', workAuthorizationDetails: 'British citizen' },
+      { location: 'Dublin', preference: 'Third choice', workAuthorization: 'Yes', workAuthorizationDetails: null }
+    ]);
+  });
+
+  it('keeps the education summary, degree class and school type', () => {
+    assert.deepStrictEqual(userData.educationSummary, { highestLevel: "Bachelor's degree", attendedUniversity: 'Yes' });
+    assert.strictEqual(userData.education[0].degree, 'BSc in Computer Science');
+    assert.strictEqual(userData.education[0].degreeClass, 'First');
+    assert.strictEqual(userData.education[1].schoolType, 'State school');
+  });
+
+  it('puts the current employer first', () => {
+    assert.deepStrictEqual(userData.experience.map(job => job.company), ['Globex', 'Acme Ltd']);
+  });
+
+  it('keeps the diversity answers, leaving unanswered ones empty', () => {
+    assert.strictEqual(userData.eeo.gender, 'Female');
+    assert.strictEqual(userData.eeo.freeSchoolMeals, 'No');
+    assert.strictEqual(userData.eeo.firstGeneration, 'Yes');
+    assert.strictEqual(userData.eeo.ethnicity, null);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const FieldClassifier = require('../fieldClassifier');
+
+// Classifies a text input described by the given attributes
+const classify = (attributes) => FieldClassifier.classifyField({ tagName: 'input', type: 'text', ...attributes });
+
+describe('normalizeText', () => {
+  it('turns camelCase, snake_case and bracketed names into plain words', () => {
+    assert.strictEqual(FieldClassifier.normalizeText('job_application[firstName]'), 'job application first name');
+    assert.strictEqual(FieldClassifier.normalizeText('  E-mail Address* '), 'e mail address');
+    assert.strictEqual(FieldClassifier.normalizeText(null), '');
+  });
+});
+
+describe('classifyField', () => {
+  const cases = [
+    [{ label: 'First name' }, 'firstName'],
+    [{ name: 'job_application[lastName]' }, 'lastName'],
+    [{ name: 'x1', autocomplete: 'family-name' }, 'lastName'],
+    [{ label: 'Full name' }, 'fullName'],
+    [{ label: 'Company name' }, 'company'],
+    [{ label: 'Email address' }, 'email'],
+    [{ name: 'contact', type: 'email' }, 'email'],
+    [{ label: 'Secondary email' }, 'secondaryEmail'],
+    [{ label: 'Phone number' }, 'phone'],
+    [{ label: 'LinkedIn profile' }, 'linkedin'],
+    [{ label: 'Country' }, 'country'],
+    [{ label: 'Nationality' }, 'nationality'],
+    [{ label: 'Location' }, 'location'],
+    [{ label: 'Preferred location' }, 'preferredLocation'],
+    [{ label: 'Are you legally authorized to work in the United States?' }, 'workAuthorization'],
+    [{ label: 'Gender' }, 'eeo.gender'],
+    [{ label: 'Did you receive free school meals?' }, 'eeo.freeSchoolMeals'],
+    [{ label: 'Type of school attended' }, 'schoolType'],
+    [{ label: 'What is your highest level of education?' }, 'highestEducation'],
+    [{ label: 'Degree classification' }, 'degreeClass'],
+    [{ label: 'Work experience', tagName: 'textarea' }, 'experience'],
+    [{ label: 'Describe your relevant experience' }, 'experience']
+  ];
+
+  for (const [attributes, expected] of cases) {
+    it(`classifies ${JSON.stringify(attributes)} as ${expected}`, () => {
+      assert.strictEqual(classify(attributes).fieldType, expected);
+    });
+  }
+
+  it('tells a job title from a salutation by the options offered', () => {
+    assert.strictEqual(classify({ label: 'Title' }).fieldType, 'jobTitle');
+    const select = {
+      label: 'Title',
+      tagName: 'select',
+      options: [{ value: 'mr', text: 'Mr' }, { value: 'ms', text: 'Ms' }, { value: 'mx', text: 'Mx' }]
+    };
+    assert.strictEqual(classify(select).fieldType, 'salutation');
+  });
+
+  it('does not fill questions asking for a number with a profile summary', () => {
+    for (const label of [
+      'Years of experience with React',
+      'How many years of relevant experience do you have?',
+      'Number of years of professional experience',
+      'Years of experience using these skills',
+      'Years of experience in education'
+    ]) {
+      const { fieldType } = classify({ label, type: 'number' });
+      assert.ok(!['experience', 'skills', 'education'].includes(fieldType), `"${label}" was classified as ${fieldType}`);
+    }
+  });
+
+  it('leaves fields without a confident match unclassified', () => {
+    assert.deepStrictEqual(classify({ label: 'Favourite colour' }), { fieldType: null, confidence: 0 });
+    assert.ok(classify({ placeholder: 'phone' }).confidence >= FieldClassifier.MIN_CONFIDENCE);
+  });
+
+  it('trusts a label more than a name or id', () => {
+    assert.ok(classify({ label: 'Email' }).confidence > classify({ id: 'email' }).confidence);
+  });
+});
+
+describe('classifyDocumentField', () => {
+  it('tells cover letters, transcripts and resumes apart', () => {
+    assert.strictEqual(FieldClassifier.classifyDocumentField({ label: 'Cover letter (attach with your CV)' }).documentType, 'coverLetter');
+    assert.strictEqual(FieldClassifier.classifyDocumentField({ name: 'transcript' }).documentType, 'transcript');
+    assert.strictEqual(FieldClassifier.classifyDocumentField({ context: 'Upload your resume' }).documentType, 'resume');
+    assert.strictEqual(FieldClassifier.classifyDocumentField({ label: 'Portfolio' }).documentType, 'other');
+  });
+});
@@ -0,0 +1,108 @@
+// Stand-ins for the Workday widgets the adapter drives. Each page saves its
+// answers to sessionStorage when it moves on, and the last page shows them all.
+(function () {
+  const all = (selector, root = document) => Array.from(root.querySelectorAll(selector));
+
+  // A button that opens a listbox of options
+  function setUpDropdown(button) {
+    const listbox = document.getElementById(button.getAttribute('aria-controls'));
+    button.addEventListener('click', () => {
+      listbox.hidden = !listbox.hidden;
+    });
+    all('[role="option"]', listbox).forEach(option => option.addEventListener('click', () => {
+      button.textContent = option.textContent;
+      listbox.hidden = true;
+    }));
+  }
+
+  // A multi-select prompt: Enter searches the choices, a suggestion click selects it
+  function setUpPrompt(input) {
+    const field = input.closest('[data-automation-id^="formField-"]');
+    const suggestions = field.querySelector('[data-automation-id="promptSuggestions"]');
+    const selected = field.querySelector('[data-automation-id="selectedItemList"]');
+    const choices = input.dataset.choices.split('|');
+
+    input.addEventListener('keydown', (event) => {
+      if (event.key !== 'Enter') {
+        return;
+      }
+      event.preventDefault();
+      const text = input.value.trim().toLowerCase();
+      // Like Workday's search, loose matches are offered when nothing matches
+      const matches = choices.filter(choice => choice.toLowerCase().includes(text));
+      const offered = matches.length > 0 ? matches : choices.filter(choice => choice[0].toLowerCase() === text[0]);
+
+      suggestions.innerHTML = '';
+      offered.forEach(choice => {
+        const option = document.createElement('div');
+        option.setAttribute('data-automation-id', 'promptOption');
+        option.textContent = choice;
+        option.addEventListener('click', () => {
+          const item = document.createElement('div');
+          item.setAttribute('data-automation-id', 'selectedItem');
+          item.textContent = choice;
+          selected.appendChild(item);
+          input.value = '';
+          suggestions.innerHTML = '';
+        });
+        suggestions.appendChild(option);
+      });
+    });
+  }
+
+  // A repeating section: Add inserts a numbered copy of the section's template
+  function setUpSection(group) {
+    const template = group.querySelector('template');
+    const addButton = group.querySelector('[data-automation-id="Add"]');
+    addButton.addEventListener('click', () => {
+      const number = group.querySelectorAll(`[data-automation-id^="${template.dataset.section}-"]`).length + 1;
+      const holder = document.createElement('div');
+      holder.innerHTML = template.innerHTML.replace(/\{n\}/g, number);
+      const panel = holder.firstElementChild;
+      group.insertBefore(panel, addButton);
+      setUpWidgets(panel);
+    });
+  }
+
+  function setUpWidgets(root) {
+    all('button[aria-haspopup="listbox"]', root).forEach(setUpDropdown);
+    all('input[data-uxi-widget-type="selectinput"]', root).forEach(setUpPrompt);
+  }
+
+  function saveAnswers() {
+    const answers = JSON.parse(sessionStorage.getItem('received') || '{}');
+    all('input[id], textarea[id]').forEach(input => {
+      answers[input.id] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+    all('button[aria-haspopup="listbox"]').forEach(button => {
+      answers[button.id] = button.textContent.trim();
+    });
+    all('[data-automation-id="selectedItemList"]').forEach(list => {
+      answers[list.id] = all('[data-automation-id="selectedItem"]', list).map(item => item.textContent);
+    });
+    sessionStorage.setItem('received', JSON.stringify(answers));
+  }
+
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      all('[data-automation-id="promptSuggestions"]').forEach(suggestions => {
+        suggestions.innerHTML = '';
+      });
+      all('[role="listbox"]').forEach(listbox => {
+        listbox.hidden = true;
+      });
+    }
+  });
+
+  setUpWidgets(document);
+  all('[role="group"]').forEach(setUpSection);
+  all('[data-next]').forEach(link => link.addEventListener('click', () => {
+    saveAnswers();
+    window.location.href = link.dataset.next;
+  }));
+
+  const received = document.getElementById('received');
+  if (received) {
+    received.textContent = sessionStorage.getItem('received') || '{}';
+  }
+})();
@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const formMappingStore = require('../formMappings');
+const { useTemporaryDirectory } = require('./helpers');
+
+const FORM_URL = 'https://boards.greenhouse.io/acme/jobs/4012345';
+
+describe('getFormKey', () => {
+  it('gives every posting on a board the same form', () => {
+    assert.deepStrictEqual(formMappingStore.getFormKey('https://www.acme.com/jobs/123/apply'), { domain: 'acme.com', formKey: '/jobs/:id/apply' });
+    assert.strictEqual(
+      formMappingStore.getFormKey('https://jobs.lever.co/acme/5f3c2a1b-9d8e-4c7b-a6f5-0e1d2c3b4a59/apply').formKey,
+      '/acme/:id/apply'
+    );
+    assert.strictEqual(formMappingStore.getFormKey('https://acme.com/careers/engineering').formKey, '/careers/engineering');
+  });
+});
+
+describe('recordMapping and lookupMapping', () => {
+  it('only reuses mappings confirmed by a submission or set by the user', () => {
+    const mappings = {};
+    formMappingStore.recordMapping(mappings, FORM_URL, '#first_name', 'firstName', 'matched', 0.9);
+    assert.strictEqual(formMappingStore.lookupMapping(mappings, FORM_URL, '#first_name'), null);
+
+    formMappingStore.recordMapping(mappings, FORM_URL, '#first_name', 'firstName', 'confirmed');
+    assert.strictEqual(formMappingStore.lookupMapping(mappings, 'https://boards.greenhouse.io/acme/jobs/4099999', '#first_name').fieldType, 'firstName');
+    assert.strictEqual(formMappingStore.lookupMapping(mappings, FORM_URL, '#last_name'), null);
+    assert.strictEqual(formMappingStore.lookupMapping(mappings, 'https://other.com/jobs/1', '#first_name'), null);
+  });
+
+  it('never lets a weaker source replace a stronger one', () => {
+    const mappings = {};
+    formMappingStore.recordMapping(mappings, FORM_URL, '#q1', 'fullName', 'user');
+    formMappingStore.recordMapping(mappings, FORM_URL, '#q1', 'company', 'confirmed');
+    const entry = formMappingStore.recordMapping(mappings, FORM_URL, '#q1', 'jobTitle', 'matched');
+
+    assert.strictEqual(entry.fieldType, 'fullName');
+    assert.strictEqual(entry.source, 'user');
+    assert.strictEqual(entry.hits, 3);
+
+    formMappingStore.recordMapping(mappings, FORM_URL, '#q2', 'jobTitle', 'matched');
+    const upgraded = formMappingStore.recordMapping(mappings, FORM_URL, '#q2', 'company', 'confirmed');
+    assert.deepStrictEqual([upgraded.fieldType, upgraded.source, upgraded.hits], ['company', 'confirmed', 2]);
+  });
+});
+
+describe('pruneMappings', () => {
+  const createMappings = () => {
+    const mappings = {};
+    formMappingStore.recordMapping(mappings, FORM_URL, '#first_name', 'firstName', 'confirmed');
+    formMappingStore.recordMapping(mappings, FORM_URL, '#q1', 'company', 'matched');
+    formMappingStore.recordMapping(mappings, 'https://jobs.lever.co/acme/1/apply', 'input[name="name"]', 'fullName', 'matched');
+    return mappings;
+  };
+
+  it('removes only unconfirmed mappings, and forms and domains left empty', () => {
+    const mappings = createMappings();
+    assert.strictEqual(formMappingStore.pruneMappings(mappings, { unconfirmed: true }), 2);
+    assert.deepStrictEqual(Object.keys(mappings), ['boards.greenhouse.io']);
+    assert.deepStrictEqual(Object.keys(mappings['boards.greenhouse.io'].forms['/acme/jobs/:id'].fields), ['#first_name']);
+  });
+
+  it('removes mappings not seen for the given number of days', () => {
+    const mappings = createMappings();
+    mappings['jobs.lever.co'].forms['/acme/:id/apply'].fields['input[name="name"]'].lastSeen = '2020-01-01T00:00:00.000Z';
+    assert.strictEqual(formMappingStore.pruneMappings(mappings, { olderThanDays: 30 }), 1);
+    assert.ok(!mappings['jobs.lever.co']);
+  });
+
+  it('removes everything on one domain', () => {
+    const mappings = createMappings();
+    assert.strictEqual(formMappingStore.pruneMappings(mappings, { domain: 'jobs.lever.co' }), 1);
+    assert.deepStrictEqual(Object.keys(mappings), ['boards.greenhouse.io']);
+  });
+});
+
+describe('exportFormMappingsCommand', () => {
+  let restoreDirectory;
+
+  before(() => {
+    restoreDirectory = useTemporaryDirectory();
+    const mappings = {};
+    formMappingStore.recordMapping(mappings, FORM_URL, '#first_name', 'firstName', 'user');
+    formMappingStore.recordMapping(mappings, 'https://jobs.lever.co/acme/1/apply', 'input[name="name"]', 'fullName', 'confirmed');
+    formMappingStore.saveFormMappings(mappings);
+  });
+
+  after(() => {
+    restoreDirectory();
+  });
+
+  it('exports every domain, or only the one asked for', () => {
+    formMappingStore.exportFormMappingsCommand('all.json', {});
+    formMappingStore.exportFormMappingsCommand('lever.json', { domain: 'jobs.lever.co' });
+    formMappingStore.exportFormMappingsCommand('none.json', { domain: 'example.com' });
+
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync('all.json', 'utf8')), formMappingStore.loadFormMappings());
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync('lever.json', 'utf8'))), ['jobs.lever.co']);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync('none.json', 'utf8')), { 'example.com': { forms: {} } });
+  });
+});
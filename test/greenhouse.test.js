@@ -0,0 +1,66 @@
+// The Greenhouse adapter, against a saved Greenhouse board served under its own hostname
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { SKIP_MESSAGE, launchTestBrowser, useTemporaryDirectory, createUserData, createTestBot, replayFixtures } = require('./helpers');
+
+const JOB_URL = 'https://boards.greenhouse.io/acme/jobs/4012345';
+
+const ROUTES = {
+  [JOB_URL]: 'greenhouse/posting.html',
+  [`${JOB_URL}/confirmation`]: 'greenhouse/confirmation.html'
+};
+
+describe('Greenhouse application', () => {
+  let browser;
+  let restoreDirectory;
+
+  before(async () => {
+    restoreDirectory = useTemporaryDirectory();
+    fs.writeFileSync('resume.pdf', '%PDF-1.4 test resume');
+    browser = await launchTestBrowser();
+  });
+
+  after(async () => {
+    if (browser) {
+      await browser.close();
+    }
+    restoreDirectory();
+  });
+
+  it('fills the standard fields, custom questions, EEO selects and resume', async (t) => {
+    if (!browser) {
+      return t.skip(SKIP_MESSAGE);
+    }
+    const userData = {
+      ...createUserData(),
+      socialMediaProfiles: { linkedin: 'https://www.linkedin.com/in/samlee' },
+      documents: { resume: 'resume.pdf' }
+    };
+    const bot = await createTestBot(browser, {}, userData);
+    try {
+      await replayFixtures(bot, ROUTES);
+      const result = await bot.applyToJob(JOB_URL);
+
+      assert.strictEqual(bot.adapter.name, 'greenhouse');
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.message, 'Application submitted successfully');
+      assert.deepStrictEqual(result.documents, [{ kind: 'resume', path: path.resolve('resume.pdf'), verified: true }]);
+      // The form as it was sent, listed on the confirmation page
+      assert.deepStrictEqual(JSON.parse(await bot.page.textContent('#received')), {
+        'job_application[first_name]': 'Sam',
+        'job_application[last_name]': 'Lee',
+        'job_application[email]': 'sam.lee@example.com',
+        'job_application[phone]': '+44 7700 900123',
+        'job_application[resume]': 'resume.pdf',
+        'job_application[answers_attributes][0][text_value]': 'https://www.linkedin.com/in/samlee',
+        // "Prefer not to say" -> "Decline To Self Identify"
+        'job_application[gender]': '3',
+        'job_application[veteran_status]': ''
+      });
+    } finally {
+      await bot.close();
+    }
+  });
+});
@@ -0,0 +1,114 @@
+// Shared setup for the tests that drive fixture forms in a real browser
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const JobApplicationBot = require('../jobApplicationBot');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const SKIP_MESSAGE = 'Chromium is not available (run npx playwright install chromium, or set CHROME_PATH)';
+
+/**
+ * Launches a headless Chromium. CHROME_PATH points at a browser other than the
+ * one Playwright installs.
+ * @returns {Object|null} - The browser, or null when none can be started
+ */
+async function launchTestBrowser() {
+  try {
+    return await chromium.launch({ headless: true, executablePath: process.env.CHROME_PATH || undefined });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Runs the tests in a temporary directory, so the stores, reports and videos the
+ * bot writes under data/, logs/ and videos/ never touch the working copy
+ * @returns {Function} - Restores the previous directory and removes the temporary one
+ */
+function useTemporaryDirectory() {
+  const previous = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-application-test-'));
+  process.chdir(dir);
+  return () => {
+    process.chdir(previous);
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+}
+
+/**
+ * A small profile that fills the fixture forms
+ * @returns {Object}
+ */
+function createUserData() {
+  return {
+    schemaVersion: 1,
+    personalInfo: {
+      firstName: 'Sam',
+      lastName: 'Lee',
+      fullName: 'Sam Lee',
+      email: 'sam.lee@example.com',
+      phone: '+44 7700 900123',
+      location: 'Leeds, United Kingdom'
+    },
+    education: [{ institution: 'University of Leeds', degree: 'BSc in Computer Science', dates: '2016 - 2019' }],
+    experience: [{ company: 'Acme Ltd', title: 'Software Engineer', dates: '2019 - Present' }],
+    skills: ['JavaScript', 'Node.js'],
+    languages: [{ language: 'English', proficiency: 'Native' }],
+    eeo: { gender: 'Prefer not to say' }
+  };
+}
+
+/**
+ * Creates a bot on its own context of a shared browser, with empty stores
+ * @param {Object} browser - From launchTestBrowser
+ * @param {Object} options - Bot options, e.g. { dryRun: true }
+ * @param {Object} userData - The profile (createUserData() if omitted)
+ * @returns {Object} - The initialized JobApplicationBot
+ */
+async function createTestBot(browser, options = {}, userData = createUserData()) {
+  const bot = new JobApplicationBot(userData, {
+    browser,
+    formMappings: {},
+    answerBank: { entries: [] },
+    ...options
+  });
+  await bot.initialize();
+  return bot;
+}
+
+/**
+ * Gets the file:// URL of a fixture
+ * @param {string} name - Path below test/fixtures
+ * @returns {string}
+ */
+function fixtureUrl(name) {
+  return `file://${path.join(FIXTURES_DIR, name)}`;
+}
+
+/**
+ * Serves a saved page (or script, typed by its extension) whenever the browser
+ * asks for a URL, so site adapters see their real hostnames. Every other request
+ * is refused, so nothing reaches the live site.
+ * @param {Object} bot - The JobApplicationBot
+ * @param {Object} routes - URL (or glob) -> path below test/fixtures
+ */
+async function replayFixtures(bot, routes) {
+  // Routes registered later are tried first
+  await bot.page.route('**/*', route => route.abort());
+  for (const [url, name] of Object.entries(routes)) {
+    await bot.page.route(url, route => route.fulfill({ path: path.join(FIXTURES_DIR, name) }));
+  }
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  SKIP_MESSAGE,
+  launchTestBrowser,
+  useTemporaryDirectory,
+  createUserData,
+  createTestBot,
+  fixtureUrl,
+  replayFixtures
+};
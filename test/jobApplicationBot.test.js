@@ -0,0 +1,33 @@
+// The parts of the bot that work without a browser
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const JobApplicationBot = require('../jobApplicationBot');
+const { createUserData } = require('./helpers');
+
+const createBot = (userData = createUserData()) => new JobApplicationBot(userData, { answerBank: { entries: [] } });
+
+describe('findCustomAnswer', () => {
+  const bot = createBot();
+  bot.jobOverrides = { answers: { age: '30', 'Are you willing to relocate?': 'Yes', name: 'Sam' } };
+
+  it('matches a question by its words', () => {
+    assert.strictEqual(bot.findCustomAnswer({ label: 'Are you willing to relocate?*' }), 'Yes');
+    assert.strictEqual(bot.findCustomAnswer({ label: 'What is your age?' }), '30');
+    assert.strictEqual(bot.findCustomAnswer({ name: 'name' }), 'Sam');
+  });
+
+  it('does not match a short key inside another word', () => {
+    assert.strictEqual(bot.findCustomAnswer({ label: 'Which language do you speak at home?' }), null);
+    assert.strictEqual(bot.findCustomAnswer({ label: 'Personal webpage' }), null);
+    assert.strictEqual(bot.findCustomAnswer({ label: 'Surname' }), null);
+  });
+});
+
+describe('buildFieldSelector', () => {
+  it('escapes quotes in ids and names', () => {
+    const bot = createBot();
+    assert.strictEqual(bot.buildFieldSelector({ tagName: 'input', id: 'q"1"', name: 'q' }), 'input[id="q\\"1\\""]');
+    assert.strictEqual(bot.buildFieldSelector({ tagName: 'select', name: 'answers["size"]' }), 'select[name="answers[\\"size\\"]"]');
+    assert.strictEqual(bot.buildFieldSelector({ tagName: 'input' }), null);
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, normalizeJob, loadJobList } = require('../jobList');
+const { useTemporaryDirectory } = require('./helpers');
+
+describe('parseCsv', () => {
+  it('keeps commas, quotes and line breaks inside quoted fields', () => {
+    const text = 'url,notes\r\nhttps://a.com/1,"Remote, UK"\n"https://a.com/2","Say ""hi""\nto the team"\n\n';
+    assert.deepStrictEqual(parseCsv(text), [
+      ['url', 'notes'],
+      ['https://a.com/1', 'Remote, UK'],
+      ['https://a.com/2', 'Say "hi"\nto the team']
+    ]);
+  });
+
+  it('keeps a last row without a line break and drops blank rows', () => {
+    assert.deepStrictEqual(parseCsv('url\n , \nhttps://a.com/1'), [['url'], ['https://a.com/1']]);
+  });
+});
+
+describe('normalizeJob', () => {
+  it('reads the columns by any of their accepted names', () => {
+    const job = normalizeJob({
+      'Job URL': 'https://a.com/1',
+      Employer: 'Acme',
+      Position: 'Engineer',
+      CV: 'cv.pdf',
+      coverLetter: 'letter.pdf',
+      Labels: 'backend; remote|uk',
+      Priority: 'High',
+      Source: 'LinkedIn'
+    });
+
+    assert.deepStrictEqual(job, {
+      url: 'https://a.com/1',
+      company: 'Acme',
+      title: 'Engineer',
+      resume: 'cv.pdf',
+      coverLetter: 'letter.pdf',
+      tags: ['backend', 'remote', 'uk'],
+      priority: 3,
+      answers: {},
+      extra: { Source: 'LinkedIn' }
+    });
+  });
+
+  it('turns answer columns and an answers object into custom answers', () => {
+    const job = normalizeJob({ url: 'https://a.com/1', 'answer: Notice period': '1 month', 'Answer.Salary': 40000, answers: { Visa: 'No' } });
+    assert.deepStrictEqual(job.answers, { 'Notice period': '1 month', Salary: '40000', Visa: 'No' });
+  });
+
+  it('takes a bare URL, and a numeric or unknown priority', () => {
+    assert.strictEqual(normalizeJob('https://a.com/1').url, 'https://a.com/1');
+    assert.strictEqual(normalizeJob({ url: 'https://a.com/1', priority: '5' }).priority, 5);
+    assert.strictEqual(normalizeJob({ url: 'https://a.com/1', priority: 'urgent' }).priority, 2);
+  });
+});
+
+describe('loadJobList', () => {
+  let restoreDirectory;
+
+  before(() => {
+    restoreDirectory = useTemporaryDirectory();
+    fs.mkdirSync('lists');
+  });
+
+  after(() => {
+    restoreDirectory();
+  });
+
+  it('reads one URL per line from a text file, skipping comments', () => {
+    fs.writeFileSync('lists/jobs.txt', '# Applied next week\nhttps://a.com/1\n\n  https://a.com/2  \n');
+    assert.deepStrictEqual(loadJobList('lists/jobs.txt').map(job => job.url), ['https://a.com/1', 'https://a.com/2']);
+  });
+
+  it('orders a CSV list by priority, keeping file order within one, and resolves documents from the list', () => {
+    fs.writeFileSync('lists/jobs.csv', [
+      'url,company,priority,resume,answer:Notice period',
+      'https://a.com/1,Acme,low,,',
+      'https://a.com/2,"Globex, Inc.",,cv/globex.pdf,1 month',
+      'https://a.com/3,Initech,high,,'
+    ].join('\n'));
+    const jobs = loadJobList('lists/jobs.csv');
+
+    assert.deepStrictEqual(jobs.map(job => job.company), ['Initech', 'Globex, Inc.', 'Acme']);
+    assert.strictEqual(jobs[1].resume, path.resolve('lists/cv/globex.pdf'));
+    assert.deepStrictEqual(jobs[1].answers, { 'Notice period': '1 month' });
+  });
+
+  it('reads a JSON list or a YAML file with a jobs key', () => {
+    fs.writeFileSync('lists/jobs.json', JSON.stringify([{ url: 'https://a.com/1', tags: ['uk', 'remote'] }]));
+    fs.writeFileSync('lists/jobs.yaml', [
+      'jobs:',
+      '  - url: https://a.com/2',
+      '    company: Acme',
+      '    cover_letter: letters/acme.pdf',
+      '    answers:',
+      '      Visa: "No"'
+    ].join('\n'));
+
+    assert.deepStrictEqual(loadJobList('lists/jobs.json')[0].tags, ['uk', 'remote']);
+    const [job] = loadJobList('lists/jobs.yaml');
+    assert.strictEqual(job.company, 'Acme');
+    assert.strictEqual(job.coverLetter, path.resolve('lists/letters/acme.pdf'));
+    assert.deepStrictEqual(job.answers, { Visa: 'No' });
+  });
+
+  it('names the entry that has no URL', () => {
+    fs.writeFileSync('lists/broken.json', JSON.stringify([{ url: 'https://a.com/1' }, { company: 'Acme' }]));
+    assert.throws(() => loadJobList('lists/broken.json'), /Job 2 in lists\/broken\.json has no URL/);
+  });
+});
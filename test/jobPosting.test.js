@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseSalaryText, findRemotePolicy } = require('../jobPosting');
+
+describe('parseSalaryText', () => {
+  it('reads ranges and amounts with a period', () => {
+    assert.deepStrictEqual(parseSalaryText('Pay: $120,000 - $150,000 per year'), {
+      min: 120000, max: 150000, currency: 'USD', period: 'year', text: '$120,000 - $150,000 per year'
+    });
+    assert.deepStrictEqual(parseSalaryText('£45k–55k, hybrid'), {
+      min: 45000, max: 55000, currency: 'GBP', period: 'year', text: '£45k–55k'
+    });
+    assert.strictEqual(parseSalaryText('From €30/hour').period, 'hour');
+  });
+
+  it('takes a lone amount for a salary only with salary wording next to it', () => {
+    assert.strictEqual(parseSalaryText('Base salary: $95,000 plus bonus').min, 95000);
+    assert.strictEqual(parseSalaryText('We offer a $1,500 relocation bonus.'), null);
+    assert.strictEqual(parseSalaryText('Everyone gets a $2,000 learning budget.'), null);
+    assert.strictEqual(parseSalaryText('We pay a $2,000 learning budget each year.'), null);
+    assert.strictEqual(parseSalaryText('We raised $5,000,000 last year.'), null);
+  });
+
+  it('skips amounts that are not pay to find the salary', () => {
+    const salary = parseSalaryText('A $1,500 relocation bonus, and a salary of £40,000 - £48,000.');
+    assert.deepStrictEqual([salary.min, salary.max, salary.currency], [40000, 48000, 'GBP']);
+  });
+});
+
+describe('findRemotePolicy', () => {
+  it('trusts the title and location over the description', () => {
+    assert.strictEqual(findRemotePolicy(['Software Engineer (Remote)', 'London', 'Our London office is on-site.']), 'remote');
+  });
+
+  it('goes by what the description says about the role', () => {
+    assert.strictEqual(
+      findRemotePolicy([null, null, 'We are a remote-first company with staff in 12 countries. This role is on-site in our Leeds lab.']),
+      'onsite'
+    );
+    assert.strictEqual(findRemotePolicy([null, null, 'Our teams meet on-site each quarter. You will work remote from anywhere in the UK.']), 'remote');
+  });
+
+  it('prefers hybrid, and otherwise the last mention, when the role is not named', () => {
+    assert.strictEqual(findRemotePolicy([null, null, 'Hybrid working: remote on Fridays.']), 'hybrid');
+    assert.strictEqual(findRemotePolicy([null, null, 'Founded as a remote company, we now work on-site in Berlin.']), 'onsite');
+    assert.strictEqual(findRemotePolicy([null, null, 'We build booking software.']), null);
+  });
+});
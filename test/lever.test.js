@@ -0,0 +1,68 @@
+// The Lever adapter, against a saved Lever posting served under its own hostname
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { SKIP_MESSAGE, launchTestBrowser, useTemporaryDirectory, createUserData, createTestBot, replayFixtures } = require('./helpers');
+
+const JOB_URL = 'https://jobs.lever.co/acme/5f1c2d3e';
+
+const ROUTES = {
+  [JOB_URL]: 'lever/posting.html',
+  [`${JOB_URL}/apply`]: 'lever/apply.html',
+  [`${JOB_URL}/thanks`]: 'lever/thanks.html'
+};
+
+describe('Lever application', () => {
+  let browser;
+  let restoreDirectory;
+
+  before(async () => {
+    restoreDirectory = useTemporaryDirectory();
+    fs.writeFileSync('resume.pdf', '%PDF-1.4 test resume');
+    browser = await launchTestBrowser();
+  });
+
+  after(async () => {
+    if (browser) {
+      await browser.close();
+    }
+    restoreDirectory();
+  });
+
+  it('fills the standard fields, radio questions, EEO selects and resume', async (t) => {
+    if (!browser) {
+      return t.skip(SKIP_MESSAGE);
+    }
+    const userData = {
+      ...createUserData(),
+      socialMediaProfiles: { linkedin: 'https://www.linkedin.com/in/samlee' },
+      documents: { resume: 'resume.pdf' }
+    };
+    const bot = await createTestBot(browser, {}, userData);
+    try {
+      await replayFixtures(bot, ROUTES);
+      const result = await bot.applyToJob(JOB_URL, { answers: { 'legally authorised to work in the UK': 'Yes' } });
+
+      assert.strictEqual(bot.adapter.name, 'lever');
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.message, 'Application submitted successfully');
+      assert.deepStrictEqual(result.documents, [{ kind: 'resume', path: path.resolve('resume.pdf'), verified: true }]);
+      assert.deepStrictEqual(result.unansweredQuestions, ['How did you hear about this job?']);
+      // The form as it was sent, listed on the thanks page
+      assert.deepStrictEqual(JSON.parse(await bot.page.textContent('#received')), {
+        resume: 'resume.pdf',
+        name: 'Sam Lee',
+        email: 'sam.lee@example.com',
+        phone: '+44 7700 900123',
+        org: 'Acme Ltd',
+        'urls[LinkedIn]': 'https://www.linkedin.com/in/samlee',
+        'cards[8a7b][field0]': 'Yes',
+        'cards[8a7b][field1]': '',
+        'eeo[gender]': 'Decline to self-identify'
+      });
+    } finally {
+      await bot.close();
+    }
+  });
+});
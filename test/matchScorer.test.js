@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { scoreJobMatch } = require('../matchScorer');
+
+// Other postings, so the words every posting uses weigh less
+const CORPUS = [
+  'We are hiring a sales manager to grow our clients.',
+  'Join us as an engineer to build our mobile app with Swift.',
+  'A data analyst who reports to our clients.'
+];
+
+const DESCRIPTION = 'We are hiring a data engineer to build pipelines with Python and SQL. You will orchestrate jobs in Airflow, ' +
+  'deploy on Kubernetes and Terraform, apply statistics, and speak German with our Berlin clients.';
+
+const USER_DATA = {
+  skills: ['Python', 'SQL', 'Excel'],
+  experience: [{ title: 'Data Engineer', description: 'Built Airflow pipelines on Kubernetes' }],
+  education: [{ degree: 'BSc Statistics', fieldOfStudy: 'Statistics' }],
+  languages: [{ language: 'German', proficiency: 'Fluent' }]
+};
+
+describe('scoreJobMatch', () => {
+  it('scores the share of the description the profile covers and says where each match came from', () => {
+    const match = scoreJobMatch(USER_DATA, DESCRIPTION, CORPUS);
+
+    assert.strictEqual(match.score, 54);
+    assert.deepStrictEqual(match.matchedSkills, ['Python', 'SQL']);
+    assert.deepStrictEqual(match.matched, [
+      { keyword: 'Python', source: 'skills' },
+      { keyword: 'SQL', source: 'skills' },
+      { keyword: 'pipelines', source: 'experience' },
+      { keyword: 'airflow', source: 'experience' },
+      { keyword: 'kubernetes', source: 'experience' },
+      { keyword: 'statistics', source: 'education' },
+      { keyword: 'german', source: 'languages' },
+      { keyword: 'data', source: 'experience' },
+      { keyword: 'engineer', source: 'experience' }
+    ]);
+    assert.deepStrictEqual(match.missing, ['orchestrate', 'jobs', 'deploy', 'terraform', 'speak', 'berlin', 'hiring', 'clients']);
+  });
+
+  it('scores a description with no keywords as 0', () => {
+    assert.deepStrictEqual(scoreJobMatch(USER_DATA, '', CORPUS), { score: 0, matched: [], missing: [], matchedSkills: [] });
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ProfileSchema = require('../profileSchema');
+
+describe('migrateProfile', () => {
+  it('upgrades an unversioned profile to the current shape', () => {
+    const { profile, migratedFrom } = ProfileSchema.migrateProfile({
+      personalInfo: { fullName: 'Sam Lee' },
+      education: { institution: 'University of Leeds' },
+      skills: ' JavaScript, Python ,, ',
+      languages: ['English', { language: 'French', proficiency: 'Fluent' }],
+      certifications: ['AWS Certified Developer'],
+      references: ['Available on request'],
+      socialMediaProfiles: null
+    });
+
+    assert.strictEqual(migratedFrom, 0);
+    assert.strictEqual(profile.schemaVersion, ProfileSchema.SCHEMA_VERSION);
+    assert.deepStrictEqual(profile.education, [{ institution: 'University of Leeds' }]);
+    assert.deepStrictEqual(profile.experience, []);
+    assert.deepStrictEqual(profile.skills, ['JavaScript', 'Python']);
+    assert.deepStrictEqual(profile.languages, [
+      { language: 'English', proficiency: null },
+      { language: 'French', proficiency: 'Fluent' }
+    ]);
+    assert.deepStrictEqual(profile.certifications, [{ name: 'AWS Certified Developer', date: null, issuer: null }]);
+    assert.deepStrictEqual(profile.references, [{ name: 'Available on request' }]);
+    assert.ok(!('socialMediaProfiles' in profile));
+    assert.deepStrictEqual(ProfileSchema.validateProfile(profile), []);
+  });
+
+  it('leaves a current profile as it is', () => {
+    const current = ProfileSchema.createEmptyProfile();
+    assert.deepStrictEqual(ProfileSchema.migrateProfile(current), { profile: current, migratedFrom: null });
+  });
+
+  it('refuses a profile written by a newer version', () => {
+    assert.throws(
+      () => ProfileSchema.migrateProfile({ schemaVersion: ProfileSchema.SCHEMA_VERSION + 1 }),
+      /written by a newer version/
+    );
+  });
+});
+
+describe('validateProfile', () => {
+  it('accepts an empty profile', () => {
+    assert.deepStrictEqual(ProfileSchema.validateProfile(ProfileSchema.createEmptyProfile()), []);
+  });
+
+  it('names the path and the problem of each error', () => {
+    const profile = {
+      ...ProfileSchema.createEmptyProfile(),
+      personalInfo: { fullName: 42, email: 'not an email' },
+      skills: 'JavaScript',
+      languages: [{ proficiency: 'Native' }]
+    };
+    delete profile.experience;
+
+    assert.deepStrictEqual(ProfileSchema.validateProfile(profile), [
+      { path: 'experience', message: 'is missing' },
+      { path: 'personalInfo.fullName', message: 'should be text but is a whole number' },
+      { path: 'personalInfo.email', message: 'should be an email address (is "not an email")' },
+      { path: 'skills', message: 'should be a list but is text' },
+      { path: 'languages[0].language', message: 'is missing' }
+    ]);
+  });
+
+  it('formats errors one per line', () => {
+    assert.strictEqual(
+      ProfileSchema.formatErrors([{ path: 'skills', message: 'is missing' }, { path: 'profile', message: 'should be an object but is empty' }]),
+      '- skills: is missing\n- profile: should be an object but is empty'
+    );
+  });
+});
+
+describe('findMissingDetails', () => {
+  it('lists blank details and incomplete entries', () => {
+    const profile = {
+      ...ProfileSchema.createEmptyProfile(),
+      personalInfo: { fullName: 'Sam Lee', email: 'sam@example.com', phone: '', location: 'Leeds' },
+      education: [{ institution: 'University of Leeds', degree: 'BSc' }],
+      experience: [{ title: 'Engineer', dates: '2020 - 2023' }],
+      skills: ['JavaScript'],
+      documents: { resume: 'resume.pdf' },
+      eeo: { gender: 'Prefer not to say' }
+    };
+
+    assert.deepStrictEqual(ProfileSchema.findMissingDetails(profile).map(detail => [detail.path, detail.required]), [
+      ['personalInfo.phone', true],
+      ['workAuthorizationStatus', false],
+      ['socialMediaProfiles.linkedin', false],
+      ['languages', false],
+      ['education[0]', false]
+    ]);
+    assert.match(ProfileSchema.findMissingDetails(profile)[4].label, /University of Leeds/);
+  });
+});
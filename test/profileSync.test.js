@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { mergeProfiles } = require('../profileSync');
+
+describe('mergeProfiles', () => {
+  it('matches location preferences by location and merges them', () => {
+    const local = { locationPreferences: [{ location: 'Leeds', workAuthorization: 'Yes' }] };
+    const incoming = { locationPreferences: [{ location: 'leeds', preference: 'First choice' }, { location: 'London' }] };
+    const { profile, conflicts } = mergeProfiles(local, incoming);
+
+    assert.deepStrictEqual(profile.locationPreferences, [
+      { location: 'Leeds', workAuthorization: 'Yes', preference: 'First choice' },
+      { location: 'London' }
+    ]);
+    assert.deepStrictEqual(conflicts, []);
+  });
+
+  it('keeps object entries of lists without identifying fields', () => {
+    const local = { awards: [{ title: 'Dean\'s list', year: '2018' }], skills: ['JavaScript'] };
+    const incoming = {
+      awards: [{ title: 'Dean\'s list', year: '2018' }, { title: 'Hackathon winner', year: '2019' }],
+      skills: ['javascript', 'Python']
+    };
+    const { profile } = mergeProfiles(local, incoming);
+
+    assert.deepStrictEqual(profile.awards, [{ title: 'Dean\'s list', year: '2018' }, { title: 'Hackathon winner', year: '2019' }]);
+    assert.deepStrictEqual(profile.skills, ['JavaScript', 'Python']);
+  });
+});
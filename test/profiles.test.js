@@ -0,0 +1,66 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const profiles = require('../profiles');
+const { useTemporaryDirectory } = require('./helpers');
+
+describe('profiles', () => {
+  let restoreDirectory;
+
+  beforeEach(() => {
+    restoreDirectory = useTemporaryDirectory();
+  });
+
+  afterEach(() => {
+    profiles.setActiveProfile(profiles.DEFAULT_PROFILE);
+    restoreDirectory();
+  });
+
+  it('keeps the default profile directly in data/ and the others under data/profiles/', () => {
+    assert.strictEqual(profiles.getProfilePath('user_data.json'), path.join('data', 'user_data.json'));
+    assert.strictEqual(profiles.getProfilePath('user_data.json', 'data-eng'), path.join('data', 'profiles', 'data-eng', 'user_data.json'));
+    assert.ok(profiles.profileExists(profiles.DEFAULT_PROFILE));
+  });
+
+  it('rejects names that are not safe directory names', () => {
+    for (const name of ['', '../data', 'a b', '-dash', 'x'.repeat(41)]) {
+      assert.throws(() => profiles.createProfile(name), /Invalid profile name/);
+    }
+    assert.ok(profiles.createProfile('Data_eng-2'));
+  });
+
+  it('reads and writes the active profile once one is chosen', () => {
+    profiles.createProfile('data-eng');
+    profiles.setActiveProfile('data-eng');
+
+    assert.strictEqual(profiles.getActiveProfile(), 'data-eng');
+    assert.strictEqual(profiles.getProfilePath('answer_bank.json'), path.join('data', 'profiles', 'data-eng', 'answer_bank.json'));
+    assert.throws(() => profiles.setActiveProfile('missing'), /Profile "missing" does not exist/);
+    assert.strictEqual(profiles.getActiveProfile(), 'data-eng');
+  });
+
+  it('clones only the profile files and lists each profile', () => {
+    fs.mkdirSync('data');
+    fs.writeFileSync('data/user_data.json', JSON.stringify({ personalInfo: { fullName: 'Sam Lee' }, skills: ['SQL', 'Python'] }));
+    fs.writeFileSync('data/vault.json', '{}');
+
+    assert.deepStrictEqual(profiles.cloneProfile(profiles.DEFAULT_PROFILE, 'data-eng'), ['user_data.json']);
+    assert.deepStrictEqual(fs.readdirSync('data/profiles/data-eng'), ['user_data.json']);
+    assert.throws(() => profiles.createProfile('data-eng'), /already exists/);
+    assert.deepStrictEqual(profiles.listProfiles(), [
+      { name: 'default', fullName: 'Sam Lee', skills: 2, active: true },
+      { name: 'data-eng', fullName: 'Sam Lee', skills: 2, active: false }
+    ]);
+  });
+
+  it('deletes a profile with its files, but never the default one', () => {
+    profiles.createProfile('old');
+    fs.writeFileSync(profiles.getProfilePath('user_data.json', 'old'), '{}');
+
+    profiles.deleteProfile('old');
+    assert.ok(!profiles.profileExists('old'));
+    assert.throws(() => profiles.deleteProfile('old'), /does not exist/);
+    assert.throws(() => profiles.deleteProfile(profiles.DEFAULT_PROFILE), /cannot be deleted/);
+  });
+});
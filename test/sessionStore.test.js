@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { SESSION_TTL_DAYS, normalizeSession, getSessionStatus } = require('../sessionStore');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('normalizeSession', () => {
+  it('keeps a migrated session cookie for the normal session lifetime', () => {
+    const session = normalizeSession({ username: 'sam', cookie: { name: 'li_at', value: 'x', domain: '.linkedin.com', path: '/', expires: -1 } });
+
+    const lifetime = new Date(session.expiresAt).getTime() - Date.now();
+    assert.ok(lifetime > (SESSION_TTL_DAYS - 1) * DAY && lifetime <= SESSION_TTL_DAYS * DAY);
+    // Usable, but captured again in the new format on the next visit
+    assert.strictEqual(getSessionStatus(session), 'stale');
+    assert.strictEqual(session.storageState.cookies.length, 1);
+  });
+
+  it('keeps the expiry of a migrated persistent cookie', () => {
+    const expires = Math.floor((Date.now() + 2 * DAY) / 1000);
+    const session = normalizeSession({ username: 'sam', cookie: { name: 'sid', value: 'x', domain: 'indeed.com', path: '/', expires } });
+    assert.strictEqual(session.expiresAt, new Date(expires * 1000).toISOString());
+  });
+
+  it('treats a migrated cookie that has run out as expired', () => {
+    const session = normalizeSession({ username: 'sam', cookie: { name: 'sid', value: 'x', domain: 'indeed.com', path: '/', expires: 1000 } });
+    assert.strictEqual(getSessionStatus(session), 'expired');
+  });
+});
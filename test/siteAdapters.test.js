@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const siteAdapters = require('../siteAdapters');
+const { useTemporaryDirectory } = require('./helpers');
+
+describe('matchesHostname', () => {
+  it('matches exact hostnames, wildcards and regular expressions', () => {
+    assert.ok(siteAdapters.matchesHostname('jobs.lever.co', 'JOBS.lever.co'));
+    assert.ok(siteAdapters.matchesHostname('www.indeed.com', 'indeed.com'));
+    assert.ok(!siteAdapters.matchesHostname('lever.co', 'jobs.lever.co'));
+    assert.ok(siteAdapters.matchesHostname('*.myworkdayjobs.com', 'acme.wd5.myworkdayjobs.com'));
+    assert.ok(siteAdapters.matchesHostname('*.myworkdayjobs.com', 'myworkdayjobs.com'));
+    assert.ok(!siteAdapters.matchesHostname('*.myworkdayjobs.com', 'notmyworkdayjobs.com'));
+    assert.ok(siteAdapters.matchesHostname(/^careers\./, 'careers.acme.com'));
+  });
+});
+
+describe('site adapter registry', () => {
+  let restoreDirectory;
+  let errors;
+  const originalError = console.error;
+
+  before(() => {
+    restoreDirectory = useTemporaryDirectory();
+    fs.mkdirSync('plugins');
+    fs.writeFileSync('plugins/acme.js', `module.exports = {
+      name: 'acme',
+      hostnames: ['*.acme-careers.com'],
+      applyButtonSelectors: ['#acme-apply'],
+      confirmationUrlPattern: /\\/done$/,
+      async login() { return true; }
+    };`);
+    fs.writeFileSync('plugins/lever.js', "module.exports = { name: 'lever', hostnames: ['jobs.lever.co'], custom: true };");
+    fs.writeFileSync('plugins/broken.js', "throw new Error('missing dependency');");
+    fs.writeFileSync('plugins/nameless.js', "module.exports = { hostnames: ['x.com'] };");
+
+    errors = [];
+    console.error = (message) => errors.push(message);
+    siteAdapters.loadAdapters(path.resolve('plugins'));
+    console.error = originalError;
+  });
+
+  after(() => {
+    console.error = originalError;
+    restoreDirectory();
+  });
+
+  it('puts an adapter in front of the generic behaviour', () => {
+    const adapter = siteAdapters.getAdapterForUrl('https://jobs.acme-careers.com/apply/1');
+    const generic = siteAdapters.GENERIC_ADAPTER;
+
+    assert.strictEqual(adapter.name, 'acme');
+    assert.deepStrictEqual(adapter.applyButtonSelectors, ['#acme-apply', ...generic.applyButtonSelectors]);
+    assert.deepStrictEqual(adapter.loginSelectors, generic.loginSelectors);
+    assert.deepStrictEqual(adapter.confirmationUrlPattern, /\/done$/);
+    assert.strictEqual(adapter.confirmationPatterns.length, generic.confirmationPatterns.length);
+    assert.strictEqual(typeof adapter.login, 'function');
+  });
+
+  it('uses the generic adapter for other sites and unreadable URLs', () => {
+    assert.strictEqual(siteAdapters.getAdapterForUrl('https://example.com/jobs/1'), siteAdapters.GENERIC_ADAPTER);
+    assert.strictEqual(siteAdapters.getAdapterForUrl('not a url'), siteAdapters.GENERIC_ADAPTER);
+  });
+
+  it('lets a plugin replace a built-in adapter of the same name', () => {
+    assert.strictEqual(siteAdapters.getAdapterForUrl('https://jobs.lever.co/acme/1').custom, true);
+    const lever = siteAdapters.listAdapters().filter(adapter => adapter.name === 'lever');
+    assert.deepStrictEqual(lever.map(adapter => adapter.source), [path.join(path.resolve('plugins'), 'lever.js')]);
+    assert.ok(siteAdapters.listAdapters().some(adapter => adapter.name === 'greenhouse' && adapter.source === 'built-in'));
+  });
+
+  it('logs and skips a plugin that fails to load', () => {
+    assert.strictEqual(errors.length, 2);
+    assert.match(errors[0], /broken\.js: missing dependency/);
+    assert.match(errors[1], /nameless\.js: A site adapter needs a name/);
+    assert.deepStrictEqual(siteAdapters.listAdapters().find(adapter => adapter.name === 'acme').hooks, ['login']);
+  });
+});
+
+describe('pickOption', () => {
+  it('matches the wording of an option, or a decline option', () => {
+    assert.strictEqual(siteAdapters.pickOption(['Male', 'Female', 'Non-binary'], 'female'), 1);
+    assert.strictEqual(siteAdapters.pickOption(['Yes, I am authorised', 'No'], 'Yes'), 0);
+    assert.strictEqual(siteAdapters.pickOption(['Male', 'Female', 'I do not wish to answer'], 'Prefer not to say'), 2);
+    assert.strictEqual(siteAdapters.pickOption(['Red', 'Blue'], 'Green'), -1);
+  });
+});
@@ -0,0 +1,18 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { findMatchedSkills } = require('../skillMatching');
+
+describe('findMatchedSkills', () => {
+  it('finds skills named as whole words, in profile order', () => {
+    const skills = ['Python', 'C++', 'Node.js', 'Java', 'SQL'];
+    assert.deepStrictEqual(
+      findMatchedSkills(skills, 'You know JavaScript, Node.js and SQL; C++ is a plus.'),
+      ['C++', 'Node.js', 'SQL']
+    );
+  });
+
+  it('copes with a missing profile or description', () => {
+    assert.deepStrictEqual(findMatchedSkills(undefined, 'Python'), []);
+    assert.deepStrictEqual(findMatchedSkills(['Python'], null), []);
+  });
+});
@@ -0,0 +1,114 @@
+// The Workday adapter, against saved Workday pages served under a Workday hostname
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { getAdapterForUrl } = require('../siteAdapters');
+const { SKIP_MESSAGE, launchTestBrowser, useTemporaryDirectory, createTestBot, replayFixtures } = require('./helpers');
+
+const JOB_URL = 'https://acme.wd5.myworkdayjobs.com/en-US/External/job/Leeds/Software-Engineer_R123';
+
+const ROUTES = {
+  'https://acme.wd5.myworkdayjobs.com/workday.js': 'workday/workday.js',
+  [JOB_URL]: 'workday/posting.html',
+  [`${JOB_URL}/apply`]: 'workday/apply.html',
+  [`${JOB_URL}/apply/applyManually`]: 'workday/my-information.html',
+  [`${JOB_URL}/apply/myExperience`]: 'workday/my-experience.html',
+  [`${JOB_URL}/apply/voluntaryDisclosures`]: 'workday/voluntary-disclosures.html',
+  [`${JOB_URL}/apply/review`]: 'workday/review.html',
+  [`${JOB_URL}/apply/submitted`]: 'workday/submitted.html'
+};
+
+describe('parseDateRange', () => {
+  const { parseDateRange } = getAdapterForUrl(JOB_URL);
+
+  it('splits a range into months and years', () => {
+    assert.deepStrictEqual(parseDateRange('March 2020 - June 2022'), {
+      start: { month: 3, year: '2020' },
+      end: { month: 6, year: '2022' },
+      current: false
+    });
+    assert.deepStrictEqual(parseDateRange('01/09/2016 to 06/2019').start, { month: 9, year: '2016' });
+    assert.deepStrictEqual(parseDateRange('2016-2019').end, { month: null, year: '2019' });
+  });
+
+  it('has no end date for a current role', () => {
+    assert.deepStrictEqual(parseDateRange('2019 - Present'), {
+      start: { month: null, year: '2019' },
+      end: null,
+      current: true
+    });
+  });
+});
+
+describe('Workday application', () => {
+  let browser;
+  let restoreDirectory;
+
+  before(async () => {
+    restoreDirectory = useTemporaryDirectory();
+    browser = await launchTestBrowser();
+  });
+
+  after(async () => {
+    if (browser) {
+      await browser.close();
+    }
+    restoreDirectory();
+  });
+
+  it('fills every page, including dropdowns, repeating sections and dates', async (t) => {
+    if (!browser) {
+      return t.skip(SKIP_MESSAGE);
+    }
+    const bot = await createTestBot(browser);
+    try {
+      await replayFixtures(bot, ROUTES);
+      const result = await bot.applyToJob(JOB_URL);
+
+      assert.strictEqual(bot.adapter.name, 'workday');
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.message, 'Application submitted successfully');
+      // The answers each page sent on, as the confirmation page lists them
+      assert.deepStrictEqual(JSON.parse(await bot.page.textContent('#received')), {
+        firstName: 'Sam',
+        lastName: 'Lee',
+        addressLine1: 'Leeds, United Kingdom',
+        city: 'Leeds',
+        email: 'sam.lee@example.com',
+        phoneType: 'Mobile',
+        phoneNumber: '+44 7700 900123',
+        'jobTitle-1': 'Software Engineer',
+        'companyName-1': 'Acme Ltd',
+        'currentlyWorkHere-1': true,
+        'startDate-1-month': '',
+        'startDate-1-year': '2019',
+        'school-1': 'University of Leeds',
+        'degree-1': 'Bachelor of Science (BSc)',
+        skills: '',
+        'skills-selected': ['JavaScript'],
+        gender: 'I do not wish to answer',
+        veteranStatus: 'Select One'
+      });
+    } finally {
+      await bot.close();
+    }
+  });
+
+  it('leaves a prompt answer no suggestion matches unselected and reports it', async (t) => {
+    if (!browser) {
+      return t.skip(SKIP_MESSAGE);
+    }
+    const bot = await createTestBot(browser);
+    try {
+      await replayFixtures(bot, ROUTES);
+      await bot.applyToJob(JOB_URL);
+
+      // "Node.js" is only offered "Nodal Analysis" and "Network Security"
+      const skills = bot.fieldReport.find(entry => entry.fieldType === 'skills');
+      assert.strictEqual(skills.filled, false);
+      assert.strictEqual(skills.error, 'no suggestion matches "Node.js"');
+      assert.deepStrictEqual(JSON.parse(await bot.page.textContent('#received'))['skills-selected'], ['JavaScript']);
+    } finally {
+      await bot.close();
+    }
+  });
+});